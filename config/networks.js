@@ -0,0 +1,73 @@
+const fs = require('fs');
+require('dotenv').config();
+
+// Network that RPC_URL and CHAIN_ID configure; everything recorded before
+// networks were configurable ran on it
+const LEGACY_NETWORK_ID = 'knightsbridge';
+
+const splitUrls = (value) => (value || '')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+/**
+ * Built-in networks. The testnet is only available once its RPC endpoint and
+ * chain id are set.
+ */
+const builtInNetworks = () => {
+  const networks = [{
+    id: LEGACY_NETWORK_ID,
+    name: 'Knightsbridge',
+    chainId: parseInt(process.env.CHAIN_ID) || 8060,
+    rpcUrls: splitUrls(process.env.RPC_URL || 'https://mainnet-rpc.kxcoscan.com'),
+    nativeSymbol: 'KDA',
+    explorerTxUrl: process.env.EXPLORER_TX_URL || 'https://kxcoscan.com/tx/{hash}',
+    confirmations: parseInt(process.env.CONFIRMATIONS) || 1,
+    testnet: false
+  }];
+
+  if (process.env.TESTNET_RPC_URL && process.env.TESTNET_CHAIN_ID) {
+    networks.push({
+      id: 'knightsbridge-testnet',
+      name: 'Knightsbridge Testnet',
+      chainId: parseInt(process.env.TESTNET_CHAIN_ID),
+      rpcUrls: splitUrls(process.env.TESTNET_RPC_URL),
+      nativeSymbol: 'KDA',
+      explorerTxUrl: process.env.TESTNET_EXPLORER_TX_URL || null,
+      confirmations: parseInt(process.env.TESTNET_CONFIRMATIONS) || 1,
+      testnet: true
+    });
+  }
+
+  return networks;
+};
+
+/**
+ * Networks from the JSON file at NETWORKS_FILE: an array of network objects
+ * ({ id, name, chainId, rpcUrls, nativeSymbol, explorerTxUrl, confirmations, testnet,
+ * eip1559?, maxTransactionFee?, gasTopUpTarget?, gasTopUpDailyCap? }).
+ * An entry with the id of a built-in network replaces it.
+ */
+const fileNetworks = () => {
+  if (!process.env.NETWORKS_FILE) return [];
+
+  const networks = JSON.parse(fs.readFileSync(process.env.NETWORKS_FILE, 'utf8'));
+  if (!Array.isArray(networks)) {
+    throw new Error(`${process.env.NETWORKS_FILE} must contain an array of networks`);
+  }
+  return networks;
+};
+
+const loadNetworks = () => {
+  const byId = new Map();
+  for (const network of [...builtInNetworks(), ...fileNetworks()]) {
+    byId.set(network.id, network);
+  }
+  return [...byId.values()];
+};
+
+module.exports = {
+  LEGACY_NETWORK_ID,
+  networks: loadNetworks(),
+  defaultNetworkId: process.env.DEFAULT_NETWORK || LEGACY_NETWORK_ID
+};
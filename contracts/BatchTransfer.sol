@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+interface IERC20 {
+    function transferFrom(address from, address to, uint256 value) external returns (bool);
+}
+
+/// @title BatchTransfer
+/// @notice Pays many recipients of an ERC-20 token in one transaction.
+/// @dev The sender approves this contract for the total amount first. The
+/// disperseToken signature matches disperse.app, so an existing Disperse
+/// deployment can be configured as BATCH_TRANSFER_CONTRACT_ADDRESS instead.
+contract BatchTransfer {
+    function disperseToken(IERC20 token, address[] calldata recipients, uint256[] calldata values) external {
+        require(recipients.length == values.length, "BatchTransfer: length mismatch");
+
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(token.transferFrom(msg.sender, recipients[i], values[i]), "BatchTransfer: transfer failed");
+        }
+    }
+}
@@ -188,6 +188,32 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Only let administrators through; an API key must also carry the admin permission.
+ * Use after authenticate or authenticateToken.
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user || !req.user.is_admin) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required',
+      message: 'Only administrators can perform this action.',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  if (req.authType === 'api_key' && !(req.apiKey.permissions && req.apiKey.permissions.admin === true)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions',
+      message: 'This API key does not have the required permissions: admin',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  next();
+};
+
 /**
  * Check if user has sufficient balance for operation
  */
@@ -203,9 +229,9 @@ const checkBalance = async (req, res, next) => {
       });
     }
 
-    // Get user's token balance
+    // Get user's token balance (the token resolved by resolveToken, if it ran)
     const custodialWalletService = require('../services/custodialWalletService');
-    const tokenContractAddress = process.env.TOKEN_CONTRACT_ADDRESS;
+    const tokenContractAddress = req.token ? req.token.address : process.env.TOKEN_CONTRACT_ADDRESS;
     
     if (!tokenContractAddress) {
       return res.status(500).json({
@@ -214,7 +240,7 @@ const checkBalance = async (req, res, next) => {
       });
     }
 
-    const balance = await custodialWalletService.getTokenBalance(
+    const balance = await custodialWalletService.forNetwork(req.network ? req.network.id : null).getTokenBalance(
       user.custodialWallet.address,
       tokenContractAddress
     );
@@ -245,5 +271,6 @@ module.exports = {
   authenticate,
   generateToken,
   optionalAuth,
+  requireAdmin,
   checkBalance
 };
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+const LOCK_TIMEOUT_SECONDS = parseInt(process.env.IDEMPOTENCY_LOCK_TIMEOUT_SECONDS) || 60;
+
+const getLockedUntil = () => new Date(Date.now() + LOCK_TIMEOUT_SECONDS * 1000);
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash identically
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash the method, path and body of a request
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Deduplicate retried requests that carry an Idempotency-Key header.
+ * Must run after authentication: keys are scoped to the authenticated user.
+ *
+ * - First use of a key: the request runs and its response is stored.
+ * - Same key, same body: the stored response is replayed, or 409 while the first request is still running.
+ *   A running request renews a short lease on the key; once the lease lapses
+ *   because its server stopped, 409 with IDEMPOTENCY_REQUEST_ABANDONED until the
+ *   key expires. The request is never run again: it may have sent transfers.
+ * - Same key, different body: rejected with 422.
+ * Client errors (4xx) are not stored, so a corrected request can reuse the key.
+ */
+const handleIdempotencyKey = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid idempotency key',
+      message: 'The Idempotency-Key header must be at most 255 characters long.',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const expiresAt = new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000);
+
+    let [record, created] = await IdempotencyKey.findOrCreate({
+      where: { user_id: req.user.id, key },
+      defaults: {
+        request_method: req.method,
+        request_path: `${req.baseUrl}${req.path}`,
+        request_hash: requestHash,
+        expires_at: expiresAt,
+        locked_until: getLockedUntil()
+      }
+    });
+
+    if (!created && record.isExpired()) {
+      // Claim the expired key for this request; only one concurrent retry can win
+      const [claimed] = await IdempotencyKey.update({
+        request_method: req.method,
+        request_path: `${req.baseUrl}${req.path}`,
+        request_hash: requestHash,
+        status: 'IN_PROGRESS',
+        response_status: null,
+        response_body: null,
+        expires_at: expiresAt,
+        locked_until: getLockedUntil()
+      }, {
+        where: { id: record.id, expires_at: record.expires_at }
+      });
+
+      record = await IdempotencyKey.findByPk(record.id);
+      created = claimed === 1;
+    }
+
+    if (!created) {
+      if (record.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          error: 'Idempotency key reused',
+          message: 'This Idempotency-Key was already used with a different request. Use a new key for a new request.',
+          code: 'IDEMPOTENCY_KEY_MISMATCH'
+        });
+      }
+
+      // A stopped request may have sent transfers already: running it again could pay twice
+      if (record.isAbandoned()) {
+        return res.status(409).json({
+          success: false,
+          error: 'Request abandoned',
+          message: 'The request with this Idempotency-Key stopped before answering and may have sent transfers. Check the distribution or withdrawal history, then use a new key if anything is missing.',
+          code: 'IDEMPOTENCY_REQUEST_ABANDONED',
+          status: record.status,
+          startedAt: record.updated_at,
+          expiresAt: record.expires_at
+        });
+      }
+
+      if (record.status === 'IN_PROGRESS') {
+        res.setHeader('Retry-After', '5');
+        return res.status(409).json({
+          success: false,
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed. Retry later to get its result.',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          status: record.status,
+          startedAt: record.updated_at
+        });
+      }
+
+      res.setHeader('Idempotent-Replayed', 'true');
+      return res.status(record.response_status).json(record.response_body);
+    }
+
+    // Renew the lease while the request runs
+    const renewal = setInterval(() => {
+      record.update({ locked_until: getLockedUntil() }, { silent: true })
+        .catch(error => console.error(`Failed to renew idempotency key ${record.id}:`, error));
+    }, LOCK_TIMEOUT_SECONDS * 1000 / 3);
+    const stopRenewal = () => clearInterval(renewal);
+    res.on('finish', stopRenewal);
+
+    // Store the response before it is sent, so a retry never sees a finished request as in progress
+    const sendJson = res.json.bind(res);
+    res.json = (body) => {
+      stopRenewal();
+      const storeResponse = res.statusCode >= 400 && res.statusCode < 500
+        ? record.destroy()
+        : record.update({
+          status: 'COMPLETED',
+          response_status: res.statusCode,
+          response_body: body
+        });
+
+      storeResponse
+        .catch(error => console.error(`Failed to store response for idempotency key ${record.id}:`, error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Idempotency check failed',
+      message: 'An error occurred while checking the Idempotency-Key. Please try again.',
+      code: 'IDEMPOTENCY_ERROR'
+    });
+  }
+};
+
+module.exports = {
+  handleIdempotencyKey
+};
@@ -0,0 +1,43 @@
+const networkService = require('../services/networkService');
+
+/**
+ * Resolve the network a request names in `network` (body or query string: a
+ * network id such as `knightsbridge`, or a chain id) into req.network.
+ * Requests that name no network use the default network.
+ */
+const resolveNetwork = (req, res, next) => {
+  try {
+    const ref = req.body && req.body.network !== undefined ? req.body.network : req.query.network;
+    req.network = networkService.resolveNetwork(ref);
+    next();
+  } catch (error) {
+    if (error.code !== 'NETWORK_NOT_FOUND') {
+      console.error('Network resolution error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to resolve network',
+        details: error.message
+      });
+    }
+
+    res.status(404).json({
+      success: false,
+      error: error.message,
+      message: 'Use GET /api/networks to list the networks you can use.',
+      code: error.code
+    });
+  }
+};
+
+/**
+ * Run resolveNetwork only for requests matching the predicate, e.g. listings
+ * that cover every network unless one is named
+ */
+const resolveNetworkWhen = (predicate) => (req, res, next) => (
+  predicate(req) ? resolveNetwork(req, res, next) : next()
+);
+
+module.exports = {
+  resolveNetwork,
+  resolveNetworkWhen
+};
@@ -0,0 +1,56 @@
+const tokenRegistryService = require('../services/tokenRegistryService');
+
+// HTTP status for each error raised while resolving the token of a request
+const TOKEN_ERROR_STATUS = {
+  TOKEN_NOT_FOUND: 404,
+  TOKEN_DISABLED: 409,
+  TOKEN_NOT_CONFIGURED: 500
+};
+
+/**
+ * Resolve the token a request names in `token` (body or query string: a
+ * symbol, id or contract address) into req.token. Requests that name no
+ * token get the default token. Tokens are looked up on req.network (see
+ * resolveNetwork), or on the default network.
+ */
+const resolveToken = async (req, res, next) => {
+  try {
+    const ref = req.body && req.body.token !== undefined ? req.body.token : req.query.token;
+    req.token = await tokenRegistryService.resolveToken(ref, {
+      network: req.network ? req.network.id : undefined
+    });
+    next();
+  } catch (error) {
+    const status = TOKEN_ERROR_STATUS[error.code];
+    if (!status) {
+      console.error('Token resolution error:', error);
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to resolve token',
+        details: error.message
+      });
+    }
+
+    res.status(status).json({
+      success: false,
+      error: error.code === 'TOKEN_NOT_CONFIGURED' ? 'Token contract not configured' : error.message,
+      message: error.code === 'TOKEN_NOT_CONFIGURED'
+        ? 'Register a default token or set TOKEN_CONTRACT_ADDRESS.'
+        : 'Use GET /api/tokens to list the tokens you can use.',
+      code: error.code
+    });
+  }
+};
+
+/**
+ * Run resolveToken only for requests matching the predicate,
+ * e.g. withdrawals of tokens but not of native KDA
+ */
+const resolveTokenWhen = (predicate) => (req, res, next) => (
+  predicate(req) ? resolveToken(req, res, next) : next()
+);
+
+module.exports = {
+  resolveToken,
+  resolveTokenWhen
+};
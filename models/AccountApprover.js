@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const AccountApprover = sequelize.define('AccountApprover', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Account whose large distributions and withdrawals need approval
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // User allowed to approve or reject them
+  approver_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'approver_id'
+  }
+}, {
+  tableName: 'account_approvers',
+  indexes: [
+    { unique: true, fields: ['user_id', 'approver_id'] },
+    { fields: ['approver_id'] }
+  ]
+});
+
+// Instance methods
+AccountApprover.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    accountId: this.user_id,
+    approverId: this.approver_id,
+    approverEmail: this.approver ? this.approver.email : undefined,
+    accountEmail: this.account ? this.account.email : undefined,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+AccountApprover.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'account',
+  onDelete: 'CASCADE'
+});
+AccountApprover.belongsTo(User, {
+  foreignKey: 'approver_id',
+  as: 'approver',
+  onDelete: 'CASCADE'
+});
+
+module.exports = AccountApprover;
@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Append-only decision trail of an approval request
+const ApprovalEvent = sequelize.define('ApprovalEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  approval_request_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'approval_requests',
+      key: 'id'
+    },
+    field: 'approval_request_id'
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['REQUESTED', 'APPROVED', 'REJECTED', 'EXPIRED', 'EXECUTED', 'FAILED']]
+    }
+  },
+  // Null for actions taken by the system (expiry, execution)
+  actor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'actor_id'
+  },
+  comment: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  details: {
+    type: DataTypes.JSON,
+    allowNull: true
+  }
+}, {
+  tableName: 'approval_events',
+  updatedAt: false,
+  indexes: [
+    { fields: ['approval_request_id', 'id'] }
+  ]
+});
+
+// Instance methods
+ApprovalEvent.prototype.getPublicInfo = function() {
+  return {
+    action: this.action,
+    actorId: this.actor_id,
+    comment: this.comment,
+    details: this.details,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const ApprovalRequest = require('./ApprovalRequest');
+ApprovalEvent.belongsTo(ApprovalRequest, {
+  foreignKey: 'approval_request_id',
+  as: 'approvalRequest',
+  onDelete: 'CASCADE'
+});
+ApprovalRequest.hasMany(ApprovalEvent, {
+  foreignKey: 'approval_request_id',
+  as: 'events',
+  onDelete: 'CASCADE'
+});
+
+module.exports = ApprovalEvent;
@@ -0,0 +1,155 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const payRateService = require('../services/payRateService');
+
+const ApprovalRequest = sequelize.define('ApprovalRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Account the funds leave from (the maker)
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  action_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['distribution', 'token_withdrawal', 'native_withdrawal']]
+    },
+    field: 'action_type'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PENDING_APPROVAL',
+    validate: {
+      // APPROVED is transient: the action is being executed
+      isIn: [['PENDING_APPROVAL', 'APPROVED', 'EXECUTED', 'FAILED', 'REJECTED', 'EXPIRED']]
+    }
+  },
+  amount: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false
+  },
+  threshold: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  // What will be executed on approval (withdrawal target and amount, or a distribution summary)
+  details: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {}
+  },
+  requested_via: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['jwt', 'api_key', 'schedule']]
+    },
+    field: 'requested_via'
+  },
+  api_key_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'api_key_id'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  decided_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'decided_by'
+  },
+  decided_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'decided_at'
+  },
+  decision_comment: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'decision_comment'
+  },
+  result: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'approval_requests',
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['status', 'expires_at'] }
+  ]
+});
+
+// Instance methods
+ApprovalRequest.prototype.isPending = function() {
+  return this.status === 'PENDING_APPROVAL';
+};
+
+ApprovalRequest.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    accountId: this.user_id,
+    actionType: this.action_type,
+    status: this.status,
+    amount: payRateService.normalizeDecimal(this.amount),
+    threshold: payRateService.normalizeDecimal(this.threshold),
+    distributionId: this.distribution_id,
+    details: this.details,
+    requestedVia: this.requested_via,
+    apiKeyId: this.api_key_id,
+    expiresAt: this.expires_at,
+    decidedBy: this.decided_by,
+    decidedAt: this.decided_at,
+    decisionComment: this.decision_comment,
+    result: this.result,
+    error: this.error,
+    events: this.events ? this.events.map(event => event.getPublicInfo()) : undefined,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+const Distribution = require('./Distribution');
+ApprovalRequest.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'account',
+  onDelete: 'CASCADE'
+});
+ApprovalRequest.belongsTo(Distribution, {
+  foreignKey: 'distribution_id',
+  as: 'distribution'
+});
+
+module.exports = ApprovalRequest;
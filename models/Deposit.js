@@ -0,0 +1,155 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const networkService = require('../services/networkService');
+const payRateService = require('../services/payRateService');
+
+// Tokens or native currency received by a custodial wallet, found by the
+// deposit indexer and followed until the network's confirmation depth
+const Deposit = sequelize.define('Deposit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Owner of the receiving wallet
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  transaction_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    field: 'transaction_hash'
+  },
+  // Position of the Transfer event in its block; null for native transfers,
+  // of which a transaction has at most one
+  log_index: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'log_index'
+  },
+  from_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'from_address'
+  },
+  wallet_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'wallet_address'
+  },
+  // Null for native currency
+  token_contract_address: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'token_contract_address'
+  },
+  // Tokens or native currency received, in whole units
+  amount: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false
+  },
+  // PENDING until buried under required_confirmations blocks (CONFIRMED), or
+  // DROPPED when a reorg took the transfer out of the chain for good
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: [['PENDING', 'CONFIRMED', 'DROPPED']]
+    }
+  },
+  // Block the transfer was last seen in; cleared when a reorg removes it
+  block_number: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'block_number'
+  },
+  block_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'block_hash'
+  },
+  confirmations: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  required_confirmations: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'required_confirmations'
+  },
+  // Times a reorg moved the transfer to another block or out of the chain
+  reorg_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'reorg_count'
+  },
+  // Set with the final status
+  finalized_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finalized_at'
+  }
+}, {
+  tableName: 'deposits',
+  indexes: [
+    { unique: true, fields: ['network', 'transaction_hash', 'log_index'] },
+    // Postgres does not compare NULLs in unique indexes, so native deposits need their own
+    { unique: true, fields: ['network', 'transaction_hash'], where: { log_index: null } },
+    { fields: ['status', 'network'] },
+    { fields: ['user_id', 'network', 'created_at'] }
+  ]
+});
+
+Deposit.prototype.isFinal = function() {
+  return this.status !== 'PENDING';
+};
+
+Deposit.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    network: this.network,
+    transactionHash: this.transaction_hash,
+    logIndex: this.log_index,
+    type: this.token_contract_address ? 'tokens' : 'native',
+    from: this.from_address,
+    to: this.wallet_address,
+    tokenContract: this.token_contract_address,
+    amount: payRateService.normalizeDecimal(this.amount),
+    status: this.status,
+    final: this.isFinal(),
+    blockNumber: this.block_number,
+    blockHash: this.block_hash,
+    confirmations: this.confirmations,
+    requiredConfirmations: this.required_confirmations,
+    reorgCount: this.reorg_count,
+    explorerUrl: networkService.networks.has(this.network)
+      ? networkService.getExplorerUrl(this.network, this.transaction_hash)
+      : null,
+    finalizedAt: this.finalized_at,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+Deposit.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+module.exports = Deposit;
@@ -0,0 +1,26 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Last block the deposit indexer scanned on a network, so a restart resumes
+// where it stopped. The block hash shows whether a reorg replaced that block.
+const DepositCursor = sequelize.define('DepositCursor', {
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    primaryKey: true
+  },
+  block_number: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    field: 'block_number'
+  },
+  block_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    field: 'block_hash'
+  }
+}, {
+  tableName: 'deposit_cursors'
+});
+
+module.exports = DepositCursor;
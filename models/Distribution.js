@@ -0,0 +1,203 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEGACY_NETWORK_ID } = require('../config/networks');
+
+const Distribution = sequelize.define('Distribution', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: LEGACY_NETWORK_ID
+  },
+  token_contract_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'token_contract_address'
+  },
+  source: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'bulk',
+    validate: {
+      isIn: [['single', 'bulk', 'stream', 'upload', 'schedule', 'retry']]
+    }
+  },
+  mode: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'sequential',
+    validate: {
+      isIn: [['sequential', 'pipelined', 'batch']]
+    }
+  },
+  // Fee preset of the run's transactions; null uses FEE_SPEED
+  fee_speed: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isIn: [['slow', 'normal', 'fast']]
+    },
+    field: 'fee_speed'
+  },
+  rounding: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'floor',
+    validate: {
+      isIn: [['floor', 'round', 'ceil', 'exact']]
+    }
+  },
+  allow_partial: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'allow_partial'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      // PENDING_APPROVAL: held until an approver accepts it; PAUSED: stopped until resumed;
+      // CANCELLED: stopped by the user, or rejected or expired before approval
+      isIn: [['PENDING_APPROVAL', 'PENDING', 'PROCESSING', 'PAUSED', 'COMPLETED', 'PARTIALLY_COMPLETED', 'FAILED', 'CANCELLED']]
+    }
+  },
+  // Pause or cancel asked for while the run is sending; applied before the next recipient
+  control_request: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isIn: [['pause', 'cancel']]
+    },
+    field: 'control_request'
+  },
+  total_recipients: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_recipients'
+  },
+  successful_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'successful_count'
+  },
+  failed_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'failed_count'
+  },
+  total_tokens: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_tokens'
+  },
+  // Run whose failed recipients this run retries
+  retry_of_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'retry_of_id'
+  },
+  // Chain height when sending started; transfers of this run cannot be older
+  start_block: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'start_block'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'started_at'
+  },
+  completed_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'completed_at'
+  }
+}, {
+  tableName: 'distributions',
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['status'] },
+    { fields: ['retry_of_id'] }
+  ]
+});
+
+// Instance methods
+Distribution.prototype.isFinished = function() {
+  return ['COMPLETED', 'PARTIALLY_COMPLETED', 'FAILED', 'CANCELLED'].includes(this.status);
+};
+
+Distribution.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    network: this.network,
+    tokenContract: this.token_contract_address,
+    source: this.source,
+    mode: this.mode,
+    feeSpeed: this.fee_speed,
+    rounding: this.rounding,
+    allowPartial: this.allow_partial,
+    status: this.status,
+    controlRequest: this.control_request,
+    totalRecipients: this.total_recipients,
+    successfulDistributions: this.successful_count,
+    failedDistributions: this.failed_count,
+    totalTokens: this.total_tokens,
+    retryOfId: this.retry_of_id,
+    error: this.error,
+    startedAt: this.started_at,
+    completedAt: this.completed_at,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+Distribution.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+  onDelete: 'CASCADE'
+});
+User.hasMany(Distribution, {
+  foreignKey: 'user_id',
+  as: 'distributions',
+  onDelete: 'CASCADE'
+});
+
+Distribution.belongsTo(Distribution, {
+  foreignKey: 'retry_of_id',
+  as: 'retryOf'
+});
+Distribution.hasMany(Distribution, {
+  foreignKey: 'retry_of_id',
+  as: 'retries'
+});
+
+module.exports = Distribution;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DistributionEvent = sequelize.define('DistributionEvent', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  // Position of the event in its distribution (1, 2, ...), sent to clients as
+  // the SSE event id (Last-Event-ID). Assigned under a lock on the distribution
+  // row, so events commit in sequence order and a reader never skips one.
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  event_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'event_type'
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false
+  }
+}, {
+  tableName: 'distribution_events',
+  updatedAt: false,
+  indexes: [
+    { unique: true, fields: ['distribution_id', 'sequence'] }
+  ]
+});
+
+// Instance methods
+DistributionEvent.prototype.toStreamEvent = function() {
+  return {
+    id: this.sequence,
+    type: this.event_type,
+    data: this.data
+  };
+};
+
+// Associations
+const Distribution = require('./Distribution');
+DistributionEvent.belongsTo(Distribution, {
+  foreignKey: 'distribution_id',
+  as: 'distribution',
+  onDelete: 'CASCADE'
+});
+Distribution.hasMany(DistributionEvent, {
+  foreignKey: 'distribution_id',
+  as: 'events',
+  onDelete: 'CASCADE'
+});
+
+module.exports = DistributionEvent;
@@ -0,0 +1,146 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const payRateService = require('../services/payRateService');
+
+const DistributionItem = sequelize.define('DistributionItem', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  wallet_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'wallet_address'
+  },
+  hrs_worked: {
+    type: DataTypes.DECIMAL(12, 4),
+    allowNull: false,
+    field: 'hrs_worked'
+  },
+  rate: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    defaultValue: 1
+  },
+  tokens_amount: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    defaultValue: 0,
+    field: 'tokens_amount'
+  },
+  transaction_hash: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'transaction_hash'
+  },
+  block_number: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'block_number'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: [['PENDING', 'PROCESSING', 'SUCCESS', 'FAILED', 'CANCELLED']]
+    }
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Saved payee the recipient was taken from, if any
+  payee_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'payees',
+      key: 'id'
+    },
+    field: 'payee_id'
+  },
+  // Failed item of an earlier run that this item retries; each item is retried at most once
+  retry_of_item_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    unique: true,
+    references: {
+      model: 'distribution_items',
+      key: 'id'
+    },
+    field: 'retry_of_item_id'
+  }
+}, {
+  tableName: 'distribution_items',
+  indexes: [
+    { fields: ['distribution_id', 'position'] },
+    { fields: ['wallet_address'] },
+    { fields: ['payee_id'] }
+  ]
+});
+
+// Instance methods
+DistributionItem.prototype.toRecipient = function() {
+  const recipient = {
+    name: this.name,
+    wallet: this.wallet_address,
+    hrsWorked: parseFloat(this.hrs_worked),
+    rate: payRateService.normalizeDecimal(this.rate)
+  };
+  if (this.payee_id) {
+    recipient.payeeId = this.payee_id;
+  }
+  return recipient;
+};
+
+DistributionItem.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    position: this.position,
+    name: this.name,
+    wallet: this.wallet_address,
+    hrsWorked: parseFloat(this.hrs_worked),
+    rate: payRateService.normalizeDecimal(this.rate),
+    tokensDistributed: this.tokens_amount,
+    transactionHash: this.transaction_hash,
+    blockNumber: this.block_number,
+    status: this.status,
+    error: this.error,
+    payeeId: this.payee_id,
+    retryOfItemId: this.retry_of_item_id
+  };
+};
+
+// Associations
+const Distribution = require('./Distribution');
+DistributionItem.belongsTo(Distribution, {
+  foreignKey: 'distribution_id',
+  as: 'distribution',
+  onDelete: 'CASCADE'
+});
+Distribution.hasMany(DistributionItem, {
+  foreignKey: 'distribution_id',
+  as: 'items',
+  onDelete: 'CASCADE'
+});
+
+module.exports = DistributionItem;
@@ -0,0 +1,105 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DistributionJob = sequelize.define('DistributionJob', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'QUEUED',
+    validate: {
+      isIn: [['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED']]
+    }
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  locked_by: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'locked_by'
+  },
+  locked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_at'
+  },
+  last_error: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    field: 'last_error'
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'started_at'
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finished_at'
+  }
+}, {
+  tableName: 'distribution_jobs',
+  indexes: [
+    { fields: ['status', 'created_at'] },
+    { fields: ['distribution_id'] }
+  ]
+});
+
+// Instance methods
+DistributionJob.prototype.isFinished = function() {
+  return ['COMPLETED', 'FAILED'].includes(this.status);
+};
+
+DistributionJob.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    distributionId: this.distribution_id,
+    status: this.status,
+    attempts: this.attempts,
+    lastError: this.last_error,
+    startedAt: this.started_at,
+    finishedAt: this.finished_at,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const Distribution = require('./Distribution');
+DistributionJob.belongsTo(Distribution, {
+  foreignKey: 'distribution_id',
+  as: 'distribution',
+  onDelete: 'CASCADE'
+});
+Distribution.hasMany(DistributionJob, {
+  foreignKey: 'distribution_id',
+  as: 'jobs',
+  onDelete: 'CASCADE'
+});
+
+module.exports = DistributionJob;
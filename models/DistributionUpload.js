@@ -0,0 +1,121 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const DistributionUpload = sequelize.define('DistributionUpload', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  filename: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  format: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['csv', 'xlsx']]
+    }
+  },
+  column_mapping: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    field: 'column_mapping'
+  },
+  recipients: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: []
+  },
+  row_errors: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: [],
+    field: 'row_errors'
+  },
+  total_rows: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'total_rows'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PREVIEW',
+    validate: {
+      isIn: [['PREVIEW', 'CONFIRMED']]
+    }
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  }
+}, {
+  tableName: 'distribution_uploads',
+  indexes: [
+    { fields: ['user_id', 'created_at'] }
+  ]
+});
+
+// Instance methods
+DistributionUpload.prototype.isExpired = function() {
+  return this.expires_at < new Date();
+};
+
+DistributionUpload.prototype.getPublicInfo = function(previewLimit = 20) {
+  const invalidRows = new Set(this.row_errors.map(error => error.row)).size;
+
+  return {
+    id: this.id,
+    filename: this.filename,
+    format: this.format,
+    status: this.status,
+    columnMapping: this.column_mapping,
+    totalRows: this.total_rows,
+    validRows: this.recipients.length,
+    invalidRows,
+    totalHours: this.recipients.reduce((sum, recipient) => sum + recipient.hrsWorked, 0),
+    preview: this.recipients.slice(0, previewLimit),
+    errors: this.row_errors,
+    distributionId: this.distribution_id,
+    expiresAt: this.expires_at,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+const Distribution = require('./Distribution');
+DistributionUpload.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+  onDelete: 'CASCADE'
+});
+DistributionUpload.belongsTo(Distribution, {
+  foreignKey: 'distribution_id',
+  as: 'distribution'
+});
+
+module.exports = DistributionUpload;
@@ -0,0 +1,128 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const networkService = require('../services/networkService');
+const payRateService = require('../services/payRateService');
+
+// Native currency sent from the gas station's treasury wallet to a custodial
+// wallet that was short of gas, kept for recharging or billing the user later
+const GasTopUp = sequelize.define('GasTopUp', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  treasury_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'treasury_address'
+  },
+  wallet_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'wallet_address'
+  },
+  // Native currency sent, in whole units
+  amount: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false
+  },
+  // The wallet's balance before the top-up and the gas the operation needed
+  balance_before: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    field: 'balance_before'
+  },
+  required_balance: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    field: 'required_balance'
+  },
+  // What needed the gas
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['distribution', 'withdrawal']]
+    }
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  transaction_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: false,
+    field: 'transaction_hash'
+  },
+  // PENDING until the transfer has the network's confirmation depth; failed
+  // top-ups do not count towards the daily cap
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: [['PENDING', 'CONFIRMED', 'FAILED']]
+    }
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'gas_top_ups',
+  indexes: [
+    { fields: ['user_id', 'network', 'created_at'] },
+    { fields: ['network', 'created_at'] },
+    { unique: true, fields: ['network', 'transaction_hash'] }
+  ]
+});
+
+GasTopUp.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    userId: this.user_id,
+    network: this.network,
+    treasuryAddress: this.treasury_address,
+    walletAddress: this.wallet_address,
+    amount: payRateService.normalizeDecimal(this.amount),
+    balanceBefore: payRateService.normalizeDecimal(this.balance_before),
+    requiredBalance: payRateService.normalizeDecimal(this.required_balance),
+    reason: this.reason,
+    distributionId: this.distribution_id,
+    transactionHash: this.transaction_hash,
+    status: this.status,
+    error: this.error,
+    explorerUrl: networkService.networks.has(this.network)
+      ? networkService.getExplorerUrl(this.network, this.transaction_hash)
+      : null,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+GasTopUp.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+module.exports = GasTopUp;
@@ -0,0 +1,101 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const IdempotencyKey = sequelize.define('IdempotencyKey', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      notEmpty: true,
+      len: [1, 255]
+    }
+  },
+  request_method: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'request_method'
+  },
+  request_path: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'request_path'
+  },
+  request_hash: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'request_hash'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'IN_PROGRESS',
+    validate: {
+      isIn: [['IN_PROGRESS', 'COMPLETED']]
+    }
+  },
+  response_status: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    field: 'response_status'
+  },
+  response_body: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    field: 'response_body'
+  },
+  expires_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'expires_at'
+  },
+  // Lease of the request holding an IN_PROGRESS key, renewed while it runs;
+  // once it lapses (the server stopped), retries are told the request was abandoned
+  locked_until: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'locked_until'
+  }
+}, {
+  tableName: 'idempotency_keys',
+  indexes: [
+    { unique: true, fields: ['user_id', 'key'] }
+  ]
+});
+
+// Instance methods
+IdempotencyKey.prototype.isExpired = function() {
+  return new Date() > this.expires_at;
+};
+
+IdempotencyKey.prototype.isAbandoned = function() {
+  return this.status === 'IN_PROGRESS' && (!this.locked_until || new Date() > this.locked_until);
+};
+
+// Associations
+const User = require('./User');
+IdempotencyKey.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+  onDelete: 'CASCADE'
+});
+User.hasMany(IdempotencyKey, {
+  foreignKey: 'user_id',
+  as: 'idempotencyKeys',
+  onDelete: 'CASCADE'
+});
+
+module.exports = IdempotencyKey;
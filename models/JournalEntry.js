@@ -0,0 +1,93 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const networkService = require('../services/networkService');
+
+// Balanced journal entry of the double-entry ledger; its lines are JournalLines
+const JournalEntry = sequelize.define('JournalEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // What the entry records, e.g. "deposit:<id>"; unique, so an event posts once
+  reference: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // See ENTRY_TYPES in services/ledgerService.js
+  type: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [['transfer_sent', 'transfer_settled', 'transfer_released', 'fee', 'deposit', 'gas_top_up']]
+    }
+  },
+  // User whose accounts the entry moves
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  transaction_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'transaction_hash'
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: false
+  }
+}, {
+  tableName: 'journal_entries',
+  updatedAt: false,
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['network', 'transaction_hash'] },
+    { fields: ['distribution_id'] }
+  ]
+});
+
+JournalEntry.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    reference: this.reference,
+    type: this.type,
+    network: this.network,
+    transactionHash: this.transaction_hash,
+    distributionId: this.distribution_id,
+    description: this.description,
+    lines: (this.lines || []).map(line => line.getPublicInfo()),
+    explorerUrl: this.transaction_hash && networkService.networks.has(this.network)
+      ? networkService.getExplorerUrl(this.network, this.transaction_hash)
+      : null,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+JournalEntry.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+module.exports = JournalEntry;
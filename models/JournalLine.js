@@ -0,0 +1,82 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const payRateService = require('../services/payRateService');
+
+// One debit or credit of a journal entry
+const JournalLine = sequelize.define('JournalLine', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  entry_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'journal_entries',
+      key: 'id'
+    },
+    field: 'entry_id'
+  },
+  account_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'ledger_accounts',
+      key: 'id'
+    },
+    field: 'account_id'
+  },
+  side: {
+    type: DataTypes.STRING(6),
+    allowNull: false,
+    validate: {
+      isIn: [['debit', 'credit']]
+    }
+  },
+  // Positive, in whole units of the account's asset
+  amount: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false
+  }
+}, {
+  tableName: 'journal_lines',
+  updatedAt: false,
+  indexes: [
+    { fields: ['entry_id'] },
+    { fields: ['account_id'] }
+  ]
+});
+
+JournalLine.prototype.getPublicInfo = function() {
+  return {
+    accountId: this.account_id,
+    account: this.account ? {
+      asset: this.account.asset,
+      purpose: this.account.purpose,
+      system: this.account.user_id === null
+    } : undefined,
+    side: this.side,
+    amount: payRateService.normalizeDecimal(this.amount)
+  };
+};
+
+// Associations
+const JournalEntry = require('./JournalEntry');
+const LedgerAccount = require('./LedgerAccount');
+JournalLine.belongsTo(JournalEntry, {
+  foreignKey: 'entry_id',
+  as: 'entry',
+  onDelete: 'CASCADE'
+});
+JournalEntry.hasMany(JournalLine, {
+  foreignKey: 'entry_id',
+  as: 'lines',
+  onDelete: 'CASCADE'
+});
+JournalLine.belongsTo(LedgerAccount, {
+  foreignKey: 'account_id',
+  as: 'account'
+});
+
+module.exports = JournalLine;
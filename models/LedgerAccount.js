@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const payRateService = require('../services/payRateService');
+
+// Account of the double-entry ledger: one per user, network, asset and purpose,
+// plus system accounts (no user) for funds outside the custodial wallets
+const LedgerAccount = sequelize.define('LedgerAccount', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // user:network:asset:purpose ("system" instead of a user id), unique
+  key: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // Null for system accounts
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  // Token contract address, or "native" for the network's native currency
+  asset: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // See ACCOUNT_PURPOSES in services/ledgerService.js
+  purpose: {
+    type: DataTypes.STRING(30),
+    allowNull: false,
+    validate: {
+      isIn: [['available', 'pending_out', 'fees', 'gas_advances', 'external']]
+    }
+  },
+  // Which side increases the balance
+  normal_side: {
+    type: DataTypes.STRING(6),
+    allowNull: false,
+    validate: {
+      isIn: [['debit', 'credit']]
+    },
+    field: 'normal_side'
+  },
+  // Sum of the account's lines on its normal side minus the other side, in whole units
+  balance: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    defaultValue: 0
+  }
+}, {
+  tableName: 'ledger_accounts',
+  indexes: [
+    { fields: ['user_id', 'network', 'asset'] }
+  ]
+});
+
+LedgerAccount.prototype.getPublicInfo = function() {
+  const balance = String(this.balance);
+  return {
+    id: this.id,
+    network: this.network,
+    asset: this.asset,
+    purpose: this.purpose,
+    normalSide: this.normal_side,
+    // Balances can be negative, which normalizeDecimal does not accept
+    balance: balance.startsWith('-')
+      ? `-${payRateService.normalizeDecimal(balance.slice(1))}`
+      : payRateService.normalizeDecimal(balance),
+    updatedAt: this.updated_at
+  };
+};
+
+// Associations
+const User = require('./User');
+LedgerAccount.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+module.exports = LedgerAccount;
@@ -0,0 +1,133 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const payRateService = require('../services/payRateService');
+
+// Saved recipient of a user's distributions (address book entry)
+const Payee = sequelize.define('Payee', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  // Stored in EIP-55 checksum form; every change is recorded in payee_wallet_changes
+  wallet_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'wallet_address'
+  },
+  email: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isEmail: true
+    }
+  },
+  // The user's own reference for the payee, e.g. an employee number
+  external_id: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'external_id'
+  },
+  // JSONB so lists can be filtered by tag
+  tags: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: []
+  },
+  // Used when a distribution gives no rate for the payee
+  default_rate: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: true,
+    field: 'default_rate'
+  },
+  // Used when a distribution gives no hours for the payee
+  default_hours: {
+    type: DataTypes.DECIMAL(12, 4),
+    allowNull: true,
+    field: 'default_hours'
+  },
+  archived_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'archived_at'
+  }
+}, {
+  tableName: 'payees',
+  indexes: [
+    { fields: ['user_id', 'name'] },
+    { unique: true, fields: ['user_id', 'external_id'] },
+    { fields: ['wallet_address'] }
+  ]
+});
+
+// Instance methods
+Payee.prototype.isArchived = function() {
+  return Boolean(this.archived_at);
+};
+
+/**
+ * Recipient entry for a distribution; hours and rate given for the run win over the payee's defaults
+ */
+Payee.prototype.toRecipient = function(hrsWorked, rate) {
+  const recipient = {
+    name: this.name,
+    wallet: this.wallet_address,
+    hrsWorked: hrsWorked !== undefined ? hrsWorked : payRateService.normalizeDecimal(this.default_hours),
+    payeeId: this.id
+  };
+
+  const payeeRate = rate !== undefined ? rate : payRateService.normalizeDecimal(this.default_rate);
+  if (payeeRate !== null && payeeRate !== undefined) {
+    recipient.rate = payeeRate;
+  }
+
+  return recipient;
+};
+
+Payee.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    wallet: this.wallet_address,
+    email: this.email,
+    externalId: this.external_id,
+    tags: this.tags,
+    defaultRate: payRateService.normalizeDecimal(this.default_rate),
+    defaultHours: payRateService.normalizeDecimal(this.default_hours),
+    archived: this.isArchived(),
+    archivedAt: this.archived_at,
+    createdAt: this.created_at,
+    updatedAt: this.updated_at
+  };
+};
+
+// Associations
+const User = require('./User');
+Payee.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+  onDelete: 'CASCADE'
+});
+User.hasMany(Payee, {
+  foreignKey: 'user_id',
+  as: 'payees',
+  onDelete: 'CASCADE'
+});
+
+module.exports = Payee;
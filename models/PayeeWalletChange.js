@@ -0,0 +1,87 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Append-only history of a payee's wallet address
+const PayeeWalletChange = sequelize.define('PayeeWalletChange', {
+  id: {
+    type: DataTypes.BIGINT,
+    autoIncrement: true,
+    primaryKey: true
+  },
+  payee_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'payees',
+      key: 'id'
+    },
+    field: 'payee_id'
+  },
+  // Null for the address the payee was created with
+  previous_wallet: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'previous_wallet'
+  },
+  new_wallet: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'new_wallet'
+  },
+  changed_by: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    field: 'changed_by'
+  },
+  changed_via: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['jwt', 'api_key']]
+    },
+    field: 'changed_via'
+  },
+  api_key_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'api_key_id'
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'payee_wallet_changes',
+  updatedAt: false,
+  indexes: [
+    { fields: ['payee_id', 'id'] }
+  ]
+});
+
+// Instance methods
+PayeeWalletChange.prototype.getPublicInfo = function() {
+  return {
+    previousWallet: this.previous_wallet,
+    newWallet: this.new_wallet,
+    changedBy: this.changed_by,
+    changedVia: this.changed_via,
+    apiKeyId: this.api_key_id,
+    reason: this.reason,
+    changedAt: this.created_at
+  };
+};
+
+// Associations
+const Payee = require('./Payee');
+PayeeWalletChange.belongsTo(Payee, {
+  foreignKey: 'payee_id',
+  as: 'payee',
+  onDelete: 'CASCADE'
+});
+Payee.hasMany(PayeeWalletChange, {
+  foreignKey: 'payee_id',
+  as: 'walletChanges',
+  onDelete: 'CASCADE'
+});
+
+module.exports = PayeeWalletChange;
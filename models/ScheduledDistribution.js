@@ -0,0 +1,200 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEGACY_NETWORK_ID } = require('../config/networks');
+const payRateService = require('../services/payRateService');
+
+const ScheduledDistribution = sequelize.define('ScheduledDistribution', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      len: [1, 100]
+    }
+  },
+  schedule_type: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['cron', 'calendar']]
+    },
+    field: 'schedule_type'
+  },
+  cron_expression: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'cron_expression'
+  },
+  calendar: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  timezone: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'UTC'
+  },
+  start_at: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'start_at'
+  },
+  end_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'end_at'
+  },
+  recipients: {
+    type: DataTypes.JSON,
+    allowNull: true
+  },
+  template_distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'template_distribution_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: LEGACY_NETWORK_ID
+  },
+  token_contract_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'token_contract_address'
+  },
+  mode: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isIn: [['sequential', 'pipelined', 'batch']]
+    }
+  },
+  // Null rate or rounding means the user's pay settings at the time of each run
+  rate: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: true
+  },
+  rounding: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    validate: {
+      isIn: [['floor', 'round', 'ceil', 'exact']]
+    }
+  },
+  allow_partial: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'allow_partial'
+  },
+  missed_run_policy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'skip',
+    validate: {
+      isIn: [['skip', 'run_late']]
+    },
+    field: 'missed_run_policy'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'ACTIVE',
+    validate: {
+      isIn: [['ACTIVE', 'PAUSED', 'COMPLETED']]
+    }
+  },
+  next_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'next_run_at'
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_run_at'
+  },
+  paused_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'paused_at'
+  }
+}, {
+  tableName: 'scheduled_distributions',
+  indexes: [
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['status', 'next_run_at'] }
+  ]
+});
+
+// Instance methods
+ScheduledDistribution.prototype.getScheduleSpec = function() {
+  return {
+    cronExpression: this.cron_expression,
+    calendar: this.calendar,
+    timezone: this.timezone,
+    startAt: this.start_at,
+    endAt: this.end_at
+  };
+};
+
+ScheduledDistribution.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    scheduleType: this.schedule_type,
+    cron: this.cron_expression,
+    calendar: this.calendar,
+    timezone: this.timezone,
+    startAt: this.start_at,
+    endAt: this.end_at,
+    recipients: this.recipients,
+    templateDistributionId: this.template_distribution_id,
+    network: this.network,
+    tokenContract: this.token_contract_address,
+    mode: this.mode,
+    rate: payRateService.normalizeDecimal(this.rate),
+    rounding: this.rounding,
+    allowPartial: this.allow_partial,
+    missedRunPolicy: this.missed_run_policy,
+    status: this.status,
+    nextRunAt: this.next_run_at,
+    lastRunAt: this.last_run_at,
+    pausedAt: this.paused_at,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+const Distribution = require('./Distribution');
+ScheduledDistribution.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user',
+  onDelete: 'CASCADE'
+});
+ScheduledDistribution.belongsTo(Distribution, {
+  foreignKey: 'template_distribution_id',
+  as: 'templateDistribution'
+});
+
+module.exports = ScheduledDistribution;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const ScheduledDistributionRun = sequelize.define('ScheduledDistributionRun', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  schedule_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'scheduled_distributions',
+      key: 'id'
+    },
+    field: 'schedule_id'
+  },
+  scheduled_for: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    field: 'scheduled_for'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      // QUEUED: distribution created and handed to the worker
+      // SKIPPED: missed while the scheduler was down
+      // FAILED: the distribution could not be created
+      isIn: [['QUEUED', 'SKIPPED', 'FAILED']]
+    }
+  },
+  late: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  job_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    field: 'job_id'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  }
+}, {
+  tableName: 'scheduled_distribution_runs',
+  indexes: [
+    // One run per occurrence, even with several scheduler instances
+    { unique: true, fields: ['schedule_id', 'scheduled_for'] }
+  ]
+});
+
+// Instance methods
+ScheduledDistributionRun.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    scheduleId: this.schedule_id,
+    scheduledFor: this.scheduled_for,
+    status: this.status,
+    late: this.late,
+    distributionId: this.distribution_id,
+    distributionStatus: this.distribution ? this.distribution.status : undefined,
+    jobId: this.job_id,
+    error: this.error,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const ScheduledDistribution = require('./ScheduledDistribution');
+const Distribution = require('./Distribution');
+ScheduledDistributionRun.belongsTo(ScheduledDistribution, {
+  foreignKey: 'schedule_id',
+  as: 'schedule',
+  onDelete: 'CASCADE'
+});
+ScheduledDistribution.hasMany(ScheduledDistributionRun, {
+  foreignKey: 'schedule_id',
+  as: 'runs',
+  onDelete: 'CASCADE'
+});
+ScheduledDistributionRun.belongsTo(Distribution, {
+  foreignKey: 'distribution_id',
+  as: 'distribution'
+});
+
+module.exports = ScheduledDistributionRun;
@@ -0,0 +1,89 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEGACY_NETWORK_ID } = require('../config/networks');
+
+// ERC-20 token that wallets and distributions can use, managed by administrators
+const Token = sequelize.define('Token', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Network id (see config/networks.js); address and symbol are unique per network
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: LEGACY_NETWORK_ID
+  },
+  // Contract address in EIP-55 checksum form
+  address: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Stored upper case; requests may name a token by symbol in any case
+  symbol: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Read from the contract when the token is registered
+  decimals: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 0,
+      max: 36
+    }
+  },
+  // Disabled tokens keep their history but cannot be used for new transfers
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  // Used by requests that name no token; at most one token per network is the default
+  is_default: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_default'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'created_by'
+  }
+}, {
+  tableName: 'tokens',
+  indexes: [
+    { unique: true, fields: ['network', 'address'] },
+    { unique: true, fields: ['network', 'symbol'] },
+    { fields: ['enabled'] }
+  ]
+});
+
+Token.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    network: this.network,
+    address: this.address,
+    symbol: this.symbol,
+    name: this.name,
+    decimals: this.decimals,
+    enabled: this.enabled,
+    isDefault: this.is_default,
+    // False for the TOKEN_CONTRACT_ADDRESS fallback used before any default is registered
+    registered: !this.isNewRecord,
+    createdAt: this.created_at,
+    updatedAt: this.updated_at
+  };
+};
+
+module.exports = Token;
@@ -0,0 +1,257 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const networkService = require('../services/networkService');
+const payRateService = require('../services/payRateService');
+
+// Every transaction sent from a custodial wallet, tracked by the transaction
+// watcher until it is final
+const Transaction = sequelize.define('Transaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Owner of the sending wallet; null for transactions sent outside a user's request
+  // (scripts) and for gas top-ups, which the gas station's treasury sends
+  user_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    },
+    field: 'user_id'
+  },
+  // Network id (see config/networks.js)
+  network: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  hash: {
+    type: DataTypes.STRING(66),
+    allowNull: false
+  },
+  // What the transaction does
+  kind: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [['token_transfer', 'native_transfer', 'batch_transfer', 'approval', 'cancellation', 'gas_top_up']]
+    }
+  },
+  from_address: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    field: 'from_address'
+  },
+  // Recipient of the tokens or native currency; the batch contract for batch
+  // transfers and the approved spender for approvals
+  to_address: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'to_address'
+  },
+  token_contract_address: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'token_contract_address'
+  },
+  // Tokens or native currency moved, in whole units
+  amount: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: true
+  },
+  distribution_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'distributions',
+      key: 'id'
+    },
+    field: 'distribution_id'
+  },
+  nonce: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  // Call data, kept so a speed-up can send the same call again
+  data: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Gas values in wei (gas units for gas_limit and gas_used), stored as strings
+  gas_limit: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'gas_limit'
+  },
+  gas_price: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'gas_price'
+  },
+  max_fee_per_gas: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'max_fee_per_gas'
+  },
+  max_priority_fee_per_gas: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'max_priority_fee_per_gas'
+  },
+  gas_used: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'gas_used'
+  },
+  effective_gas_price: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    field: 'effective_gas_price'
+  },
+  // PENDING until the transaction is buried under required_confirmations blocks
+  // (CONFIRMED, or FAILED when it reverted) or disappears from the network (DROPPED)
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'PENDING',
+    validate: {
+      isIn: [['PENDING', 'CONFIRMED', 'FAILED', 'DROPPED']]
+    }
+  },
+  // Block the transaction was last seen mined in; cleared when a reorg removes it
+  block_number: {
+    type: DataTypes.BIGINT,
+    allowNull: true,
+    field: 'block_number'
+  },
+  block_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'block_hash'
+  },
+  confirmations: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  required_confirmations: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1,
+    field: 'required_confirmations'
+  },
+  // Times a reorg moved the transaction to another block or back to the mempool
+  reorg_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'reorg_count'
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Speed-ups and cancellations send a transaction with the same nonce; these
+  // link the transactions of one nonce in the order they were sent
+  replaces_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'replaces_hash'
+  },
+  replaced_by_hash: {
+    type: DataTypes.STRING(66),
+    allowNull: true,
+    field: 'replaced_by_hash'
+  },
+  // Replacements sent before this one for the same nonce
+  replacement_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    field: 'replacement_count'
+  },
+  // Last time the network knew the transaction (mempool or block)
+  last_seen_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_seen_at'
+  },
+  last_checked_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'last_checked_at'
+  },
+  // Set with the final status
+  finalized_at: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    field: 'finalized_at'
+  }
+}, {
+  tableName: 'transactions',
+  indexes: [
+    { unique: true, fields: ['network', 'hash'] },
+    { fields: ['status', 'network'] },
+    { fields: ['user_id', 'created_at'] },
+    { fields: ['distribution_id'] }
+  ]
+});
+
+// Instance methods
+Transaction.prototype.isFinal = function() {
+  return this.status !== 'PENDING';
+};
+
+// Pending and not in a block yet, so a transaction with the same nonce can still take its place
+Transaction.prototype.isReplaceable = function() {
+  return this.status === 'PENDING' && !this.block_hash;
+};
+
+Transaction.prototype.getPublicInfo = function() {
+  return {
+    id: this.id,
+    network: this.network,
+    hash: this.hash,
+    kind: this.kind,
+    from: this.from_address,
+    to: this.to_address,
+    tokenContract: this.token_contract_address,
+    amount: payRateService.normalizeDecimal(this.amount),
+    distributionId: this.distribution_id,
+    nonce: this.nonce,
+    gasLimit: this.gas_limit,
+    gasPrice: this.gas_price,
+    maxFeePerGas: this.max_fee_per_gas,
+    maxPriorityFeePerGas: this.max_priority_fee_per_gas,
+    gasUsed: this.gas_used,
+    effectiveGasPrice: this.effective_gas_price,
+    status: this.status,
+    final: this.isFinal(),
+    blockNumber: this.block_number,
+    blockHash: this.block_hash,
+    confirmations: this.confirmations,
+    requiredConfirmations: this.required_confirmations,
+    reorgCount: this.reorg_count,
+    error: this.error,
+    replaces: this.replaces_hash,
+    replacedBy: this.replaced_by_hash,
+    // Transactions of a network removed from the configuration have no link
+    explorerUrl: networkService.networks.has(this.network)
+      ? networkService.getExplorerUrl(this.network, this.hash)
+      : null,
+    lastCheckedAt: this.last_checked_at,
+    finalizedAt: this.finalized_at,
+    createdAt: this.created_at
+  };
+};
+
+// Associations
+const User = require('./User');
+Transaction.belongsTo(User, {
+  foreignKey: 'user_id',
+  as: 'user'
+});
+
+module.exports = Transaction;
@@ -2,6 +2,7 @@ const { DataTypes } = require('sequelize');
 const bcrypt = require('bcryptjs');
 const { sequelize } = require('../config/database');
 const encryptionService = require('../services/encryptionService');
+const payRateService = require('../services/payRateService');
 
 const User = sequelize.define('User', {
   id: {
@@ -41,11 +42,40 @@ const User = sequelize.define('User', {
     allowNull: false,
     field: 'custodial_wallet_mnemonic'
   },
+  default_rate: {
+    type: DataTypes.DECIMAL(36, 18),
+    allowNull: false,
+    defaultValue: 1,
+    field: 'default_rate'
+  },
+  rounding_policy: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'floor',
+    field: 'rounding_policy',
+    validate: {
+      isIn: [['floor', 'round', 'ceil', 'exact']]
+    }
+  },
+  // Per-account approval thresholds; may only be stricter than the system thresholds
+  approval_thresholds: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    defaultValue: {},
+    field: 'approval_thresholds'
+  },
   is_active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true,
     field: 'is_active'
   },
+  // Administrators manage deployment-wide settings such as the token registry
+  is_admin: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false,
+    field: 'is_admin'
+  },
   last_login: {
     type: DataTypes.DATE,
     allowNull: true,
@@ -113,6 +143,13 @@ const User = sequelize.define('User', {
 });
 
 // Instance methods
+User.prototype.getPaySettings = function() {
+  return {
+    defaultRate: payRateService.normalizeDecimal(this.default_rate),
+    rounding: this.rounding_policy
+  };
+};
+
 User.prototype.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
@@ -124,7 +161,9 @@ User.prototype.getPublicProfile = function() {
     custodialWallet: {
       address: this.custodial_wallet_address
     },
+    paySettings: this.getPaySettings(),
     isActive: this.is_active,
+    isAdmin: this.is_admin,
     lastLogin: this.last_login,
     createdAt: this.created_at
   };
@@ -0,0 +1,489 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate, authenticateToken, requireAdmin } = require('../middleware/auth');
+const approvalService = require('../services/approvalService');
+const payRateService = require('../services/payRateService');
+const User = require('../models/User');
+const AccountApprover = require('../models/AccountApprover');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalEvent = require('../models/ApprovalEvent');
+
+const router = express.Router();
+
+// HTTP status for each error raised while deciding a request
+const DECISION_ERROR_STATUS = {
+  SELF_APPROVAL_NOT_ALLOWED: 403,
+  NOT_AN_APPROVER: 403,
+  APPROVAL_NOT_PENDING: 409,
+  APPROVAL_EXPIRED: 410
+};
+
+/**
+ * Find an approval request the user may see: one made from their account or
+ * one for an account they approve for
+ */
+const findVisibleRequest = async (req) => {
+  const approvalRequest = await ApprovalRequest.findByPk(req.params.id, {
+    include: [{ model: ApprovalEvent, as: 'events' }],
+    order: [[{ model: ApprovalEvent, as: 'events' }, 'id', 'ASC']]
+  });
+  if (!approvalRequest) return null;
+
+  if (approvalRequest.user_id === req.user.id ||
+      await approvalService.isApprover(approvalRequest.user_id, req.user.id)) {
+    return approvalRequest;
+  }
+  return null;
+};
+
+const respondRequestNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Approval request not found',
+  message: 'The requested approval request does not exist or you do not have permission to access it.',
+  code: 'APPROVAL_REQUEST_NOT_FOUND'
+});
+
+/**
+ * @route   GET /api/approvals/settings
+ * @desc    Get the account's approval thresholds and designated approvers
+ * @access  Private
+ */
+router.get('/settings', authenticate, async (req, res) => {
+  try {
+    const approvers = await AccountApprover.findAll({
+      where: { user_id: req.user.id },
+      include: [{ model: User, as: 'approver', attributes: ['id', 'email'] }],
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        thresholds: approvalService.getThresholds(req.user),
+        accountThresholds: req.user.approval_thresholds,
+        systemThresholds: approvalService.systemThresholds,
+        assetThresholds: approvalService.assetThresholds,
+        expiryHours: approvalService.expiryHours,
+        approvers: approvers.map(approver => approver.getPublicInfo())
+      }
+    });
+  } catch (error) {
+    console.error('Approval settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approval settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/approvals/settings
+ * @desc    Set the account's own approval thresholds. They can only be stricter
+ *          than the system thresholds; null falls back to the system threshold.
+ * @access  Private (JWT only)
+ */
+router.put('/settings', [
+  authenticateToken,
+  body('thresholds').isObject().withMessage('Thresholds must be an object'),
+  body('thresholds.*').custom(value => value === null || payRateService.isValidRate(value)).withMessage('Thresholds must be positive decimal numbers or null')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const thresholds = { ...req.user.approval_thresholds };
+    for (const [key, value] of Object.entries(req.body.thresholds)) {
+      if (!approvalService.thresholdKeys.includes(key)) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown threshold: ${key}`,
+          message: `Thresholds are ${approvalService.thresholdKeys.join(', ')}.`,
+          code: 'INVALID_THRESHOLD'
+        });
+      }
+
+      const normalized = value === null ? null : payRateService.normalizeDecimal(value);
+      const limitError = approvalService.checkThresholdSetting(key, normalized);
+      if (limitError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Threshold above system limit',
+          message: limitError,
+          code: 'THRESHOLD_ABOVE_SYSTEM_LIMIT'
+        });
+      }
+
+      if (normalized === null) {
+        delete thresholds[key];
+      } else {
+        thresholds[key] = normalized;
+      }
+    }
+
+    await req.user.update({ approval_thresholds: thresholds });
+
+    res.json({
+      success: true,
+      message: 'Approval thresholds updated successfully',
+      data: {
+        thresholds: approvalService.getThresholds(req.user),
+        accountThresholds: req.user.approval_thresholds
+      }
+    });
+
+  } catch (error) {
+    console.error('Approval settings update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update approval settings'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/approvals/approvers
+ * @desc    Designate a user (by email) as an approver for an account (by
+ *          email). Only administrators assign approvers, so an owner cannot
+ *          approve its own transfers from a second account.
+ * @access  Admin (JWT only)
+ */
+router.post('/approvers', [
+  authenticateToken,
+  requireAdmin,
+  body('accountEmail').isEmail().normalizeEmail().withMessage('Valid account email is required'),
+  body('email').isEmail().normalizeEmail().withMessage('Valid email is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const [accountUser, approverUser] = await Promise.all([
+      User.findOne({ where: { email: req.body.accountEmail, is_active: true } }),
+      User.findOne({ where: { email: req.body.email, is_active: true } })
+    ]);
+    if (!accountUser || !approverUser) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: `No active user with the ${accountUser ? 'approver' : 'account'} email exists.`,
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (approverUser.id === accountUser.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot approve your own requests',
+        message: 'Approvers must be a different user from the account owner.',
+        code: 'SELF_APPROVAL_NOT_ALLOWED'
+      });
+    }
+
+    const [approver, created] = await AccountApprover.findOrCreate({
+      where: { user_id: accountUser.id, approver_id: approverUser.id }
+    });
+    approver.account = accountUser;
+    approver.approver = approverUser;
+
+    console.log(`Admin ${req.user.id} made ${approverUser.id} an approver for account ${accountUser.id}`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Approver added successfully' : 'User is already an approver',
+      data: {
+        approver: approver.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    console.error('Approver creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add approver'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/approvals/approvers/:id
+ * @desc    Remove an approver. The account owner cannot remove its last
+ *          approver; an approver can always step down.
+ * @access  Private (JWT only)
+ */
+router.delete('/approvers/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid approver ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const approver = await AccountApprover.findOne({
+      where: {
+        id: req.params.id,
+        [Op.or]: [{ user_id: req.user.id }, { approver_id: req.user.id }]
+      }
+    });
+
+    if (!approver) {
+      return res.status(404).json({
+        success: false,
+        error: 'Approver not found',
+        code: 'APPROVER_NOT_FOUND'
+      });
+    }
+
+    if (approver.user_id === req.user.id) {
+      const remaining = await AccountApprover.count({ where: { user_id: req.user.id } });
+      if (remaining <= 1) {
+        return res.status(409).json({
+          success: false,
+          error: 'Cannot remove the last approver',
+          message: 'Add another approver first, so large transfers always need a second person.',
+          code: 'LAST_APPROVER'
+        });
+      }
+    }
+
+    await approver.destroy();
+
+    res.json({
+      success: true,
+      message: 'Approver removed successfully'
+    });
+
+  } catch (error) {
+    console.error('Approver removal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove approver'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/approvals/requests
+ * @desc    List approval requests made from this account (scope=mine, default)
+ *          or waiting on this user as an approver (scope=review)
+ * @access  Private
+ */
+router.get('/requests', [
+  authenticate,
+  query('scope').optional().isIn(['mine', 'review']).withMessage('Scope must be mine or review'),
+  query('status')
+    .optional()
+    .isIn(['PENDING_APPROVAL', 'APPROVED', 'EXECUTED', 'FAILED', 'REJECTED', 'EXPIRED'])
+    .withMessage('Invalid approval status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    let accountIds = [req.user.id];
+    if (req.query.scope === 'review') {
+      const approvals = await AccountApprover.findAll({
+        attributes: ['user_id'],
+        where: { approver_id: req.user.id },
+        raw: true
+      });
+      accountIds = approvals.map(approval => approval.user_id);
+    }
+
+    await approvalService.expireOverdue({ user_id: { [Op.in]: accountIds } });
+
+    const where = { user_id: { [Op.in]: accountIds } };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const { count, rows: approvalRequests } = await ApprovalRequest.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        requests: approvalRequests.map(approvalRequest => approvalRequest.getPublicInfo()),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Approval request list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approval requests',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/approvals/requests/:id
+ * @desc    Get an approval request with its full decision trail
+ * @access  Private (account owner or its approvers)
+ */
+router.get('/requests/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid approval request ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await approvalService.expireOverdue({ id: req.params.id });
+
+    const approvalRequest = await findVisibleRequest(req);
+    if (!approvalRequest) {
+      return respondRequestNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        request: approvalRequest.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    console.error('Approval request fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch approval request',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Approve or reject a request as a designated approver
+ */
+const decisionHandler = (decision) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    await approvalService.expireOverdue({ id: req.params.id });
+
+    const approvalRequest = await findVisibleRequest(req);
+    if (!approvalRequest) {
+      return respondRequestNotFound(res);
+    }
+
+    const comment = req.body.comment || null;
+    if (decision === 'approve') {
+      await approvalService.approve(approvalRequest, req.user, comment);
+    } else {
+      await approvalService.reject(approvalRequest, req.user, comment);
+    }
+
+    const updated = await findVisibleRequest(req);
+
+    res.json({
+      success: true,
+      message: decision === 'approve'
+        ? `Request approved and ${updated.status === 'EXECUTED' ? 'executed' : 'failed to execute'}`
+        : 'Request rejected',
+      data: {
+        request: updated.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    const status = DECISION_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    console.error(`Approval ${decision} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${decision} request`,
+      details: error.message
+    });
+  }
+};
+
+/**
+ * @route   POST /api/approvals/requests/:id/approve
+ * @desc    Approve a pending request; the distribution is queued or the
+ *          withdrawal sent straight away
+ * @access  Private (JWT only, designated approvers)
+ */
+router.post('/requests/:id/approve', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid approval request ID'),
+  body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+], decisionHandler('approve'));
+
+/**
+ * @route   POST /api/approvals/requests/:id/reject
+ * @desc    Reject a pending request; a held distribution is cancelled
+ * @access  Private (JWT only, designated approvers)
+ */
+router.post('/requests/:id/reject', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Invalid approval request ID'),
+  body('comment').optional().isString().isLength({ max: 1000 }).withMessage('Comment must be at most 1000 characters')
+], decisionHandler('reject'));
+
+module.exports = router;
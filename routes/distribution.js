@@ -1,19 +1,273 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
+const { handleIdempotencyKey } = require('../middleware/idempotency');
+const { resolveNetwork } = require('../middleware/network');
+const { resolveToken } = require('../middleware/token');
 const custodialWalletService = require('../services/custodialWalletService');
+const distributionService = require('../services/distributionService');
+const distributionWorker = require('../services/distributionWorker');
+const { FEE_SPEEDS } = require('../services/feePolicyService');
+const approvalService = require('../services/approvalService');
+const payRateService = require('../services/payRateService');
+const payeeService = require('../services/payeeService');
+const recipientImportService = require('../services/recipientImportService');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const sseService = require('../services/sseService');
 const encryptionService = require('../services/encryptionService');
 const User = require('../models/User');
+const Distribution = require('../models/Distribution');
+const DistributionItem = require('../models/DistributionItem');
+const DistributionJob = require('../models/DistributionJob');
+const DistributionUpload = require('../models/DistributionUpload');
 
 const router = express.Router();
 
+const UPLOAD_EXPIRY_HOURS = parseInt(process.env.UPLOAD_EXPIRY_HOURS) || 24;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: (parseInt(process.env.UPLOAD_MAX_FILE_SIZE_MB) || 5) * 1024 * 1024,
+    files: 1
+  }
+});
+
+/**
+ * Accept a single multipart `file` field; upload errors become 400 responses
+ */
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload',
+        details: error.message,
+        code: 'INVALID_UPLOAD'
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * Queue a recorded distribution for the background worker and reply with the job id
+ */
+const respondQueued = async (res, distribution, extraData = {}) => {
+  const job = await distributionWorker.enqueue(distribution);
+
+  return res.status(202).json({
+    success: true,
+    message: 'Distribution queued for processing',
+    data: {
+      jobId: job.id,
+      distributionId: distribution.id,
+      status: job.status,
+      totalRecipients: distribution.total_recipients,
+      statusUrl: `/api/distributions/jobs/${job.id}`,
+      eventsUrl: `/api/distributions/jobs/${job.id}/events`,
+      ...extraData
+    }
+  });
+};
+
+/**
+ * Reply to a run refused by the pre-flight funds check
+ */
+const respondInsufficientFunds = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Insufficient funds',
+    message: 'The custodial wallet cannot cover the whole distribution and nothing was sent. Top up the wallet, or set "allowPartial": true to pay recipients until funds run out.',
+    code: 'INSUFFICIENT_FUNDS',
+    details: error.details
+  });
+};
+
+/**
+ * Reply to a run refused because a single transaction would cost more than the network's fee cap
+ */
+const respondFeeCapExceeded = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Fee cap exceeded',
+    message: 'Network fees are above the fee cap for a single transaction and nothing was sent. Try again later or with "feeSpeed": "slow".',
+    code: 'FEE_CAP_EXCEEDED',
+    details: error.details
+  });
+};
+
+/**
+ * Recipient checks requested in the body of a distribution request, on the request's network
+ */
+const getValidationOptions = (req) => ({
+  allowDuplicateWallets: req.body.allowDuplicateWallets === true,
+  checkContracts: req.body.checkContracts === true,
+  network: req.network.id
+});
+
+/**
+ * Recipients with at least one issue; once a run passes validation these are its warnings
+ */
+const getRecipientIssues = (validation) => validation.filter(result => result.issues.length > 0);
+
+/**
+ * Reply to a run refused because recipients failed validation. `details` lists
+ * every recipient with issues by position, each issue with its own code.
+ */
+const respondInvalidRecipients = (res, validation) => {
+  const invalidCount = validation.filter(result => !result.valid).length;
+
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid recipients',
+    message: `${invalidCount} recipient(s) failed validation; nothing was recorded or sent.`,
+    code: 'INVALID_RECIPIENTS',
+    details: getRecipientIssues(validation)
+  });
+};
+
+/**
+ * Reply to recipients given by a payee id that is unknown or archived;
+ * returns false for other errors
+ */
+const respondPayeeError = (res, error) => {
+  if (error.code !== 'PAYEE_NOT_FOUND' && error.code !== 'PAYEE_ARCHIVED') return false;
+
+  res.status(400).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+  return true;
+};
+
+/**
+ * Reply to a run held until an approver accepts it
+ */
+const respondPendingApproval = (res, approvalRequest, extraData = {}) => {
+  return res.status(202).json({
+    success: true,
+    message: 'Distribution is above the approval threshold and is waiting for a designated approver',
+    code: 'APPROVAL_REQUIRED',
+    data: {
+      approvalRequestId: approvalRequest.id,
+      distributionId: approvalRequest.distribution_id,
+      status: approvalRequest.status,
+      amount: payRateService.normalizeDecimal(approvalRequest.amount),
+      threshold: payRateService.normalizeDecimal(approvalRequest.threshold),
+      expiresAt: approvalRequest.expires_at,
+      statusUrl: `/api/approvals/requests/${approvalRequest.id}`,
+      ...extraData
+    }
+  });
+};
+
+/**
+ * Who asked for a run, as recorded on an approval request
+ */
+const getApprovalContext = (req) => ({
+  requestedVia: req.authType,
+  apiKeyId: req.apiKey ? req.apiKey.id : null
+});
+
+/**
+ * Pay terms of a run: values in the request override the user's pay settings
+ */
+const getPayTerms = (body, user) => ({
+  rate: body.rate !== undefined ? body.rate : user.default_rate,
+  rounding: body.rounding || user.rounding_policy
+});
+
+/**
+ * Pause, cancel or resume a run of the authenticated user
+ */
+const controlHandler = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    let distribution = await Distribution.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!distribution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Distribution not found',
+        message: 'The requested distribution does not exist or you do not have permission to access it.',
+        code: 'DISTRIBUTION_NOT_FOUND'
+      });
+    }
+
+    if (action === 'pause') {
+      distribution = await distributionService.pauseDistribution(distribution);
+      return res.status(202).json({
+        success: true,
+        message: 'Pause requested; the run stops before its next recipient',
+        data: { distribution: distribution.getPublicInfo() }
+      });
+    }
+
+    if (action === 'cancel') {
+      distribution = await distributionService.cancelDistribution(distribution);
+      const cancelled = distribution.status === 'CANCELLED';
+      return res.status(cancelled ? 200 : 202).json({
+        success: true,
+        message: cancelled
+          ? 'Distribution cancelled'
+          : 'Cancellation requested; the run stops before its next recipient',
+        data: { distribution: distribution.getPublicInfo() }
+      });
+    }
+
+    distribution = await distributionService.resumeDistribution(distribution);
+    if (distribution.status !== 'PENDING') {
+      return res.json({
+        success: true,
+        message: 'Pause request withdrawn; the run continues',
+        data: { distribution: distribution.getPublicInfo() }
+      });
+    }
+
+    console.log(`Resuming distribution ${distribution.id}`);
+    return await respondQueued(res, distribution);
+
+  } catch (error) {
+    if (['DISTRIBUTION_NOT_PAUSABLE', 'DISTRIBUTION_NOT_CANCELLABLE', 'DISTRIBUTION_NOT_PAUSED'].includes(error.code)) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error(`Distribution ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action} distribution`,
+      details: error.message
+    });
+  }
+};
+
 /**
  * @route   POST /api/distribute-tokens
- * @desc    Distribute tokens to one or multiple wallets (requires authentication)
+ * @desc    Distribute tokens to one or multiple wallets (requires authentication).
+ *          With `async: true` the run is queued and a job id is returned immediately.
  * @access  Private
  */
 router.post('/distribute-tokens', [
   authenticate,
+  handleIdempotencyKey,
   body().custom((value) => {
     // Check if it's single recipient format
     if (value.name && value.walletAddress && value.hrsWorked) {
@@ -24,7 +278,16 @@ router.post('/distribute-tokens', [
       return true;
     }
     throw new Error('Invalid request format. Must be single recipient or bulk recipients format.');
-  })
+  }),
+  body('mode').optional().isIn(['sequential', 'pipelined', 'batch']).withMessage('Mode must be sequential, pipelined or batch'),
+  body('feeSpeed').optional().isIn(FEE_SPEEDS).withMessage('feeSpeed must be slow, normal or fast'),
+  body('rate').optional().custom(value => payRateService.isValidRate(value)).withMessage('Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('rounding').optional().isIn(payRateService.roundingPolicies).withMessage('Rounding must be floor, round, ceil or exact'),
+  body('allowPartial').optional().isBoolean().withMessage('allowPartial must be a boolean'),
+  body('allowDuplicateWallets').optional().isBoolean().withMessage('allowDuplicateWallets must be a boolean'),
+  body('checkContracts').optional().isBoolean().withMessage('checkContracts must be a boolean'),
+  resolveNetwork,
+  resolveToken
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -37,19 +300,12 @@ router.post('/distribute-tokens', [
     }
 
     const body = req.body;
-    const tokenContractAddress = process.env.TOKEN_CONTRACT_ADDRESS;
-    
-    if (!tokenContractAddress) {
-      return res.status(500).json({
-        success: false,
-        error: 'Token contract not configured'
-      });
-    }
+    const tokenContractAddress = req.token.address;
     
     // Check if it's a single recipient (backward compatibility) or multiple recipients
     if (body.recipients && Array.isArray(body.recipients)) {
-      // Multiple recipients
-      const { recipients } = body;
+      // Multiple recipients; those given as { payeeId, hrsWorked } take the payee's saved details
+      const recipients = await payeeService.resolveRecipients(req.user.id, body.recipients);
 
       if (!recipients || recipients.length === 0) {
         return res.status(400).json({
@@ -58,25 +314,6 @@ router.post('/distribute-tokens', [
         });
       }
 
-      // Validate all recipients
-      for (let i = 0; i < recipients.length; i++) {
-        const recipient = recipients[i];
-        if (!recipient.name || !recipient.wallet || !recipient.hrsWorked) {
-          return res.status(400).json({
-            success: false,
-            error: `Missing required fields for recipient ${i + 1}: name, wallet, hrsWorked`
-          });
-        }
-
-        const hours = parseFloat(recipient.hrsWorked);
-        if (isNaN(hours) || hours <= 0) {
-          return res.status(400).json({
-            success: false,
-            error: `Invalid hours worked for recipient ${i + 1} (${recipient.name}). Must be a positive number.`
-          });
-        }
-      }
-
       console.log(`Distributing tokens to ${recipients.length} recipients from user's custodial wallet`);
       
       // Fetch user's private key from database
@@ -98,20 +335,47 @@ router.post('/distribute-tokens', [
           code: 'WALLET_NOT_CONFIGURED'
         });
       }
+
+      const validation = await distributionService.validateRecipients(
+        user.custodial_wallet_address,
+        recipients,
+        getValidationOptions(req)
+      );
+      if (validation.some(result => !result.valid)) {
+        return respondInvalidRecipients(res, validation);
+      }
+      const warnings = getRecipientIssues(validation);
                 
-      const results = await custodialWalletService.distributeFromCustodialWallet(
-        user.custodial_wallet_private_key,
+      const distribution = await distributionService.createDistribution(
+        user.id,
         recipients,
-        tokenContractAddress
+        tokenContractAddress,
+        { network: req.network.id, source: 'bulk', mode: body.mode, feeSpeed: body.feeSpeed, allowPartial: body.allowPartial, ...getPayTerms(body, user) }
+      );
+
+      const approvalRequest = await approvalService.holdDistribution(distribution, user, getApprovalContext(req));
+      if (approvalRequest) {
+        return respondPendingApproval(res, approvalRequest, { warnings });
+      }
+
+      if (body.async === true) {
+        return await respondQueued(res, distribution, { warnings });
+      }
+
+      const results = await distributionService.executeDistribution(
+        distribution,
+        user.custodial_wallet_private_key
       );
 
       res.json({
         success: true,
         message: `Tokens distributed successfully to ${recipients.length} recipients`,
         data: {
+          distributionId: distribution.id,
           totalRecipients: recipients.length,
           successfulDistributions: results.filter(r => r.success).length,
           failedDistributions: results.filter(r => !r.success).length,
+          warnings,
           results: results
         }
       });
@@ -128,16 +392,8 @@ router.post('/distribute-tokens', [
       }
 
       const hours = parseFloat(hrsWorked);
-      if (isNaN(hours) || hours <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid hours worked. Must be a positive number.'
-        });
-      }
 
-      const tokensToDistribute = Math.floor(hours);
-
-      console.log(`Distributing ${tokensToDistribute} tokens to ${walletAddress} for ${hours} hours worked from user's custodial wallet`);
+      console.log(`Distributing tokens to ${walletAddress} for ${hours} hours worked from user's custodial wallet`);
       
       // Fetch user's private key from database
       const user = await User.findByPk(req.user.id);
@@ -158,36 +414,70 @@ router.post('/distribute-tokens', [
           code: 'WALLET_NOT_CONFIGURED'
         });
       }
-      console.log('user.custodial_wallet_private_key', user.custodial_wallet_private_key);
-      // Decrypt the private key before using it
-      
-      const transactionResult = await custodialWalletService.withdrawTokens(
-        user.custodial_wallet_private_key,
-        walletAddress,
-        tokensToDistribute,
-        tokenContractAddress
+
+      // Same checks as the bulk format; the wallet's issues are reported on field "wallet" at position 0
+      const validation = await distributionService.validateRecipients(
+        user.custodial_wallet_address,
+        [{ name, wallet: walletAddress, hrsWorked }],
+        getValidationOptions(req)
+      );
+      if (!validation[0].valid) {
+        return respondInvalidRecipients(res, validation);
+      }
+      const warnings = getRecipientIssues(validation);
+
+      const distribution = await distributionService.createDistribution(
+        user.id,
+        [{ name, wallet: walletAddress, hrsWorked: hours }],
+        tokenContractAddress,
+        { network: req.network.id, source: 'single', mode: body.mode, feeSpeed: body.feeSpeed, allowPartial: body.allowPartial, ...getPayTerms(body, user) }
+      );
+
+      const approvalRequest = await approvalService.holdDistribution(distribution, user, getApprovalContext(req));
+      if (approvalRequest) {
+        return respondPendingApproval(res, approvalRequest, { warnings });
+      }
+
+      if (body.async === true) {
+        return await respondQueued(res, distribution, { warnings });
+      }
+
+      const [result] = await distributionService.executeDistribution(
+        distribution,
+        user.custodial_wallet_private_key
       );
 
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+
+      const transactionResult = result.transaction;
+
       res.json({
         success: true,
         message: 'Tokens distributed successfully',
         data: {
+          distributionId: distribution.id,
           recipient: {
             name,
             walletAddress
           },
-          distribution: {
-            hoursWorked: hours,
-            tokensDistributed: tokensToDistribute,
-            rate: '1 token per hour'
-          },
-          transaction: transactionResult
+          distribution: result.distribution,
+          transaction: transactionResult,
+          warnings
         }
       });
     }
 
   } catch (error) {
+    if (respondPayeeError(res, error)) return;
     console.error('Token distribution error:', error);
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return respondInsufficientFunds(res, error);
+    }
+    if (error.code === 'FEE_CAP_EXCEEDED') {
+      return respondFeeCapExceeded(res, error);
+    }
     res.status(500).json({
       success: false,
       error: 'Failed to distribute tokens',
@@ -196,6 +486,93 @@ router.post('/distribute-tokens', [
   }
 });
 
+/**
+ * @route   POST /api/distribute-tokens/preview
+ * @desc    Dry run of POST /api/distribute-tokens: validates recipients, quotes the
+ *          tokens and gas required and compares them with the wallet's balances.
+ *          Nothing is recorded or broadcast.
+ * @access  Private
+ */
+router.post('/distribute-tokens/preview', [
+  authenticate,
+  body().custom((value) => {
+    if (value.recipients && Array.isArray(value.recipients)) {
+      return true;
+    }
+    if (value.walletAddress !== undefined || value.hrsWorked !== undefined) {
+      return true;
+    }
+    throw new Error('Invalid request format. Must be single recipient or bulk recipients format.');
+  }),
+  body('mode').optional().isIn(['sequential', 'pipelined', 'batch']).withMessage('Mode must be sequential, pipelined or batch'),
+  body('feeSpeed').optional().isIn(FEE_SPEEDS).withMessage('feeSpeed must be slow, normal or fast'),
+  body('rate').optional().custom(value => payRateService.isValidRate(value)).withMessage('Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('rounding').optional().isIn(payRateService.roundingPolicies).withMessage('Rounding must be floor, round, ceil or exact'),
+  body('allowDuplicateWallets').optional().isBoolean().withMessage('allowDuplicateWallets must be a boolean'),
+  body('checkContracts').optional().isBoolean().withMessage('checkContracts must be a boolean'),
+  resolveNetwork,
+  resolveToken
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const body = req.body;
+    const tokenContractAddress = req.token.address;
+
+    const recipients = Array.isArray(body.recipients)
+      ? await payeeService.resolveRecipients(req.user.id, body.recipients)
+      : [{ name: body.name, wallet: body.walletAddress, hrsWorked: body.hrsWorked }];
+
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No recipients provided'
+      });
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'The authenticated user could not be found in the database. Please log in again.',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const preview = await distributionService.previewDistribution(
+      user.custodial_wallet_address,
+      recipients,
+      tokenContractAddress,
+      { mode: body.mode, feeSpeed: body.feeSpeed, ...getPayTerms(body, user), ...getValidationOptions(req) }
+    );
+
+    res.json({
+      success: true,
+      message: preview.verdict === 'GO'
+        ? 'Distribution can proceed'
+        : 'Distribution would not succeed; see blockers',
+      data: preview
+    });
+
+  } catch (error) {
+    if (respondPayeeError(res, error)) return;
+    console.error('Distribution preview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview distribution',
+      details: error.message
+    });
+  }
+});
+
 /**
  * @route   POST /api/distribute-tokens-stream
  * @desc    Distribute tokens with streaming progress updates (requires authentication)
@@ -209,7 +586,17 @@ router.post('/distribute-tokens-stream', [
       return true;
     }
     throw new Error('Invalid request format. Streaming endpoint only supports bulk recipients format.');
-  })
+  }),
+  body('mode').optional().isIn(['sequential', 'pipelined', 'batch']).withMessage('Mode must be sequential, pipelined or batch'),
+  body('feeSpeed').optional().isIn(FEE_SPEEDS).withMessage('feeSpeed must be slow, normal or fast'),
+  body('rate').optional().custom(value => payRateService.isValidRate(value)).withMessage('Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('rounding').optional().isIn(payRateService.roundingPolicies).withMessage('Rounding must be floor, round, ceil or exact'),
+  body('allowPartial').optional().isBoolean().withMessage('allowPartial must be a boolean'),
+  body('allowDuplicateWallets').optional().isBoolean().withMessage('allowDuplicateWallets must be a boolean'),
+  body('checkContracts').optional().isBoolean().withMessage('checkContracts must be a boolean'),
+  body('onDisconnect').optional().isIn(['pause', 'cancel', 'continue']).withMessage('onDisconnect must be pause, cancel or continue'),
+  resolveNetwork,
+  resolveToken
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -221,15 +608,10 @@ router.post('/distribute-tokens-stream', [
       });
     }
 
-    const { recipients } = req.body;
-    const tokenContractAddress = process.env.TOKEN_CONTRACT_ADDRESS;
-    
-    if (!tokenContractAddress) {
-      return res.status(500).json({
-        success: false,
-        error: 'Token contract not configured'
-      });
-    }
+    const tokenContractAddress = req.token.address;
+
+    // Recipients given as { payeeId, hrsWorked } take the payee's saved details
+    const recipients = await payeeService.resolveRecipients(req.user.id, req.body.recipients);
 
     if (!recipients || recipients.length === 0) {
       return res.status(400).json({
@@ -238,25 +620,6 @@ router.post('/distribute-tokens-stream', [
       });
     }
 
-    // Validate all recipients
-    for (let i = 0; i < recipients.length; i++) {
-      const recipient = recipients[i];
-      if (!recipient.name || !recipient.wallet || !recipient.hrsWorked) {
-        return res.status(400).json({
-          success: false,
-          error: `Missing required fields for recipient ${i + 1}: name, wallet, hrsWorked`
-        });
-      }
-
-      const hours = parseFloat(recipient.hrsWorked);
-      if (isNaN(hours) || hours <= 0) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid hours worked for recipient ${i + 1} (${recipient.name}). Must be a positive number.`
-        });
-      }
-    }
-
     console.log(`Streaming distribution to ${recipients.length} recipients from user's custodial wallet`);
     
     // Fetch user's private key from database
@@ -279,66 +642,62 @@ router.post('/distribute-tokens-stream', [
       });
     }
 
-    // Set up Server-Sent Events
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    // Refused before the event stream opens, so the client gets a plain JSON error
+    const validation = await distributionService.validateRecipients(
+      user.custodial_wallet_address,
+      recipients,
+      getValidationOptions(req)
+    );
+    if (validation.some(result => !result.valid)) {
+      return respondInvalidRecipients(res, validation);
+    }
 
-    // Send initial message
-    res.write(`data: ${JSON.stringify({
-      type: 'start',
-      total: recipients.length,
-      message: `Starting distribution to ${recipients.length} recipients`
-    })}\n\n`);
+    const distribution = await distributionService.createDistribution(
+      user.id,
+      recipients,
+      tokenContractAddress,
+      { network: req.network.id, source: 'stream', mode: req.body.mode, feeSpeed: req.body.feeSpeed, allowPartial: req.body.allowPartial, ...getPayTerms(req.body, user) }
+    );
 
-    // Progress callback function
-    const onProgress = (progressData) => {
-      try {
-        res.write(`data: ${JSON.stringify(progressData)}\n\n`);
-      } catch (error) {
-        console.error('Error sending progress update:', error);
-      }
-    };
+    const approvalRequest = await approvalService.holdDistribution(distribution, user, getApprovalContext(req));
+    if (approvalRequest) {
+      return respondPendingApproval(res, approvalRequest);
+    }
 
-    // Start distribution with progress callback
-    try {
-      const results = await custodialWalletService.distributeFromCustodialWallet(
-        user.custodial_wallet_private_key,
-        recipients,
-        tokenContractAddress,
-        onProgress
-      );
+    // Set up Server-Sent Events; every event carries an id so the client can
+    // re-attach through GET /api/distributions/:id/events with Last-Event-ID
+    sseService.open(res);
 
-      // Send final summary
-      const successfulCount = results.filter(r => r.success).length;
-      const failedCount = results.filter(r => !r.success).length;
+    // A run whose client went away is paused (or cancelled) instead of paying unattended
+    const onDisconnect = req.body.onDisconnect || 'pause';
+    res.on('close', () => {
+      if (res.writableEnded || onDisconnect === 'continue') return;
 
-      res.write(`data: ${JSON.stringify({
-        type: 'complete',
-        success: true,
-        message: `Distribution completed: ${successfulCount} successful, ${failedCount} failed`,
-        data: {
-          totalRecipients: recipients.length,
-          successfulDistributions: successfulCount,
-          failedDistributions: failedCount,
-          results: results
-        }
-      })}\n\n`);
+      console.warn(`Client disconnected from distribution ${distribution.id} stream; requesting ${onDisconnect}`);
+      Distribution.findByPk(distribution.id)
+        .then(current => {
+          if (!current || current.isFinished()) return null;
+          return onDisconnect === 'cancel'
+            ? distributionService.cancelDistribution(current)
+            : distributionService.pauseDistribution(current);
+        })
+        .catch(error => console.warn(`Could not ${onDisconnect} distribution ${distribution.id}:`, error.message));
+    });
 
-      res.end();
+    await sseService.streamDistribution(res, distribution);
+
+    try {
+      await distributionService.executeDistribution(
+        distribution,
+        user.custodial_wallet_private_key
+      );
     } catch (error) {
+      // Already published to the stream as an error event
       console.error('Distribution error:', error);
-      res.write(`data: ${JSON.stringify({
-        type: 'error',
-        success: false,
-        error: 'Failed to distribute tokens',
-        details: error.message
-      })}\n\n`);
-      res.end();
     }
 
   } catch (error) {
+    if (!res.headersSent && respondPayeeError(res, error)) return;
     console.error('Token distribution streaming error:', error);
     if (!res.headersSent) {
       res.status(500).json({
@@ -347,28 +706,855 @@ router.post('/distribute-tokens-stream', [
         details: error.message
       });
     } else {
-      res.write(`data: ${JSON.stringify({
+      sseService.send(res, {
         type: 'error',
-        success: false,
-        error: 'Failed to distribute tokens',
-        details: error.message
-      })}\n\n`);
+        data: {
+          type: 'error',
+          success: false,
+          error: 'Failed to distribute tokens',
+          details: error.message
+        }
+      });
       res.end();
     }
   }
 });
 
 /**
- * @route   GET /api/distributions
- * @desc    Get distributions endpoint (placeholder)
- * @access  Public
+ * @route   POST /api/distribute-tokens/uploads
+ * @desc    Upload a CSV or XLSX file of recipients and get a validated preview.
+ *          Nothing is sent until the upload is confirmed.
+ * @access  Private
  */
-router.get('/distributions', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Distributions endpoint',
-    data: []
-  });
+router.post('/distribute-tokens/uploads', [
+  authenticate,
+  receiveFile
+], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded',
+        message: 'Send the recipients file as multipart/form-data in the "file" field.',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const format = recipientImportService.detectFormat(req.file.originalname, req.file.mimetype);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unsupported file type',
+        message: 'Upload a .csv or .xlsx file.',
+        code: 'UNSUPPORTED_FILE_TYPE'
+      });
+    }
+
+    let columnMapping = {};
+    if (req.body.mapping) {
+      try {
+        columnMapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        columnMapping = null;
+      }
+
+      if (!columnMapping || typeof columnMapping !== 'object' || Array.isArray(columnMapping)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid column mapping',
+          message: `"mapping" must be a JSON object mapping ${recipientImportService.recipientFields.join(', ')} to column headers.`,
+          code: 'INVALID_COLUMN_MAPPING'
+        });
+      }
+    }
+
+    let parsed;
+    try {
+      parsed = await recipientImportService.parseFile(req.file.buffer, format, columnMapping);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not read file',
+        details: error.message,
+        code: 'INVALID_FILE'
+      });
+    }
+
+    const distributionUpload = await DistributionUpload.create({
+      user_id: req.user.id,
+      filename: req.file.originalname,
+      format,
+      column_mapping: parsed.mapping,
+      recipients: parsed.recipients,
+      row_errors: parsed.errors,
+      total_rows: parsed.totalRows,
+      expires_at: new Date(Date.now() + UPLOAD_EXPIRY_HOURS * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: parsed.errors.length > 0
+        ? `File parsed with ${parsed.errors.length} error(s); fix the file or confirm with skipInvalidRows`
+        : 'File parsed; review the preview and confirm to distribute',
+      data: {
+        upload: distributionUpload.getPublicInfo(),
+        confirmUrl: `/api/distribute-tokens/uploads/${distributionUpload.id}/confirm`
+      }
+    });
+
+  } catch (error) {
+    console.error('Recipients upload error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to process upload',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/distribute-tokens/uploads/:id
+ * @desc    Get the preview of an uploaded recipients file
+ * @access  Private
+ */
+router.get('/distribute-tokens/uploads/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid upload ID'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('Limit must be between 1 and 1000')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const distributionUpload = await DistributionUpload.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!distributionUpload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found',
+        code: 'UPLOAD_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        upload: distributionUpload.getPublicInfo(parseInt(req.query.limit) || 20)
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch upload',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/distribute-tokens/uploads/:id/confirm
+ * @desc    Distribute to the valid rows of an uploaded file through the regular
+ *          distribution pipeline (supports mode, rate, rounding and async)
+ * @access  Private
+ */
+router.post('/distribute-tokens/uploads/:id/confirm', [
+  authenticate,
+  handleIdempotencyKey,
+  param('id').isUUID().withMessage('Invalid upload ID'),
+  body('mode').optional().isIn(['sequential', 'pipelined', 'batch']).withMessage('Mode must be sequential, pipelined or batch'),
+  body('feeSpeed').optional().isIn(FEE_SPEEDS).withMessage('feeSpeed must be slow, normal or fast'),
+  body('rate').optional().custom(value => payRateService.isValidRate(value)).withMessage('Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('rounding').optional().isIn(payRateService.roundingPolicies).withMessage('Rounding must be floor, round, ceil or exact'),
+  body('allowPartial').optional().isBoolean().withMessage('allowPartial must be a boolean'),
+  body('allowDuplicateWallets').optional().isBoolean().withMessage('allowDuplicateWallets must be a boolean'),
+  body('checkContracts').optional().isBoolean().withMessage('checkContracts must be a boolean'),
+  body('skipInvalidRows').optional().isBoolean().withMessage('skipInvalidRows must be a boolean'),
+  resolveNetwork,
+  resolveToken
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const body = req.body;
+    const tokenContractAddress = req.token.address;
+
+    const distributionUpload = await DistributionUpload.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!distributionUpload) {
+      return res.status(404).json({
+        success: false,
+        error: 'Upload not found',
+        code: 'UPLOAD_NOT_FOUND'
+      });
+    }
+
+    if (distributionUpload.status === 'CONFIRMED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload already confirmed',
+        message: 'This file has already been distributed. Upload it again to start a new run.',
+        code: 'UPLOAD_ALREADY_CONFIRMED',
+        distributionId: distributionUpload.distribution_id
+      });
+    }
+
+    if (distributionUpload.isExpired()) {
+      return res.status(410).json({
+        success: false,
+        error: 'Upload expired',
+        message: 'The preview has expired. Upload the file again.',
+        code: 'UPLOAD_EXPIRED'
+      });
+    }
+
+    if (distributionUpload.row_errors.length > 0 && body.skipInvalidRows !== true) {
+      return res.status(422).json({
+        success: false,
+        error: 'Upload has invalid rows',
+        message: 'Fix the rows listed in errors and upload again, or confirm with "skipInvalidRows": true to distribute to the valid rows only.',
+        code: 'UPLOAD_HAS_ERRORS',
+        errors: distributionUpload.row_errors
+      });
+    }
+
+    const recipients = distributionUpload.recipients;
+    if (recipients.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid rows to distribute',
+        code: 'NO_VALID_ROWS'
+      });
+    }
+
+    // Fetch user's private key from database
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'The authenticated user could not be found in the database. Please log in again.',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.custodial_wallet_private_key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Custodial wallet not configured',
+        message: 'Your custodial wallet is not properly configured. Please contact support.',
+        code: 'WALLET_NOT_CONFIGURED'
+      });
+    }
+
+    // Rows are checked one by one on upload; duplicates and self-sends only show across the whole list
+    const validation = await distributionService.validateRecipients(
+      user.custodial_wallet_address,
+      recipients,
+      getValidationOptions(req)
+    );
+    if (validation.some(result => !result.valid)) {
+      return respondInvalidRecipients(res, validation);
+    }
+    const warnings = getRecipientIssues(validation);
+
+    // Claim the upload so concurrent confirmations cannot start two runs
+    const [claimed] = await DistributionUpload.update(
+      { status: 'CONFIRMED' },
+      { where: { id: distributionUpload.id, status: 'PREVIEW' } }
+    );
+    if (claimed === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Upload already confirmed',
+        code: 'UPLOAD_ALREADY_CONFIRMED'
+      });
+    }
+
+    let distribution;
+    try {
+      distribution = await distributionService.createDistribution(
+        user.id,
+        recipients,
+        tokenContractAddress,
+        { network: req.network.id, source: 'upload', mode: body.mode, feeSpeed: body.feeSpeed, allowPartial: body.allowPartial, ...getPayTerms(body, user) }
+      );
+    } catch (error) {
+      await DistributionUpload.update({ status: 'PREVIEW' }, { where: { id: distributionUpload.id } });
+      throw error;
+    }
+
+    await DistributionUpload.update(
+      { distribution_id: distribution.id },
+      { where: { id: distributionUpload.id } }
+    );
+
+    const approvalRequest = await approvalService.holdDistribution(distribution, user, getApprovalContext(req));
+    if (approvalRequest) {
+      return respondPendingApproval(res, approvalRequest, { warnings });
+    }
+
+    console.log(`Distributing tokens to ${recipients.length} recipients from upload ${distributionUpload.id}`);
+
+    if (body.async === true) {
+      return await respondQueued(res, distribution, { warnings });
+    }
+
+    const results = await distributionService.executeDistribution(
+      distribution,
+      user.custodial_wallet_private_key
+    );
+
+    res.json({
+      success: true,
+      message: `Tokens distributed successfully to ${recipients.length} recipients`,
+      data: {
+        distributionId: distribution.id,
+        uploadId: distributionUpload.id,
+        totalRecipients: recipients.length,
+        successfulDistributions: results.filter(r => r.success).length,
+        failedDistributions: results.filter(r => !r.success).length,
+        warnings,
+        results: results
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload confirmation error:', error);
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return respondInsufficientFunds(res, error);
+    }
+    if (error.code === 'FEE_CAP_EXCEEDED') {
+      return respondFeeCapExceeded(res, error);
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to distribute tokens',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/distributions
+ * @desc    List the authenticated user's past distribution runs
+ * @access  Private
+ */
+router.get('/distributions', [
+  authenticate,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(['PENDING_APPROVAL', 'PENDING', 'PROCESSING', 'PAUSED', 'COMPLETED', 'PARTIALLY_COMPLETED', 'FAILED', 'CANCELLED'])
+    .withMessage('Invalid distribution status'),
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date'),
+  query('wallet').optional().isLength({ min: 42, max: 42 }).withMessage('Wallet must be a valid wallet address')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const { status, from, to, wallet } = req.query;
+
+    const where = { user_id: req.user.id };
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (from || to) {
+      where.created_at = {};
+      if (from) where.created_at[Op.gte] = new Date(from);
+      if (to) where.created_at[Op.lte] = new Date(to);
+    }
+
+    if (wallet) {
+      const matchingItems = await DistributionItem.findAll({
+        attributes: ['distribution_id'],
+        where: { wallet_address: { [Op.iLike]: wallet } },
+        group: ['distribution_id'],
+        raw: true
+      });
+      where.id = { [Op.in]: matchingItems.map(item => item.distribution_id) };
+    }
+
+    const { count, rows: distributions } = await Distribution.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        distributions: distributions.map(distribution => distribution.getPublicInfo()),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Distribution history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch distributions',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/distributions/jobs/:id
+ * @desc    Get the status and progress of a background distribution job
+ * @access  Private
+ */
+router.get('/distributions/jobs/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid job ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = await DistributionJob.findOne({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: [{ model: Distribution, as: 'distribution' }]
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job does not exist or you do not have permission to access it.',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    const progress = await distributionService.getProgress(job.distribution);
+    const data = {
+      job: job.getPublicInfo(),
+      distribution: job.distribution.getPublicInfo(),
+      progress
+    };
+
+    if (job.isFinished()) {
+      const items = await DistributionItem.findAll({
+        where: { distribution_id: job.distribution_id },
+        order: [['position', 'ASC']]
+      });
+      data.results = items.map(item => item.getPublicInfo());
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+
+  } catch (error) {
+    console.error('Distribution job fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch job',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/distributions/jobs/:id/events
+ * @desc    Subscribe to progress events of a background distribution job (Server-Sent Events).
+ *          Supports Last-Event-ID replay like GET /api/distributions/:id/events.
+ * @access  Private
+ */
+router.get('/distributions/jobs/:id/events', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid job ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const job = await DistributionJob.findOne({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: [{ model: Distribution, as: 'distribution' }]
+    });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found',
+        message: 'The requested job does not exist or you do not have permission to access it.',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    sseService.open(res);
+    sseService.send(res, { type: 'status', data: { type: 'status', job: job.getPublicInfo() } });
+    await sseService.streamDistribution(res, job.distribution, sseService.getLastEventId(req));
+
+  } catch (error) {
+    console.error('Distribution job events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to subscribe to job events',
+        details: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * @route   GET /api/distributions/:id/events
+ * @desc    Re-attach to a running or finished distribution (Server-Sent Events).
+ *          Replays every event after the Last-Event-ID header (or lastEventId query parameter)
+ *          and follows live events until the run completes.
+ * @access  Private
+ */
+router.get('/distributions/:id/events', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid distribution ID'),
+  query('lastEventId').optional().isInt({ min: 0 }).withMessage('lastEventId must be a non-negative integer')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const distribution = await Distribution.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!distribution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Distribution not found',
+        message: 'The requested distribution does not exist or you do not have permission to access it.',
+        code: 'DISTRIBUTION_NOT_FOUND'
+      });
+    }
+
+    sseService.open(res);
+    await sseService.streamDistribution(res, distribution, sseService.getLastEventId(req));
+
+  } catch (error) {
+    console.error('Distribution events error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to stream distribution events',
+        details: error.message
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * @route   POST /api/distributions/:id/retry
+ * @desc    Re-send only the failed and never-sent recipients of a finished run.
+ *          Failed transfers are checked on chain first, so a recipient whose
+ *          transaction was actually mined is never paid twice. The retry is a
+ *          new run linked to the original through retryOfId.
+ * @access  Private
+ */
+router.post('/distributions/:id/retry', [
+  authenticate,
+  handleIdempotencyKey,
+  param('id').isUUID().withMessage('Invalid distribution ID'),
+  body('mode').optional().isIn(['sequential', 'pipelined', 'batch']).withMessage('Mode must be sequential, pipelined or batch'),
+  body('feeSpeed').optional().isIn(FEE_SPEEDS).withMessage('feeSpeed must be slow, normal or fast'),
+  body('allowPartial').optional().isBoolean().withMessage('allowPartial must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const body = req.body;
+    const distribution = await Distribution.findOne({
+      where: { id: req.params.id, user_id: req.user.id }
+    });
+
+    if (!distribution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Distribution not found',
+        message: 'The requested distribution does not exist or you do not have permission to access it.',
+        code: 'DISTRIBUTION_NOT_FOUND'
+      });
+    }
+
+    if (!['FAILED', 'PARTIALLY_COMPLETED'].includes(distribution.status)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Distribution cannot be retried',
+        message: distribution.isFinished()
+          ? `A ${distribution.status} distribution has nothing to retry.`
+          : 'Wait for the distribution to finish before retrying it.',
+        code: 'DISTRIBUTION_NOT_RETRYABLE',
+        status: distribution.status
+      });
+    }
+
+    // Fetch user's private key from database
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+        message: 'The authenticated user could not be found in the database. Please log in again.',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!user.custodial_wallet_private_key) {
+      return res.status(400).json({
+        success: false,
+        error: 'Custodial wallet not configured',
+        message: 'Your custodial wallet is not properly configured. Please contact support.',
+        code: 'WALLET_NOT_CONFIGURED'
+      });
+    }
+
+    try {
+      await tokenRegistryService.assertEnabled(distribution.token_contract_address, distribution.network);
+    } catch (error) {
+      if (error.code !== 'TOKEN_DISABLED') throw error;
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        message: 'The token of this distribution has been disabled by an administrator.',
+        code: error.code
+      });
+    }
+
+    const { distribution: retry, reconciled, inFlight } = await distributionService.createRetryDistribution(
+      distribution,
+      user.custodial_wallet_address,
+      { mode: body.mode, feeSpeed: body.feeSpeed, allowPartial: body.allowPartial }
+    );
+    const checks = {
+      retryOfId: distribution.id,
+      reconciled: reconciled.map(item => item.getPublicInfo()),
+      inFlight: inFlight.map(item => item.getPublicInfo())
+    };
+
+    if (!retry) {
+      return res.status(409).json({
+        success: false,
+        error: 'Nothing to retry',
+        message: inFlight.length > 0
+          ? 'The remaining transfers are still pending on chain. Retry again once they are mined or dropped.'
+          : 'Every recipient has been paid or is already being retried. Retry the newest run instead.',
+        code: 'NOTHING_TO_RETRY',
+        data: checks
+      });
+    }
+
+    const approvalRequest = await approvalService.holdDistribution(retry, user, getApprovalContext(req));
+    if (approvalRequest) {
+      return respondPendingApproval(res, approvalRequest, checks);
+    }
+
+    console.log(`Retrying ${retry.total_recipients} recipients of distribution ${distribution.id} as ${retry.id}`);
+
+    if (body.async === true) {
+      return await respondQueued(res, retry, checks);
+    }
+
+    const results = await distributionService.executeDistribution(
+      retry,
+      user.custodial_wallet_private_key
+    );
+
+    res.json({
+      success: true,
+      message: `Retried ${retry.total_recipients} recipients`,
+      data: {
+        distributionId: retry.id,
+        ...checks,
+        totalRecipients: retry.total_recipients,
+        successfulDistributions: results.filter(r => r.success).length,
+        failedDistributions: results.filter(r => !r.success).length,
+        results: results
+      }
+    });
+
+  } catch (error) {
+    console.error('Distribution retry error:', error);
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      return respondInsufficientFunds(res, error);
+    }
+    if (error.code === 'FEE_CAP_EXCEEDED') {
+      return respondFeeCapExceeded(res, error);
+    }
+    if (error.code === 'RETRY_IN_PROGRESS') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry distribution',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/distributions/:id/pause
+ * @desc    Pause a queued or sending run before its next recipient
+ * @access  Private
+ */
+router.post('/distributions/:id/pause', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid distribution ID')
+], controlHandler('pause'));
+
+/**
+ * @route   POST /api/distributions/:id/resume
+ * @desc    Queue a paused run to continue with its unpaid recipients
+ * @access  Private
+ */
+router.post('/distributions/:id/resume', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid distribution ID')
+], controlHandler('resume'));
+
+/**
+ * @route   POST /api/distributions/:id/cancel
+ * @desc    Cancel a queued, paused or sending run; unsent recipients are marked CANCELLED
+ * @access  Private
+ */
+router.post('/distributions/:id/cancel', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid distribution ID')
+], controlHandler('cancel'));
+
+/**
+ * @route   GET /api/distributions/:id
+ * @desc    Get a single distribution run with its per-recipient results
+ * @access  Private
+ */
+router.get('/distributions/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid distribution ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const distribution = await Distribution.findOne({
+      where: { id: req.params.id, user_id: req.user.id },
+      include: [{ model: DistributionItem, as: 'items' }],
+      order: [[{ model: DistributionItem, as: 'items' }, 'position', 'ASC']]
+    });
+
+    if (!distribution) {
+      return res.status(404).json({
+        success: false,
+        error: 'Distribution not found',
+        message: 'The requested distribution does not exist or you do not have permission to access it.',
+        code: 'DISTRIBUTION_NOT_FOUND'
+      });
+    }
+
+    const retries = await Distribution.findAll({
+      where: { retry_of_id: distribution.id },
+      order: [['created_at', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        distribution: {
+          ...distribution.getPublicInfo(),
+          items: distribution.items.map(item => item.getPublicInfo()),
+          retries: retries.map(retry => retry.getPublicInfo())
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Distribution fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch distribution',
+      details: error.message
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const gasStationService = require('../services/gasStationService');
+const networkService = require('../services/networkService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/gas-station
+ * @desc    Gas station configuration: treasury address, and its balance,
+ *          target balance and per-user daily cap on every network
+ * @access  Admin
+ */
+router.get('/', [authenticate, requireAdmin], async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await gasStationService.getStatus()
+    });
+
+  } catch (error) {
+    console.error('Gas station status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gas station status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/gas-station/top-ups
+ * @desc    List gas top-ups, newest first, with the total sent per user and
+ *          network for recharging or billing
+ * @access  Admin
+ */
+router.get('/top-ups', [
+  authenticate,
+  requireAdmin,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('userId').optional().isUUID().withMessage('Invalid user ID'),
+  query('network').optional().isString().withMessage('Network must be a network id'),
+  query('status').optional().isIn(['PENDING', 'CONFIRMED', 'FAILED']).withMessage('Invalid top-up status'),
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { userId, status, from, to } = req.query;
+
+    // Top-ups of networks since removed from the configuration can still be listed by id
+    let network = req.query.network;
+    if (network) {
+      try {
+        network = networkService.resolveNetwork(network).id;
+      } catch (error) {
+        if (error.code !== 'NETWORK_NOT_FOUND') throw error;
+      }
+    }
+
+    const result = await gasStationService.listTopUps({
+      userId,
+      network,
+      status,
+      from: from ? new Date(from) : null,
+      to: to ? new Date(to) : null,
+      limit,
+      offset: (page - 1) * limit
+    });
+    const totalPages = Math.ceil(result.total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        topUps: result.topUps.map(topUp => topUp.getPublicInfo()),
+        totals: result.totals,
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Gas top-up list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch gas top-ups',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
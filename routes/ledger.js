@@ -0,0 +1,150 @@
+const express = require('express');
+const { ethers } = require('ethers');
+const { query, validationResult } = require('express-validator');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { resolveNetworkWhen } = require('../middleware/network');
+const ledgerService = require('../services/ledgerService');
+const { ENTRY_TYPES, NATIVE_ASSET } = require('../services/ledgerService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/ledger/accounts
+ * @desc    The user's ledger accounts and their balances, per network, asset
+ *          and purpose. Every network unless `network` is given.
+ * @access  Private
+ */
+router.get('/accounts', [
+  authenticate,
+  query('asset').optional().custom(value => value === NATIVE_ASSET || ethers.isAddress(value))
+    .withMessage('asset must be a token contract address or native'),
+  resolveNetworkWhen(req => req.query.network !== undefined)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const accounts = await ledgerService.listAccounts(req.user.id, {
+      network: req.network ? req.network.id : null,
+      asset: req.query.asset && req.query.asset !== NATIVE_ASSET ? ethers.getAddress(req.query.asset.toLowerCase()) : req.query.asset
+    });
+
+    res.json({
+      success: true,
+      data: {
+        accounts: accounts.map(account => account.getPublicInfo())
+      }
+    });
+
+  } catch (error) {
+    console.error('Ledger accounts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch ledger accounts',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/ledger/entries
+ * @desc    The user's journal entries with their debit and credit lines, newest first
+ * @access  Private
+ */
+router.get('/entries', [
+  authenticate,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('type').optional().isIn(ENTRY_TYPES).withMessage(`type must be one of ${ENTRY_TYPES.join(', ')}`),
+  query('accountId').optional().isUUID().withMessage('Invalid account ID'),
+  query('transactionHash').optional().matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Invalid transaction hash'),
+  query('distributionId').optional().isUUID().withMessage('Invalid distribution ID'),
+  query('from').optional().isISO8601().withMessage('From must be a valid ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid ISO 8601 date'),
+  resolveNetworkWhen(req => req.query.network !== undefined)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const result = await ledgerService.listEntries(req.user.id, {
+      type: req.query.type,
+      network: req.network ? req.network.id : null,
+      accountId: req.query.accountId,
+      transactionHash: req.query.transactionHash ? req.query.transactionHash.toLowerCase() : null,
+      distributionId: req.query.distributionId,
+      from: req.query.from ? new Date(req.query.from) : null,
+      to: req.query.to ? new Date(req.query.to) : null,
+      limit,
+      offset: (page - 1) * limit
+    });
+    const totalPages = Math.ceil(result.total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        entries: result.entries.map(entry => entry.getPublicInfo()),
+        pagination: {
+          page,
+          limit,
+          total: result.total,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Ledger entries error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch journal entries',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/ledger/trial-balance
+ * @desc    Per network and asset, the balances of all accounts on the debit
+ *          and on the credit side, which match unless the ledger is corrupt
+ * @access  Admin
+ */
+router.get('/trial-balance', [authenticate, requireAdmin], async (req, res) => {
+  try {
+    const balances = await ledgerService.getTrialBalance();
+
+    res.json({
+      success: true,
+      data: {
+        balanced: balances.every(balance => balance.balanced),
+        balances
+      }
+    });
+
+  } catch (error) {
+    console.error('Trial balance error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute the trial balance',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
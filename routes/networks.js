@@ -0,0 +1,22 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const networkService = require('../services/networkService');
+
+const router = express.Router();
+
+/**
+ * @route   GET /api/networks
+ * @desc    List the configured networks a request can name in `network`
+ * @access  Private
+ */
+router.get('/', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      networks: networkService.listNetworks().map(network => networkService.getPublicInfo(network)),
+      defaultNetwork: networkService.defaultNetworkId
+    }
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,379 @@
+const express = require('express');
+const { Op } = require('sequelize');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const payRateService = require('../services/payRateService');
+const payeeService = require('../services/payeeService');
+const Payee = require('../models/Payee');
+const PayeeWalletChange = require('../models/PayeeWalletChange');
+
+const router = express.Router();
+
+// HTTP status for each error raised while saving a payee
+const PAYEE_ERROR_STATUS = {
+  INVALID_WALLET: 400,
+  DUPLICATE_EXTERNAL_ID: 409
+};
+
+/**
+ * Validators shared by create and update; `name` and `wallet` are only required on create
+ */
+const payeeValidators = (isCreate) => [
+  isCreate
+    ? body('name').isString().trim().notEmpty().withMessage('Payee name is required')
+    : body('name').optional().isString().trim().notEmpty().withMessage('Payee name cannot be empty'),
+  body('name').optional().isLength({ max: 100 }).withMessage('Payee name must be at most 100 characters'),
+  isCreate
+    ? body('wallet').isString().notEmpty().withMessage('Wallet address is required')
+    : body('wallet').optional().isString().notEmpty().withMessage('Wallet address cannot be empty'),
+  body('email').optional({ values: 'null' }).isEmail().withMessage('Email must be a valid email address'),
+  body('externalId').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('External id must be a string of at most 100 characters'),
+  body('tags').optional().isArray({ max: 20 }).withMessage('Tags must be an array of at most 20 tags'),
+  body('tags.*').isString().isLength({ min: 1, max: 50 }).withMessage('Each tag must be a string of 1 to 50 characters'),
+  body('defaultRate').optional({ values: 'null' }).custom(value => payRateService.isValidRate(value)).withMessage('Default rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('defaultHours').optional({ values: 'null' }).custom(value => payRateService.isValidHours(value)).withMessage(`Default hours must be a positive number with at most ${payRateService.hoursDecimals} decimal places`),
+  body('walletChangeReason').optional().isString().isLength({ max: 500 }).withMessage('Wallet change reason must be at most 500 characters')
+];
+
+/**
+ * Who made a change, as recorded in the wallet history
+ */
+const getChangeContext = (req) => ({
+  changedBy: req.user.id,
+  changedVia: req.authType,
+  apiKeyId: req.apiKey ? req.apiKey.id : null
+});
+
+/**
+ * Reply to an error raised by payeeService; returns false for other errors
+ */
+const respondPayeeError = (res, error) => {
+  const status = PAYEE_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+  return true;
+};
+
+const findPayee = (req) => Payee.findOne({
+  where: { id: req.params.id, user_id: req.user.id }
+});
+
+const respondPayeeNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Payee not found',
+  message: 'The requested payee does not exist or you do not have permission to access it.',
+  code: 'PAYEE_NOT_FOUND'
+});
+
+/**
+ * @route   POST /api/payees
+ * @desc    Save a payee (name, checked wallet address and optional defaults)
+ * @access  Private
+ */
+router.post('/', [
+  authenticate,
+  ...payeeValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payee = await payeeService.createPayee(req.user.id, req.body, getChangeContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Payee created successfully',
+      data: {
+        payee: payee.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    if (respondPayeeError(res, error)) return;
+    console.error('Payee creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create payee',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/payees
+ * @desc    List the authenticated user's payees; search by name, email or
+ *          external id and filter by tag. Archived payees are left out unless asked for.
+ * @access  Private
+ */
+router.get('/', [
+  authenticate,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().isString().isLength({ max: 100 }).withMessage('Search must be at most 100 characters'),
+  query('tag').optional().isString().isLength({ min: 1, max: 50 }).withMessage('Tag must be 1 to 50 characters'),
+  query('includeArchived').optional().isBoolean().withMessage('includeArchived must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = { user_id: req.user.id };
+    if (req.query.includeArchived !== 'true') {
+      where.archived_at = null;
+    }
+    if (req.query.tag) {
+      where.tags = { [Op.contains]: [req.query.tag] };
+    }
+    if (req.query.search) {
+      const pattern = `%${req.query.search}%`;
+      where[Op.or] = [
+        { name: { [Op.iLike]: pattern } },
+        { email: { [Op.iLike]: pattern } },
+        { external_id: { [Op.iLike]: pattern } }
+      ];
+    }
+
+    const { count, rows: payees } = await Payee.findAndCountAll({
+      where,
+      order: [['name', 'ASC']],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        payees: payees.map(payee => payee.getPublicInfo()),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Payee list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payees',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/payees/:id
+ * @desc    Get a payee with the history of its wallet address
+ * @access  Private
+ */
+router.get('/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid payee ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payee = await findPayee(req);
+    if (!payee) {
+      return respondPayeeNotFound(res);
+    }
+
+    const walletHistory = await PayeeWalletChange.findAll({
+      where: { payee_id: payee.id },
+      order: [['id', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        payee: {
+          ...payee.getPublicInfo(),
+          walletHistory: walletHistory.map(change => change.getPublicInfo())
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Payee fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payee',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/payees/:id
+ * @desc    Update a payee; fields left out keep their current value.
+ *          A new wallet address is added to the payee's wallet history.
+ * @access  Private
+ */
+router.put('/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid payee ID'),
+  ...payeeValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payee = await findPayee(req);
+    if (!payee) {
+      return respondPayeeNotFound(res);
+    }
+
+    await payeeService.updatePayee(payee, req.body, getChangeContext(req));
+
+    res.json({
+      success: true,
+      message: 'Payee updated successfully',
+      data: {
+        payee: payee.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    if (respondPayeeError(res, error)) return;
+    console.error('Payee update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update payee',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/payees/:id/restore
+ * @desc    Restore an archived payee so it can be paid again
+ * @access  Private
+ */
+router.post('/:id/restore', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid payee ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payee = await findPayee(req);
+    if (!payee) {
+      return respondPayeeNotFound(res);
+    }
+
+    await payee.update({ archived_at: null });
+
+    res.json({
+      success: true,
+      message: 'Payee restored successfully',
+      data: {
+        payee: payee.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    console.error('Payee restore error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore payee',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/payees/:id
+ * @desc    Archive a payee. It can no longer be paid by id, but past
+ *          distributions and its wallet history keep referring to it.
+ * @access  Private
+ */
+router.delete('/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid payee ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const payee = await findPayee(req);
+    if (!payee) {
+      return respondPayeeNotFound(res);
+    }
+
+    if (!payee.isArchived()) {
+      await payee.update({ archived_at: new Date() });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payee archived successfully',
+      data: {
+        payee: payee.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    console.error('Payee archive error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to archive payee',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,652 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const { resolveNetwork } = require('../middleware/network');
+const { resolveToken } = require('../middleware/token');
+const networkService = require('../services/networkService');
+const payRateService = require('../services/payRateService');
+const recipientValidationService = require('../services/recipientValidationService');
+const scheduleService = require('../services/scheduleService');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const Distribution = require('../models/Distribution');
+const ScheduledDistribution = require('../models/ScheduledDistribution');
+const ScheduledDistributionRun = require('../models/ScheduledDistributionRun');
+
+const router = express.Router();
+
+const SCHEDULE_FIELDS = ['cron', 'calendar', 'timezone', 'startAt', 'endAt'];
+
+// HTTP status for each error raised while building a schedule
+const SCHEDULE_ERROR_STATUS = {
+  INVALID_SCHEDULE: 400,
+  INVALID_RECIPIENTS: 400,
+  SCHEDULE_HAS_NO_RUNS: 400,
+  TEMPLATE_NOT_FOUND: 404,
+  NETWORK_NOT_FOUND: 404,
+  TOKEN_NOT_FOUND: 404,
+  TOKEN_DISABLED: 409,
+  TOKEN_NOT_CONFIGURED: 500
+};
+
+const scheduleError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Validators shared by create and update; `name` is only required on create
+ */
+const scheduleValidators = (isCreate) => [
+  isCreate
+    ? body('name').notEmpty().withMessage('Schedule name is required')
+    : body('name').optional().notEmpty().withMessage('Schedule name cannot be empty'),
+  body('name').optional().isLength({ max: 100 }).withMessage('Schedule name must be at most 100 characters'),
+  body('cron').optional().isString().withMessage('Cron must be a string'),
+  body('calendar').optional().isObject().withMessage('Calendar must be an object'),
+  body('timezone').optional().custom(value => scheduleService.isValidTimezone(value)).withMessage('Timezone must be an IANA time zone such as Europe/London'),
+  body('startAt').optional().isISO8601().withMessage('Start date must be a valid ISO 8601 date'),
+  body('endAt').optional({ values: 'null' }).isISO8601().withMessage('End date must be a valid ISO 8601 date'),
+  body('recipients').optional().isArray({ min: 1 }).withMessage('Recipients must be a non-empty array'),
+  body('templateDistributionId').optional().isUUID().withMessage('Invalid template distribution ID'),
+  body('mode').optional({ values: 'null' }).isIn(['sequential', 'pipelined', 'batch']).withMessage('Mode must be sequential, pipelined or batch'),
+  body('rate').optional({ values: 'null' }).custom(value => payRateService.isValidRate(value)).withMessage('Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('rounding').optional({ values: 'null' }).isIn(payRateService.roundingPolicies).withMessage('Rounding must be floor, round, ceil or exact'),
+  body('allowPartial').optional().isBoolean().withMessage('allowPartial must be a boolean'),
+  body('missedRunPolicy').optional().isIn(scheduleService.missedRunPolicies).withMessage('missedRunPolicy must be skip or run_late')
+];
+
+/**
+ * Turn a create or update request into model attributes.
+ * On update only the fields present in the body change; changing any part of
+ * the timing re-validates the whole schedule.
+ */
+const buildScheduleAttributes = async (body, user, existing = null) => {
+  const attributes = {};
+
+  if (!existing || SCHEDULE_FIELDS.some(field => body[field] !== undefined)) {
+    const timezone = body.timezone || (existing ? existing.timezone : 'UTC');
+    let definition = { cron: body.cron, calendar: body.calendar };
+    if (existing && !body.cron && !body.calendar) {
+      definition = existing.schedule_type === 'cron'
+        ? { cron: existing.cron_expression }
+        : { calendar: existing.calendar };
+    }
+
+    let resolved;
+    try {
+      resolved = scheduleService.resolveSchedule({ ...definition, timezone });
+    } catch (error) {
+      throw scheduleError('INVALID_SCHEDULE', error.message);
+    }
+
+    const startAt = body.startAt ? new Date(body.startAt) : (existing ? existing.start_at : new Date());
+    let endAt = existing ? existing.end_at : null;
+    if (body.endAt !== undefined) {
+      endAt = body.endAt ? new Date(body.endAt) : null;
+    }
+    if (endAt && endAt <= startAt) {
+      throw scheduleError('INVALID_SCHEDULE', 'End date must be after the start date');
+    }
+
+    Object.assign(attributes, {
+      schedule_type: resolved.scheduleType,
+      cron_expression: resolved.cronExpression,
+      calendar: resolved.calendar,
+      timezone,
+      start_at: startAt,
+      end_at: endAt
+    });
+  }
+
+  if (body.recipients && body.templateDistributionId) {
+    throw scheduleError('INVALID_RECIPIENTS', 'Give either recipients or templateDistributionId, not both');
+  }
+
+  if (body.recipients) {
+    const invalid = recipientValidationService.validateRecipients(body.recipients, {
+      ownAddress: user.custodial_wallet_address
+    }).filter(result => !result.valid);
+    if (invalid.length > 0) {
+      throw scheduleError('INVALID_RECIPIENTS', `${invalid.length} recipient(s) are invalid`, invalid);
+    }
+
+    attributes.recipients = body.recipients.map(({ name, wallet, hrsWorked, rate }) => (
+      rate !== undefined ? { name, wallet, hrsWorked, rate: payRateService.normalizeDecimal(rate) } : { name, wallet, hrsWorked }
+    ));
+    attributes.template_distribution_id = null;
+  } else if (body.templateDistributionId) {
+    const template = await Distribution.findOne({
+      where: { id: body.templateDistributionId, user_id: user.id }
+    });
+    if (!template) {
+      throw scheduleError('TEMPLATE_NOT_FOUND', 'Template distribution not found');
+    }
+
+    attributes.template_distribution_id = template.id;
+    attributes.recipients = null;
+  } else if (!existing) {
+    throw scheduleError('INVALID_RECIPIENTS', 'Give a recipients list or a templateDistributionId to copy recipients from');
+  }
+
+  if (body.name !== undefined) attributes.name = body.name;
+  if (body.mode !== undefined) attributes.mode = body.mode;
+  if (body.rate !== undefined) attributes.rate = body.rate === null ? null : payRateService.normalizeDecimal(body.rate);
+  if (body.rounding !== undefined) attributes.rounding = body.rounding;
+  if (body.allowPartial !== undefined) attributes.allow_partial = body.allowPartial;
+  if (body.missedRunPolicy !== undefined) attributes.missed_run_policy = body.missedRunPolicy;
+
+  return attributes;
+};
+
+/**
+ * Reply to an error raised by buildScheduleAttributes; returns false for other errors
+ */
+const respondScheduleError = (res, error) => {
+  const status = SCHEDULE_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+  return true;
+};
+
+/**
+ * Public view of a schedule with its next few run times
+ */
+const describeSchedule = (schedule) => ({
+  ...schedule.getPublicInfo(),
+  upcomingRuns: schedule.status === 'ACTIVE' && schedule.next_run_at
+    ? [schedule.next_run_at, ...scheduleService.upcomingOccurrences(schedule.getScheduleSpec(), schedule.next_run_at, 4)]
+    : []
+});
+
+const findSchedule = (req) => ScheduledDistribution.findOne({
+  where: { id: req.params.id, user_id: req.user.id }
+});
+
+const respondScheduleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Schedule not found',
+  message: 'The requested schedule does not exist or you do not have permission to access it.',
+  code: 'SCHEDULE_NOT_FOUND'
+});
+
+/**
+ * @route   POST /api/schedules
+ * @desc    Create a scheduled (recurring) distribution from a cron expression or
+ *          a calendar schedule, with a recipient list or a template distribution
+ * @access  Private
+ */
+router.post('/', [
+  authenticate,
+  ...scheduleValidators(true),
+  resolveNetwork,
+  resolveToken
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const attributes = await buildScheduleAttributes(req.body, req.user);
+    const schedule = ScheduledDistribution.build({
+      ...attributes,
+      user_id: req.user.id,
+      network: req.network.id,
+      token_contract_address: req.token.address
+    });
+
+    const nextRunAt = scheduleService.nextOccurrence(schedule.getScheduleSpec(), new Date());
+    if (!nextRunAt) {
+      throw scheduleError('SCHEDULE_HAS_NO_RUNS', 'The schedule has no run times before its end date');
+    }
+
+    schedule.next_run_at = nextRunAt;
+    await schedule.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule created successfully',
+      data: {
+        schedule: describeSchedule(schedule)
+      }
+    });
+
+  } catch (error) {
+    if (respondScheduleError(res, error)) return;
+    console.error('Schedule creation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedules
+ * @desc    List the authenticated user's scheduled distributions
+ * @access  Private
+ */
+router.get('/', [
+  authenticate,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['ACTIVE', 'PAUSED', 'COMPLETED']).withMessage('Invalid schedule status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = { user_id: req.user.id };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const { count, rows: schedules } = await ScheduledDistribution.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        schedules: schedules.map(schedule => schedule.getPublicInfo()),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedules',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedules/:id
+ * @desc    Get a schedule with its upcoming run times and most recent runs
+ * @access  Private
+ */
+router.get('/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid schedule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return respondScheduleNotFound(res);
+    }
+
+    const recentRuns = await ScheduledDistributionRun.findAll({
+      where: { schedule_id: schedule.id },
+      include: [{ model: Distribution, as: 'distribution', attributes: ['id', 'status'] }],
+      order: [['scheduled_for', 'DESC']],
+      limit: 10
+    });
+
+    res.json({
+      success: true,
+      data: {
+        schedule: {
+          ...describeSchedule(schedule),
+          recentRuns: recentRuns.map(run => run.getPublicInfo())
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/schedules/:id
+ * @desc    Update a schedule; fields left out keep their current value.
+ *          Changing the timing recalculates the next run.
+ * @access  Private
+ */
+router.put('/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid schedule ID'),
+  ...scheduleValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return respondScheduleNotFound(res);
+    }
+
+    if (schedule.status === 'COMPLETED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule has completed',
+        message: 'A completed schedule cannot be changed. Create a new schedule instead.',
+        code: 'SCHEDULE_COMPLETED'
+      });
+    }
+
+    const attributes = await buildScheduleAttributes(req.body, req.user, schedule);
+
+    // A new token is looked up on the schedule's network unless the update also moves it
+    if (req.body.network !== undefined || req.body.token !== undefined) {
+      const network = networkService.resolveNetwork(req.body.network !== undefined ? req.body.network : schedule.network);
+      const token = await tokenRegistryService.resolveToken(req.body.token, { network: network.id });
+      attributes.network = network.id;
+      attributes.token_contract_address = token.address;
+    }
+    schedule.set(attributes);
+
+    if (SCHEDULE_FIELDS.some(field => req.body[field] !== undefined)) {
+      const nextRunAt = scheduleService.nextOccurrence(schedule.getScheduleSpec(), new Date());
+      if (!nextRunAt) {
+        throw scheduleError('SCHEDULE_HAS_NO_RUNS', 'The schedule has no run times before its end date');
+      }
+      schedule.next_run_at = nextRunAt;
+    }
+
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Schedule updated successfully',
+      data: {
+        schedule: describeSchedule(schedule)
+      }
+    });
+
+  } catch (error) {
+    if (respondScheduleError(res, error)) return;
+    console.error('Schedule update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedules/:id/pause
+ * @desc    Pause a schedule; no runs start until it is resumed
+ * @access  Private
+ */
+router.post('/:id/pause', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid schedule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return respondScheduleNotFound(res);
+    }
+
+    if (schedule.status !== 'ACTIVE') {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule is not active',
+        message: `Only active schedules can be paused; this schedule is ${schedule.status}.`,
+        code: 'SCHEDULE_NOT_ACTIVE'
+      });
+    }
+
+    await schedule.update({ status: 'PAUSED', paused_at: new Date() });
+
+    res.json({
+      success: true,
+      message: 'Schedule paused',
+      data: {
+        schedule: describeSchedule(schedule)
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule pause error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/schedules/:id/resume
+ * @desc    Resume a paused schedule from its next run time after now;
+ *          runs that fell due while paused are not made up
+ * @access  Private
+ */
+router.post('/:id/resume', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid schedule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return respondScheduleNotFound(res);
+    }
+
+    if (schedule.status !== 'PAUSED') {
+      return res.status(409).json({
+        success: false,
+        error: 'Schedule is not paused',
+        message: `Only paused schedules can be resumed; this schedule is ${schedule.status}.`,
+        code: 'SCHEDULE_NOT_PAUSED'
+      });
+    }
+
+    const nextRunAt = scheduleService.nextOccurrence(schedule.getScheduleSpec(), new Date());
+    await schedule.update({
+      status: nextRunAt ? 'ACTIVE' : 'COMPLETED',
+      next_run_at: nextRunAt,
+      paused_at: null
+    });
+
+    res.json({
+      success: true,
+      message: nextRunAt ? 'Schedule resumed' : 'Schedule has no run times left and is now completed',
+      data: {
+        schedule: describeSchedule(schedule)
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule resume error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume schedule',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/schedules/:id/runs
+ * @desc    List every recorded run of a schedule, newest first
+ * @access  Private
+ */
+router.get('/:id/runs', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid schedule ID'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['QUEUED', 'SKIPPED', 'FAILED']).withMessage('Invalid run status')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return respondScheduleNotFound(res);
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const where = { schedule_id: schedule.id };
+    if (req.query.status) {
+      where.status = req.query.status;
+    }
+
+    const { count, rows: runs } = await ScheduledDistributionRun.findAndCountAll({
+      where,
+      include: [{ model: Distribution, as: 'distribution', attributes: ['id', 'status'] }],
+      order: [['scheduled_for', 'DESC']],
+      limit,
+      offset
+    });
+
+    const totalPages = Math.ceil(count / limit);
+
+    res.json({
+      success: true,
+      data: {
+        runs: runs.map(run => run.getPublicInfo()),
+        pagination: {
+          page,
+          limit,
+          total: count,
+          totalPages,
+          hasNext: page < totalPages,
+          hasPrev: page > 1
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Schedule runs fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch schedule runs',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/schedules/:id
+ * @desc    Delete a schedule and its run history; distributions it started are kept
+ * @access  Private
+ */
+router.delete('/:id', [
+  authenticate,
+  param('id').isUUID().withMessage('Invalid schedule ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const schedule = await findSchedule(req);
+    if (!schedule) {
+      return respondScheduleNotFound(res);
+    }
+
+    await ScheduledDistributionRun.destroy({ where: { schedule_id: schedule.id } });
+    await schedule.destroy();
+
+    res.json({
+      success: true,
+      message: 'Schedule deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Schedule deletion error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete schedule',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,222 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { authenticate, requireAdmin } = require('../middleware/auth');
+const { resolveNetwork } = require('../middleware/network');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const Token = require('../models/Token');
+
+const router = express.Router();
+
+// HTTP status for each error raised while registering or updating a token
+const TOKEN_ERROR_STATUS = {
+  INVALID_TOKEN_ADDRESS: 400,
+  INVALID_TOKEN_SYMBOL: 400,
+  TOKEN_CONTRACT_UNREADABLE: 400,
+  TOKEN_ALREADY_REGISTERED: 409
+};
+
+/**
+ * Reply to an error raised by tokenRegistryService; returns false for other errors
+ */
+const respondTokenError = (res, error) => {
+  const status = TOKEN_ERROR_STATUS[error.code];
+  if (!status) return false;
+
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code,
+    details: error.details
+  });
+  return true;
+};
+
+const respondTokenNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Token not found',
+  message: 'The requested token is not registered.',
+  code: 'TOKEN_NOT_FOUND'
+});
+
+/**
+ * @route   GET /api/tokens
+ * @desc    List the tokens registered on a network (`network`; default network
+ *          otherwise). Only administrators can include disabled tokens.
+ * @access  Private
+ */
+router.get('/', [
+  authenticate,
+  query('includeDisabled').optional().isBoolean().withMessage('includeDisabled must be a boolean'),
+  resolveNetwork
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const tokens = await tokenRegistryService.listTokens({
+      network: req.network.id,
+      includeDisabled: req.query.includeDisabled === 'true' && req.user.is_admin === true
+    });
+
+    let defaultToken = null;
+    try {
+      defaultToken = await tokenRegistryService.getDefaultToken(req.network.id);
+    } catch (error) {
+      // No usable default token; requests must name a token
+      if (error.code !== 'TOKEN_NOT_CONFIGURED' && error.code !== 'TOKEN_DISABLED') throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        network: req.network.id,
+        tokens: tokens.map(token => token.getPublicInfo()),
+        defaultToken: defaultToken ? defaultToken.getPublicInfo() : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Token list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tokens',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   GET /api/tokens/:ref
+ * @desc    Get a registered token by id, or by symbol or contract address on a
+ *          network (`network`; default network otherwise)
+ * @access  Private
+ */
+router.get('/:ref', [authenticate, resolveNetwork], async (req, res) => {
+  try {
+    const token = await tokenRegistryService.getToken(req.params.ref, req.network.id);
+    if (!token || (!token.enabled && !req.user.is_admin)) {
+      return respondTokenNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: token.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    console.error('Token fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch token',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   POST /api/tokens
+ * @desc    Register a token on a network (`network`; default network otherwise).
+ *          Its decimals (and by default its symbol and name) are read from the contract.
+ * @access  Admin
+ */
+router.post('/', [
+  authenticate,
+  requireAdmin,
+  resolveNetwork,
+  body('address').isString().notEmpty().withMessage('Token contract address is required'),
+  body('symbol').optional().isString().isLength({ min: 1, max: 20 }).withMessage('Symbol must be 1 to 20 characters'),
+  body('name').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const token = await tokenRegistryService.registerToken({ ...req.body, network: req.network.id }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Token registered successfully',
+      data: {
+        token: token.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    if (respondTokenError(res, error)) return;
+    console.error('Token registration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to register token',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/tokens/:id
+ * @desc    Rename, enable or disable a token, or make it the default.
+ *          Disabled tokens cannot be used for new transfers; past distributions keep them.
+ * @access  Admin
+ */
+router.put('/:id', [
+  authenticate,
+  requireAdmin,
+  param('id').isUUID().withMessage('Invalid token ID'),
+  body('symbol').optional().isString().isLength({ min: 1, max: 20 }).withMessage('Symbol must be 1 to 20 characters'),
+  body('name').optional({ values: 'null' }).isString().isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean'),
+  body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const token = await Token.findByPk(req.params.id);
+    if (!token) {
+      return respondTokenNotFound(res);
+    }
+
+    await tokenRegistryService.updateToken(token, req.body);
+
+    res.json({
+      success: true,
+      message: 'Token updated successfully',
+      data: {
+        token: token.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    if (respondTokenError(res, error)) return;
+    console.error('Token update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update token',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
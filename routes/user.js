@@ -4,6 +4,7 @@ const User = require('../models/User');
 const { generateToken, authenticate } = require('../middleware/auth');
 const custodialWalletService = require('../services/custodialWalletService');
 const encryptionService = require('../services/encryptionService');
+const payRateService = require('../services/payRateService');
 
 const router = express.Router();
 
@@ -239,6 +240,84 @@ router.post('/change-password', [
   }
 });
 
+/**
+ * @route   GET /api/user/pay-settings
+ * @desc    Get the default pay rate and rounding policy used for distributions
+ * @access  Private
+ */
+router.get('/pay-settings', authenticate, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        paySettings: req.user.getPaySettings()
+      }
+    });
+  } catch (error) {
+    console.error('Pay settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pay settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/user/pay-settings
+ * @desc    Update the default pay rate and rounding policy used for distributions
+ * @access  Private
+ */
+router.put('/pay-settings', [
+  authenticate,
+  body('defaultRate').optional().custom(value => payRateService.isValidRate(value)).withMessage('Default rate must be a positive decimal number with at most 18 decimal places and 18 integer digits'),
+  body('rounding').optional().isIn(payRateService.roundingPolicies).withMessage('Rounding must be floor, round, ceil or exact')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { defaultRate, rounding } = req.body;
+    const updates = {};
+    if (defaultRate !== undefined) {
+      updates.default_rate = payRateService.normalizeDecimal(defaultRate);
+    }
+    if (rounding !== undefined) {
+      updates.rounding_policy = rounding;
+    }
+
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    await user.update(updates);
+
+    res.json({
+      success: true,
+      message: 'Pay settings updated successfully',
+      data: {
+        paySettings: user.getPaySettings()
+      }
+    });
+
+  } catch (error) {
+    console.error('Pay settings update error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update pay settings'
+    });
+  }
+});
+
 /**
  * @route   GET /api/user/wallet
  * @desc    Get user's custodial wallet info
@@ -1,31 +1,132 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticate, checkBalance } = require('../middleware/auth');
+const { handleIdempotencyKey } = require('../middleware/idempotency');
+const { resolveNetwork, resolveNetworkWhen } = require('../middleware/network');
+const { resolveToken, resolveTokenWhen } = require('../middleware/token');
 const custodialWalletService = require('../services/custodialWalletService');
+const tokenRegistryService = require('../services/tokenRegistryService');
+const approvalService = require('../services/approvalService');
+const payRateService = require('../services/payRateService');
+const recipientValidationService = require('../services/recipientValidationService');
 const encryptionService = require('../services/encryptionService');
+const { FEE_SPEEDS } = require('../services/feePolicyService');
+const transactionReplacementService = require('../services/transactionReplacementService');
+const depositIndexer = require('../services/depositIndexer');
+const transactionHistoryService = require('../services/transactionHistoryService');
+const { HISTORY_TYPES } = require('../services/transactionHistoryService');
+const Transaction = require('../models/Transaction');
 
 const router = express.Router();
 
+// HTTP status for each error raised while speeding up or cancelling a transaction
+const REPLACEMENT_ERROR_STATUS = {
+  INVALID_FEE_BUMP: 400,
+  TRANSACTION_ALREADY_REPLACED: 409,
+  TRANSACTION_NOT_PENDING: 409,
+  TRANSACTION_NOT_REPLACEABLE: 409,
+  REPLACEMENT_REJECTED: 409,
+  FEE_CAP_EXCEEDED: 400
+};
+
+// Errors of a gas top-up the withdrawal needed (see services/gasStationService.js)
+const GAS_STATION_ERROR_CODES = ['GAS_TOP_UP_LIMIT_REACHED', 'GAS_STATION_UNDERFUNDED', 'GAS_TOP_UP_FAILED'];
+
+const respondTransactionNotFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Transaction not found',
+  message: 'No transaction with this hash was sent from your wallet.',
+  code: 'TRANSACTION_NOT_FOUND'
+});
+
+/**
+ * The latest transaction with this hash sent from the user's wallet
+ */
+const findUserTransaction = async (req) => await Transaction.findOne({
+  where: {
+    hash: req.params.hash.toLowerCase(),
+    user_id: req.user.id
+  },
+  order: [['created_at', 'DESC']]
+});
+
+/**
+ * Reply to a withdrawal held until an approver accepts it
+ */
+const respondPendingApproval = (res, approvalRequest) => {
+  return res.status(202).json({
+    success: true,
+    message: 'Withdrawal is above the approval threshold and is waiting for a designated approver',
+    code: 'APPROVAL_REQUIRED',
+    data: {
+      approvalRequestId: approvalRequest.id,
+      status: approvalRequest.status,
+      amount: payRateService.normalizeDecimal(approvalRequest.amount),
+      threshold: payRateService.normalizeDecimal(approvalRequest.threshold),
+      expiresAt: approvalRequest.expires_at,
+      statusUrl: `/api/approvals/requests/${approvalRequest.id}`
+    }
+  });
+};
+
 /**
  * @route   GET /api/wallet/balance
- * @desc    Get user's token balance
+ * @desc    Get user's token balance on a network (`network`; default network
+ *          otherwise). `token` picks a registered token (symbol, id or address;
+ *          default token otherwise); `all=true` returns the balance of every
+ *          enabled token of the network in one call.
  * @access  Private
  */
-router.get('/balance', authenticate, async (req, res) => {
+router.get('/balance', [
+  authenticate,
+  query('all').optional().isBoolean().withMessage('all must be a boolean'),
+  resolveNetwork,
+  resolveTokenWhen(req => req.query.all !== 'true')
+], async (req, res) => {
   try {
-    const user = req.user;
-    const tokenContractAddress = process.env.TOKEN_CONTRACT_ADDRESS;
-    
-    if (!tokenContractAddress) {
-      return res.status(500).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        error: 'Token contract not configured'
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const user = req.user;
+    const walletService = custodialWalletService.forNetwork(req.network.id);
+
+    if (req.query.all === 'true') {
+      const tokens = await tokenRegistryService.listTokens({ network: req.network.id });
+
+      // One unreadable token does not hide the others
+      const balances = await Promise.all(tokens.map(async (token) => {
+        try {
+          const balance = await walletService.getTokenBalance(
+            user.custodial_wallet_address,
+            token.address,
+            token.decimals
+          );
+          return { token: token.getPublicInfo(), balance };
+        } catch (error) {
+          return { token: token.getPublicInfo(), balance: null, error: error.message };
+        }
+      }));
+
+      return res.json({
+        success: true,
+        data: {
+          wallet: user.custodial_wallet_address,
+          network: req.network.id,
+          balances
+        }
       });
     }
 
-    const balance = await custodialWalletService.getTokenBalance(
+    const balance = await walletService.getTokenBalance(
       user.custodial_wallet_address,
-      tokenContractAddress
+      req.token.address,
+      req.token.decimals
     );
 
     res.json({
@@ -33,7 +134,9 @@ router.get('/balance', authenticate, async (req, res) => {
       data: {
         balance: balance,
         wallet: user.custodial_wallet_address,
-        tokenContract: tokenContractAddress
+        network: req.network.id,
+        tokenContract: req.token.address,
+        token: req.token.getPublicInfo()
       }
     });
 
@@ -48,21 +151,25 @@ router.get('/balance', authenticate, async (req, res) => {
 
 /**
  * @route   GET /api/wallet/native-balance
- * @desc    Get user's native token balance (KDA)
+ * @desc    Get user's native currency balance (KDA on Knightsbridge) on a network
+ *          (`network`; default network otherwise)
  * @access  Private
  */
-router.get('/native-balance', authenticate, async (req, res) => {
+router.get('/native-balance', [authenticate, resolveNetwork], async (req, res) => {
   try {
     const user = req.user;
     
-    const balance = await custodialWalletService.getNativeBalance(user.custodial_wallet_address);
+    const balance = await custodialWalletService
+      .forNetwork(req.network.id)
+      .getNativeBalance(user.custodial_wallet_address);
 
     res.json({
       success: true,
       data: {
         balance: balance,
         wallet: user.custodial_wallet_address,
-        currency: 'KDA'
+        network: req.network.id,
+        currency: req.network.nativeSymbol
       }
     });
 
@@ -77,12 +184,26 @@ router.get('/native-balance', authenticate, async (req, res) => {
 
 /**
  * @route   POST /api/wallet/deposit
- * @desc    Verify deposit to user's custodial wallet (external funding required)
+ * @desc    Report the deposits found in the user's custodial wallet, with their
+ *          confirmations. Deposits are found by the deposit indexer; a
+ *          transactionHash it has not reached yet is looked up right away.
  * @access  Private
  */
 router.post('/deposit', [
   authenticate,
-  body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0')
+  // Compared in 18-decimal units, so exponent forms and longer fractions are refused here
+  body('amount').optional().custom(value => {
+    const normalized = payRateService.normalizeDecimal(value);
+    return normalized !== null &&
+      payRateService.parseDecimal(normalized).scale <= 18 &&
+      parseFloat(normalized) >= 0.01;
+  }).withMessage('Amount must be a decimal number of at least 0.01 with at most 18 decimal places'),
+  body('type').optional().isIn(['tokens', 'native']).withMessage('Type must be either tokens or native'),
+  body('transactionHash').optional().matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Invalid transaction hash'),
+  body('since').optional().isISO8601().withMessage('since must be an ISO 8601 date'),
+  resolveNetwork,
+  // Native currency deposits involve no token
+  resolveTokenWhen(req => req.body.type !== 'native')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,33 +215,43 @@ router.post('/deposit', [
       });
     }
 
-    const { amount } = req.body;
+    const { amount, transactionHash, since } = req.body;
+    const type = req.body.type || 'tokens';
     const user = req.user;
-    const tokenContractAddress = process.env.TOKEN_CONTRACT_ADDRESS;
-    
-    if (!tokenContractAddress) {
-      return res.status(500).json({
-        success: false,
-        error: 'Token contract not configured'
-      });
-    }
+    const walletService = custodialWalletService.forNetwork(req.network.id);
 
-    const result = await custodialWalletService.depositTokens(
-      user.custodial_wallet_address,
-      amount,
-      tokenContractAddress
-    );
+    const [result, currentBalance] = await Promise.all([
+      depositIndexer.findDeposits(req.network, user.id, user.custodial_wallet_address, {
+        type,
+        tokenContract: type === 'tokens' ? req.token.address : null,
+        transactionHash: transactionHash ? transactionHash.toLowerCase() : null,
+        since: since ? new Date(since) : null,
+        amount
+      }),
+      type === 'tokens'
+        ? walletService.getTokenBalance(user.custodial_wallet_address, req.token.address, req.token.decimals)
+        : walletService.getNativeBalance(user.custodial_wallet_address)
+    ]);
 
     res.json({
       success: true,
-      message: 'Deposit verification completed',
+      message: result.deposits.length > 0 ? 'Deposits found' : 'No deposits found yet',
       data: {
-        ...result,
+        network: req.network.id,
+        type,
+        tokenContract: type === 'tokens' ? req.token.address : null,
+        walletAddress: user.custodial_wallet_address,
+        deposits: result.deposits.map(deposit => deposit.getPublicInfo()),
+        confirmedAmount: result.confirmedAmount,
+        pendingAmount: result.pendingAmount,
+        expectedAmount: amount !== undefined ? String(amount) : null,
+        received: result.received,
+        currentBalance,
         instructions: {
           step1: 'Send tokens to your custodial wallet address',
           step2: 'Use your custodial wallet address for external transfers',
           walletAddress: user.custodial_wallet_address,
-          note: 'The system will verify the deposit automatically'
+          note: 'Deposits are detected automatically and confirmed after the network\'s confirmation depth'
         }
       }
     });
@@ -137,14 +268,20 @@ router.post('/deposit', [
 
 /**
  * @route   POST /api/wallet/withdraw
- * @desc    Withdraw tokens or native currency from user's custodial wallet
+ * @desc    Withdraw tokens or native currency from user's custodial wallet.
+ *          Withdrawals above the approval threshold wait for a designated approver.
  * @access  Private
  */
 router.post('/withdraw', [
   authenticate,
-  body('toAddress').isLength({ min: 42, max: 42 }).withMessage('Valid wallet address is required'),
+  handleIdempotencyKey,
+  body('toAddress').isString().withMessage('Valid wallet address is required'),
   body('amount').isFloat({ min: 0.01 }).withMessage('Amount must be greater than 0'),
-  body('type').isIn(['tokens', 'native']).withMessage('Type must be either tokens or native')
+  body('type').isIn(['tokens', 'native']).withMessage('Type must be either tokens or native'),
+  body('feeSpeed').optional().isIn(FEE_SPEEDS).withMessage('feeSpeed must be slow, normal or fast'),
+  resolveNetwork,
+  // Native currency withdrawals involve no token
+  resolveTokenWhen(req => req.body.type === 'tokens')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -156,7 +293,8 @@ router.post('/withdraw', [
       });
     }
 
-    const { toAddress, amount, type } = req.body;
+    const { amount, type, feeSpeed } = req.body;
+    const toAddress = req.body.toAddress.trim();
     const user = req.user;
     
     // Check if user exists
@@ -177,23 +315,31 @@ router.post('/withdraw', [
         code: 'WALLET_NOT_CONFIGURED'
       });
     }
+
+    // Same address checks as distribution recipients, including sends to this wallet itself
+    const addressIssue = recipientValidationService.checkAddress(toAddress, {
+      ownAddress: user.custodial_wallet_address
+    });
+    if (addressIssue) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid destination address',
+        message: addressIssue.message,
+        code: addressIssue.code
+      });
+    }
    
+    const walletService = custodialWalletService.forNetwork(req.network.id);
     let result;
     
     if (type === 'tokens') {
-      const tokenContractAddress = process.env.TOKEN_CONTRACT_ADDRESS;
-      
-      if (!tokenContractAddress) {
-        return res.status(500).json({
-          success: false,
-          error: 'Token contract not configured'
-        });
-      }
+      const tokenContractAddress = req.token.address;
 
       // Check token balance before withdrawal
-      const tokenBalance = await custodialWalletService.getTokenBalance(
+      const tokenBalance = await walletService.getTokenBalance(
         user.custodial_wallet_address,
-        tokenContractAddress
+        tokenContractAddress,
+        req.token.decimals
       );
       
       if (parseFloat(tokenBalance) < parseFloat(amount)) {
@@ -205,15 +351,25 @@ router.post('/withdraw', [
         });
       }
       
-      result = await custodialWalletService.withdrawTokens(
+      const approvalRequest = await approvalService.holdWithdrawal(
+        user,
+        { toAddress, amount: String(amount), type, tokenContract: tokenContractAddress, network: req.network.id, feeSpeed },
+        { requestedVia: req.authType, apiKeyId: req.apiKey ? req.apiKey.id : null }
+      );
+      if (approvalRequest) {
+        return respondPendingApproval(res, approvalRequest);
+      }
+
+      result = await walletService.withdrawTokens(
         user.custodial_wallet_private_key,
         toAddress,
         amount,
-        tokenContractAddress
+        tokenContractAddress,
+        { userId: user.id, feeSpeed, topUpGas: true }
       );
     } else if (type === 'native') {
       // Check native balance before withdrawal
-      const nativeBalance = await custodialWalletService.getNativeBalance(
+      const nativeBalance = await walletService.getNativeBalance(
         user.custodial_wallet_address
       );
       
@@ -221,26 +377,64 @@ router.post('/withdraw', [
         return res.status(400).json({
           success: false,
           error: 'Insufficient native balance',
-          message: `You only have ${nativeBalance} KDA available.`,
+          message: `You only have ${nativeBalance} ${req.network.nativeSymbol} available.`,
           code: 'INSUFFICIENT_BALANCE'
         });
       }
       
-      result = await custodialWalletService.withdrawNative(
+      const approvalRequest = await approvalService.holdWithdrawal(
+        user,
+        { toAddress, amount: String(amount), type, network: req.network.id, feeSpeed },
+        { requestedVia: req.authType, apiKeyId: req.apiKey ? req.apiKey.id : null }
+      );
+      if (approvalRequest) {
+        return respondPendingApproval(res, approvalRequest);
+      }
+
+      result = await walletService.withdrawNative(
         user.custodial_wallet_private_key,
         toAddress,
-        amount
+        amount,
+        { userId: user.id, feeSpeed }
       );
     }
 
     res.json({
       success: true,
-      message: `${type === 'tokens' ? 'Tokens' : 'Native KDA'} withdrawn successfully`,
+      message: `${type === 'tokens' ? 'Tokens' : `Native ${req.network.nativeSymbol}`} withdrawn successfully`,
       data: result
     });
 
   } catch (error) {
     console.error('Withdrawal error:', error);
+    if (error.code === 'TRANSACTION_UNCONFIRMED') {
+      return res.status(202).json({
+        success: false,
+        error: 'Withdrawal not confirmed',
+        message: 'The withdrawal was sent but not confirmed in time. It may still be mined: check its status before sending it again.',
+        code: error.code,
+        details: error.details,
+        statusUrl: `/api/wallet/transactions/${error.details.transactionHash}`
+      });
+    }
+    if (error.code === 'FEE_CAP_EXCEEDED') {
+      return res.status(400).json({
+        success: false,
+        error: 'Fee cap exceeded',
+        message: 'Network fees are above the fee cap for a single transaction and nothing was sent. Try again later or with "feeSpeed": "slow".',
+        code: error.code,
+        details: error.details
+      });
+    }
+    if (GAS_STATION_ERROR_CODES.includes(error.code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Insufficient gas',
+        message: 'The wallet cannot pay the gas for this withdrawal and the gas station did not top it up. Send native currency to the wallet and try again.',
+        code: error.code,
+        details: error.details
+      });
+    }
     res.status(500).json({
       success: false,
       error: 'Withdrawal failed',
@@ -252,23 +446,74 @@ router.post('/withdraw', [
 
 /**
  * @route   GET /api/wallet/transactions
- * @desc    Get user's transaction history (placeholder)
+ * @desc    Get the user's transaction history, newest first: withdrawals,
+ *          distribution payouts, deposits, gas top-ups, batch approvals and
+ *          cancellations, each with its hash, confirmation status and explorer
+ *          link. Every network unless `network` is given.
  * @access  Private
  */
-router.get('/transactions', authenticate, async (req, res) => {
+router.get('/transactions', [
+  authenticate,
+  query('type').optional().isIn(HISTORY_TYPES).withMessage(`type must be one of ${HISTORY_TYPES.join(', ')}`),
+  query('token').optional().isString().trim().notEmpty().withMessage('token must be a symbol, id, contract address or native'),
+  query('counterparty').optional().isEthereumAddress().withMessage('counterparty must be a wallet address'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('cursor').optional().isString(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  resolveNetworkWhen(req => req.query.network !== undefined)
+], async (req, res) => {
   try {
-    // This would typically fetch from a transactions table
-    // For now, return a placeholder response
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 20;
+    const { entries, nextCursor } = await transactionHistoryService.listHistory(req.user.id, {
+      type: req.query.type,
+      token: req.query.token,
+      counterparty: req.query.counterparty,
+      network: req.network ? req.network.id : null,
+      from: req.query.from ? new Date(req.query.from) : null,
+      to: req.query.to ? new Date(req.query.to) : null,
+      cursor: req.query.cursor,
+      limit
+    });
+
     res.json({
       success: true,
-      message: 'Transaction history endpoint',
       data: {
-        transactions: [],
-        message: 'Transaction history feature coming soon'
+        transactions: entries,
+        pagination: {
+          limit,
+          nextCursor,
+          hasMore: nextCursor !== null
+        }
       }
     });
 
   } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid cursor',
+        message: 'Pass the nextCursor of a previous page, or no cursor for the first page.',
+        code: error.code
+      });
+    }
+    if (error.code === 'TOKEN_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+        message: 'Use GET /api/tokens to list the tokens you can use.',
+        code: error.code
+      });
+    }
     console.error('Transaction history error:', error);
     res.status(500).json({
       success: false,
@@ -277,4 +522,123 @@ router.get('/transactions', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/wallet/transactions/:hash
+ * @desc    Get the status of a transaction sent from the user's wallet:
+ *          PENDING, CONFIRMED, FAILED or DROPPED, with its confirmations.
+ *          CONFIRMED, FAILED and DROPPED are final.
+ * @access  Private
+ */
+router.get('/transactions/:hash', [
+  authenticate,
+  param('hash').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Invalid transaction hash')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const transaction = await findUserTransaction(req);
+    if (!transaction) {
+      return respondTransactionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transaction: transaction.getPublicInfo()
+      }
+    });
+
+  } catch (error) {
+    console.error('Transaction status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch transaction status',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Speed up or cancel a pending transaction of the user's wallet
+ */
+const replaceTransaction = (action) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const transaction = await findUserTransaction(req);
+    if (!transaction) {
+      return respondTransactionNotFound(res);
+    }
+
+    const options = { bumpPercent: req.body.feeBumpPercent };
+    const replacement = action === 'cancel'
+      ? await transactionReplacementService.cancel(transaction, req.user, options)
+      : await transactionReplacementService.speedUp(transaction, req.user, options);
+
+    res.status(201).json({
+      success: true,
+      message: action === 'cancel'
+        ? 'Cancellation sent; the transaction is cancelled if it is mined first'
+        : 'Replacement with higher fees sent',
+      data: {
+        transaction: transaction.getPublicInfo(),
+        replacement: replacement ? replacement.getPublicInfo() : null
+      }
+    });
+
+  } catch (error) {
+    const status = REPLACEMENT_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        details: error.details
+      });
+    }
+    console.error(`Transaction ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${action === 'cancel' ? 'cancel' : 'speed up'} transaction`,
+      details: error.message
+    });
+  }
+};
+
+const replacementValidation = [
+  authenticate,
+  param('hash').matches(/^0x[0-9a-fA-F]{64}$/).withMessage('Invalid transaction hash'),
+  body('feeBumpPercent').optional().isInt({ min: 10, max: 500 }).withMessage('feeBumpPercent must be a whole number from 10 to 500').toInt()
+];
+
+/**
+ * @route   POST /api/wallet/transactions/:hash/speed-up
+ * @desc    Send a pending, unmined transaction again with the same nonce and
+ *          fees raised by `feeBumpPercent` (default TRANSACTION_FEE_BUMP_PERCENT)
+ * @access  Private
+ */
+router.post('/transactions/:hash/speed-up', replacementValidation, replaceTransaction('speed-up'));
+
+/**
+ * @route   POST /api/wallet/transactions/:hash/cancel
+ * @desc    Replace a pending, unmined transaction with a zero-value send to the
+ *          wallet itself, with the same nonce and higher fees
+ * @access  Private
+ */
+router.post('/transactions/:hash/cancel', replacementValidation, replaceTransaction('cancel'));
+
 module.exports = router;
@@ -1,6 +1,27 @@
 const { sequelize } = require('../config/database');
 const User = require('../models/User');
 const apiKey = require('../models/ApiKey');
+const Distribution = require('../models/Distribution');
+const DistributionItem = require('../models/DistributionItem');
+const DistributionJob = require('../models/DistributionJob');
+const DistributionEvent = require('../models/DistributionEvent');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const DistributionUpload = require('../models/DistributionUpload');
+const ScheduledDistribution = require('../models/ScheduledDistribution');
+const ScheduledDistributionRun = require('../models/ScheduledDistributionRun');
+const AccountApprover = require('../models/AccountApprover');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalEvent = require('../models/ApprovalEvent');
+const Payee = require('../models/Payee');
+const PayeeWalletChange = require('../models/PayeeWalletChange');
+const Token = require('../models/Token');
+const Transaction = require('../models/Transaction');
+const GasTopUp = require('../models/GasTopUp');
+const Deposit = require('../models/Deposit');
+const DepositCursor = require('../models/DepositCursor');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const JournalLine = require('../models/JournalLine');
 
 require('dotenv').config();
 
@@ -0,0 +1,38 @@
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+
+require('dotenv').config();
+
+/**
+ * Grant or revoke administrator rights:
+ *   node scripts/set-admin.js <email>           grant
+ *   node scripts/set-admin.js <email> --revoke  revoke
+ */
+async function setAdmin() {
+  const [email, flag] = process.argv.slice(2);
+  const isAdmin = flag !== '--revoke';
+
+  if (!email) {
+    console.error('Usage: node scripts/set-admin.js <email> [--revoke]');
+    process.exit(1);
+  }
+
+  try {
+    const user = await User.findOne({ where: { email } });
+    if (!user) {
+      console.error(`❌ No user with email ${email}`);
+      process.exit(1);
+    }
+
+    await user.update({ is_admin: isAdmin });
+    console.log(`✅ ${email} is ${isAdmin ? 'now' : 'no longer'} an administrator`);
+
+  } catch (error) {
+    console.error('❌ Failed to update administrator rights:', error);
+    process.exit(1);
+  } finally {
+    await sequelize.close();
+  }
+}
+
+setAdmin();
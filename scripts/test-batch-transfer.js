@@ -0,0 +1,105 @@
+/**
+ * Exercise batch distribution mode against a local dev chain (anvil, hardhat node, ganache).
+ *
+ * 1. Start a dev chain:          anvil
+ * 2. Deploy the test contracts:  forge create contracts/TestToken.sol:TestToken --constructor-args 1000000000000000000000000 \
+ *                                  --rpc-url http://127.0.0.1:8545 --private-key <DEV_PRIVATE_KEY> --broadcast
+ *                                forge create contracts/BatchTransfer.sol:BatchTransfer \
+ *                                  --rpc-url http://127.0.0.1:8545 --private-key <DEV_PRIVATE_KEY> --broadcast
+ * 3. Run:                        DEV_TOKEN_ADDRESS=0x... DEV_BATCH_CONTRACT_ADDRESS=0x... npm run test:batch -- 25
+ *
+ * The optional argument is the number of random recipients (default: 10).
+ * Transactions are checked on chain here and not saved for the transaction
+ * watcher, so neither PostgreSQL nor ENCRYPTION_KEY is needed.
+ */
+const { ethers } = require('ethers');
+
+const DEV_CHAIN_IDS = [31337n, 1337n];
+// Account #0 of anvil / hardhat node, funded on every fresh dev chain
+const DEFAULT_DEV_PRIVATE_KEY = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+
+const rpcUrl = process.env.DEV_RPC_URL || 'http://127.0.0.1:8545';
+const privateKey = process.env.DEV_PRIVATE_KEY || DEFAULT_DEV_PRIVATE_KEY;
+const tokenAddress = process.env.DEV_TOKEN_ADDRESS;
+const batchContractAddress = process.env.DEV_BATCH_CONTRACT_ADDRESS;
+const recipientCount = parseInt(process.argv[2]) || 10;
+const batchSize = parseInt(process.env.DISTRIBUTION_BATCH_SIZE) || 4;
+
+async function testBatchTransfer() {
+  console.log('🧪 Testing batch transfer mode on a local dev chain...');
+
+  if (!tokenAddress || !batchContractAddress) {
+    console.error('❌ DEV_TOKEN_ADDRESS and DEV_BATCH_CONTRACT_ADDRESS must be set (see the header of this script)');
+    process.exit(1);
+  }
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  if (!DEV_CHAIN_IDS.includes(chainId)) {
+    console.error(`❌ Refusing to run against chain ${chainId}; only local dev chains (${DEV_CHAIN_IDS.join(', ')}) are allowed`);
+    process.exit(1);
+  }
+
+  // The network configuration is read when the service is first required
+  process.env.RPC_URL = rpcUrl;
+  process.env.CHAIN_ID = chainId.toString();
+  const { LEGACY_NETWORK_ID } = require('../config/networks');
+  const custodialWalletService = require('../services/custodialWalletService').forNetwork(LEGACY_NETWORK_ID);
+  custodialWalletService.trackTransactions = false;
+
+  const recipients = Array.from({ length: recipientCount }, (_, i) => ({
+    name: `Recipient ${i + 1}`,
+    wallet: ethers.Wallet.createRandom().address,
+    hrsWorked: i + 1
+  }));
+
+  console.log(`📤 Distributing to ${recipients.length} recipients in chunks of ${batchSize}...`);
+  const results = await custodialWalletService.distributeFromCustodialWallet(
+    privateKey,
+    recipients,
+    tokenAddress,
+    null,
+    { mode: 'batch', batchContract: batchContractAddress, batchSize }
+  );
+
+  const token = new ethers.Contract(tokenAddress, [
+    'function balanceOf(address account) view returns (uint256)',
+    'function decimals() view returns (uint8)'
+  ], provider);
+  const decimals = await token.decimals();
+
+  let failures = 0;
+  const transactions = new Set();
+
+  for (let i = 0; i < recipients.length; i++) {
+    const recipient = recipients[i];
+    const result = results[i];
+    const expected = ethers.parseUnits(Math.floor(recipient.hrsWorked).toString(), decimals);
+    const balance = await token.balanceOf(recipient.wallet);
+
+    if (!result.success) {
+      failures++;
+      console.error(`❌ ${recipient.name}: ${result.error}`);
+    } else if (balance !== expected) {
+      failures++;
+      console.error(`❌ ${recipient.name}: expected ${ethers.formatUnits(expected, decimals)}, got ${ethers.formatUnits(balance, decimals)}`);
+    } else {
+      transactions.add(result.transaction.transactionHash);
+    }
+  }
+
+  const expectedTransactions = Math.ceil(recipients.length / batchSize);
+  console.log(`📊 ${recipients.length - failures}/${recipients.length} recipients paid in ${transactions.size} transaction(s)`);
+
+  if (failures > 0 || transactions.size !== expectedTransactions) {
+    console.error(`❌ Batch transfer test failed (expected ${expectedTransactions} transaction(s))`);
+    process.exit(1);
+  }
+
+  console.log('✅ Batch transfer test passed');
+}
+
+testBatchTransfer().catch(error => {
+  console.error('❌ Batch transfer test failed:', error);
+  process.exit(1);
+});
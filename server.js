@@ -7,6 +7,33 @@ const rateLimit = require('express-rate-limit');
 const { sequelize, testConnection } = require('./config/database');
 const User = require('./models/User');
 const ApiKey = require('./models/ApiKey');
+const Distribution = require('./models/Distribution');
+const DistributionItem = require('./models/DistributionItem');
+const DistributionJob = require('./models/DistributionJob');
+const DistributionEvent = require('./models/DistributionEvent');
+const IdempotencyKey = require('./models/IdempotencyKey');
+const DistributionUpload = require('./models/DistributionUpload');
+const ScheduledDistribution = require('./models/ScheduledDistribution');
+const ScheduledDistributionRun = require('./models/ScheduledDistributionRun');
+const AccountApprover = require('./models/AccountApprover');
+const ApprovalRequest = require('./models/ApprovalRequest');
+const ApprovalEvent = require('./models/ApprovalEvent');
+const Payee = require('./models/Payee');
+const PayeeWalletChange = require('./models/PayeeWalletChange');
+const Token = require('./models/Token');
+const Transaction = require('./models/Transaction');
+const GasTopUp = require('./models/GasTopUp');
+const Deposit = require('./models/Deposit');
+const DepositCursor = require('./models/DepositCursor');
+const LedgerAccount = require('./models/LedgerAccount');
+const JournalEntry = require('./models/JournalEntry');
+const JournalLine = require('./models/JournalLine');
+const distributionWorker = require('./services/distributionWorker');
+const distributionScheduler = require('./services/distributionScheduler');
+const transactionWatcher = require('./services/transactionWatcher');
+const depositIndexer = require('./services/depositIndexer');
+const transactionReplacementService = require('./services/transactionReplacementService');
+const networkService = require('./services/networkService');
 require('dotenv').config();
 
 const app = express();
@@ -29,7 +56,8 @@ app.use(limiter);
 // CORS configuration
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Idempotent-Replayed', 'Retry-After']
 }));
 
 // Body parsing middleware
@@ -53,11 +81,25 @@ const userRoutes = require('./routes/user');
 const walletRoutes = require('./routes/wallet');
 const distributionRoutes = require('./routes/distribution');
 const apiKeyRoutes = require('./routes/apiKeys');
+const scheduleRoutes = require('./routes/schedules');
+const approvalRoutes = require('./routes/approvals');
+const payeeRoutes = require('./routes/payees');
+const tokenRoutes = require('./routes/tokens');
+const networkRoutes = require('./routes/networks');
+const gasStationRoutes = require('./routes/gasStation');
+const ledgerRoutes = require('./routes/ledger');
 
 // Route imports
 app.use('/api/user', userRoutes);
 app.use('/api/wallet', walletRoutes);
 app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/payees', payeeRoutes);
+app.use('/api/tokens', tokenRoutes);
+app.use('/api/networks', networkRoutes);
+app.use('/api/gas-station', gasStationRoutes);
+app.use('/api/ledger', ledgerRoutes);
 app.use('/api', distributionRoutes);
 
 // Health check endpoint
@@ -66,8 +108,9 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     service: 'Token Distribution API',
-    network: 'Knightsbridge',
-    chainId: process.env.CHAIN_ID || 8060
+    network: networkService.getDefaultNetwork().name,
+    chainId: networkService.getDefaultNetwork().chainId,
+    networks: networkService.listNetworks().map(network => network.id)
   });
 });
 
@@ -82,6 +125,39 @@ const startServer = async () => {
     // Sync database models
     await sequelize.sync({ alter: true });
     console.log('✅ Database models synchronized');
+
+    // Refuse to start when an RPC endpoint serves another chain than configured
+    const endpoints = await networkService.verifyNetworks();
+    for (const endpoint of endpoints) {
+      if (endpoint.status === 'ok') {
+        console.log(`✅ Network ${endpoint.network}: ${endpoint.endpoint} verified`);
+      } else {
+        console.warn(`⚠️ Network ${endpoint.network}: ${endpoint.endpoint} unreachable (${endpoint.error}); chain id not verified`);
+      }
+    }
+    
+    // Start background distribution worker (resumes jobs left over from a previous run)
+    if (process.env.DISTRIBUTION_WORKER_ENABLED !== 'false') {
+      distributionWorker.start();
+    }
+
+    // Start the scheduler for recurring distributions (missed runs are skipped or run late per schedule)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      distributionScheduler.start();
+    }
+
+    // Follow sent transactions until they are confirmed, failed or dropped (including ones sent before a restart)
+    if (process.env.TRANSACTION_WATCHER_ENABLED !== 'false') {
+      transactionWatcher.start();
+    }
+
+    // Find deposits into custodial wallets, resuming at the last scanned block of each network
+    if (process.env.DEPOSIT_INDEXER_ENABLED !== 'false') {
+      depositIndexer.start();
+    }
+
+    // Speed up transactions left unmined too long (only when TRANSACTION_AUTO_SPEED_UP_AFTER_MS is set)
+    transactionReplacementService.start();
     
     // Start server with increased timeout for long-running operations
     const server = app.listen(PORT, () => {
@@ -92,9 +168,17 @@ const startServer = async () => {
       console.log(`   - Wallet: http://localhost:${PORT}/api/wallet`);
       console.log(`   - API Keys: http://localhost:${PORT}/api/api-keys`);
       console.log(`   - Distribution: http://localhost:${PORT}/api/distribute-tokens`);
+      console.log(`   - Schedules: http://localhost:${PORT}/api/schedules`);
+      console.log(`   - Approvals: http://localhost:${PORT}/api/approvals`);
+      console.log(`   - Payees: http://localhost:${PORT}/api/payees`);
+      console.log(`   - Tokens: http://localhost:${PORT}/api/tokens`);
+      console.log(`   - Networks: http://localhost:${PORT}/api/networks`);
+      console.log(`   - Gas station: http://localhost:${PORT}/api/gas-station`);
+      console.log(`   - Ledger: http://localhost:${PORT}/api/ledger`);
     });
     
-    // Set server timeout to 10 minutes for long-running operations like bulk token distributions
+    // Set server timeout to 10 minutes for long-running synchronous distributions;
+    // large runs should use `async: true` and the background worker instead
     server.timeout = 600000; // 10 minutes in milliseconds
     server.keepAliveTimeout = 65000; // Keep connections alive
     server.headersTimeout = 66000; // Headers timeout should be slightly higher than keepAliveTimeout
@@ -0,0 +1,447 @@
+const { ethers } = require('ethers');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEGACY_NETWORK_ID } = require('../config/networks');
+const User = require('../models/User');
+const Distribution = require('../models/Distribution');
+const AccountApprover = require('../models/AccountApprover');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const ApprovalEvent = require('../models/ApprovalEvent');
+const ScheduledDistributionRun = require('../models/ScheduledDistributionRun');
+const custodialWalletService = require('./custodialWalletService');
+const distributionWorker = require('./distributionWorker');
+const networkService = require('./networkService');
+const payRateService = require('./payRateService');
+const tokenRegistryService = require('./tokenRegistryService');
+
+// Threshold setting that applies to each kind of action
+const THRESHOLD_KEYS = {
+  distribution: 'distribution',
+  token_withdrawal: 'tokenWithdrawal',
+  native_withdrawal: 'nativeWithdrawal'
+};
+
+const approvalError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Maker-checker control for moving funds out of a custodial wallet.
+ * A distribution or withdrawal above the account's threshold is held as an
+ * approval request; it runs only after one of the account's designated
+ * approvers (never the account itself) accepts it, and is cancelled when
+ * rejected or when it expires. Every step is appended to the request's trail.
+ * The system and account thresholds are amounts of the default network's
+ * default token (its native currency for native withdrawals). Other tokens and
+ * networks use APPROVAL_ASSET_THRESHOLDS; without an entry there, their
+ * amounts cannot be compared with a threshold and are held whatever their size.
+ */
+class ApprovalService {
+  constructor() {
+    this.expiryHours = parseInt(process.env.APPROVAL_EXPIRY_HOURS) || 24;
+    this.systemThresholds = {
+      distribution: payRateService.normalizeDecimal(process.env.APPROVAL_THRESHOLD_DISTRIBUTION),
+      tokenWithdrawal: payRateService.normalizeDecimal(process.env.APPROVAL_THRESHOLD_TOKEN_WITHDRAWAL),
+      nativeWithdrawal: payRateService.normalizeDecimal(process.env.APPROVAL_THRESHOLD_NATIVE_WITHDRAWAL)
+    };
+    this.thresholdKeys = Object.values(THRESHOLD_KEYS);
+    this.assetThresholds = this.parseAssetThresholds(process.env.APPROVAL_ASSET_THRESHOLDS);
+  }
+
+  /**
+   * Thresholds of assets other than the default ones, from a JSON object keyed by
+   * `<network>:<token address>` or `<network>:native`; invalid settings stop startup
+   */
+  parseAssetThresholds(value) {
+    const fail = (reason) => {
+      throw new Error(`Invalid APPROVAL_ASSET_THRESHOLDS: ${reason}`);
+    };
+
+    let settings = {};
+    try {
+      settings = value ? JSON.parse(value) : {};
+    } catch (error) {
+      fail('must be a JSON object');
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      fail('must be a JSON object');
+    }
+
+    const assetThresholds = {};
+    for (const [asset, thresholds] of Object.entries(settings)) {
+      const [network, token] = asset.split(':');
+      if (!token || (token !== 'native' && !ethers.isAddress(token))) {
+        fail(`${asset} must be <network>:<token address> or <network>:native`);
+      }
+
+      const normalized = {};
+      for (const [key, threshold] of Object.entries(thresholds || {})) {
+        if (!this.thresholdKeys.includes(key)) fail(`unknown threshold ${key} for ${asset}`);
+        if (!payRateService.isValidRate(threshold)) fail(`${key} of ${asset} must be a positive decimal number`);
+        normalized[key] = payRateService.normalizeDecimal(threshold);
+      }
+      assetThresholds[this.getAssetKey(network, token === 'native' ? null : token)] = normalized;
+    }
+    return assetThresholds;
+  }
+
+  /**
+   * Key of the asset an action moves: a token contract, or the native currency without one
+   */
+  getAssetKey(network, tokenContract) {
+    return `${network}:${tokenContract ? ethers.getAddress(tokenContract.toLowerCase()) : 'native'}`;
+  }
+
+  /**
+   * Whether the system and account thresholds are amounts of this asset
+   */
+  async isDefaultAsset(network, tokenContract) {
+    if (network !== networkService.getDefaultNetwork().id) return false;
+    if (!tokenContract) return true;
+
+    try {
+      const token = await tokenRegistryService.getDefaultToken(network);
+      return token.address.toLowerCase() === tokenContract.toLowerCase();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Effective thresholds of an account: the stricter of its own and the system's
+   * (null means no approval is needed)
+   */
+  getThresholds(user) {
+    const own = user.approval_thresholds || {};
+    const thresholds = {};
+
+    for (const key of this.thresholdKeys) {
+      const candidates = [this.systemThresholds[key], payRateService.normalizeDecimal(own[key])]
+        .filter(value => value !== null);
+      thresholds[key] = candidates.length > 0
+        ? candidates.reduce((lowest, value) => this.toUnits(value) < this.toUnits(lowest) ? value : lowest)
+        : null;
+    }
+
+    return thresholds;
+  }
+
+  /**
+   * Check a requested account threshold against the system limit; returns an error message or null
+   */
+  checkThresholdSetting(key, value) {
+    const limit = this.systemThresholds[key];
+    if (value === null || limit === null) return null;
+
+    return this.toUnits(value) > this.toUnits(limit)
+      ? `${key} threshold cannot be above the system threshold of ${limit}`
+      : null;
+  }
+
+  /**
+   * Fixed-point value of a decimal amount for comparisons
+   */
+  toUnits(value) {
+    const normalized = payRateService.normalizeDecimal(value);
+    if (normalized === null) {
+      throw new Error(`Invalid amount: ${value}`);
+    }
+    return ethers.parseUnits(normalized, 18);
+  }
+
+  /**
+   * Threshold that applies to an action in an asset: the effective thresholds for
+   * the default assets, APPROVAL_ASSET_THRESHOLDS for others, and '0' (every
+   * amount is held) for an asset without its own threshold when the action has one
+   */
+  async getAssetThreshold(user, actionType, network, tokenContract) {
+    const key = THRESHOLD_KEYS[actionType];
+    const threshold = this.getThresholds(user)[key];
+    if (await this.isDefaultAsset(network, tokenContract)) return threshold;
+
+    const assetThresholds = this.assetThresholds[this.getAssetKey(network, tokenContract)] || {};
+    if (assetThresholds[key]) return assetThresholds[key];
+    return threshold === null ? null : '0';
+  }
+
+  /**
+   * Threshold the amount goes over for this action, or null if it may run straight away
+   */
+  async getExceededThreshold(user, actionType, amount, network, tokenContract) {
+    const threshold = await this.getAssetThreshold(user, actionType, network, tokenContract);
+    if (threshold === null) return null;
+
+    return this.toUnits(amount) > this.toUnits(threshold) ? threshold : null;
+  }
+
+  /**
+   * Hold a recorded distribution for approval if its total is above the threshold.
+   * Returns the approval request, or null when the distribution may run now.
+   * Context: requestedVia ('jwt' | 'api_key' | 'schedule'), apiKeyId
+   */
+  async holdDistribution(distribution, user, context = {}) {
+    const threshold = await this.getExceededThreshold(
+      user, 'distribution', distribution.total_tokens, distribution.network, distribution.token_contract_address
+    );
+    if (threshold === null) return null;
+
+    return await sequelize.transaction(async (transaction) => {
+      await distribution.update({ status: 'PENDING_APPROVAL' }, { transaction });
+
+      return await this.createRequest(user, {
+        actionType: 'distribution',
+        amount: distribution.total_tokens,
+        threshold,
+        distributionId: distribution.id,
+        details: {
+          network: distribution.network,
+          tokenContract: distribution.token_contract_address,
+          source: distribution.source,
+          mode: distribution.mode,
+          totalRecipients: distribution.total_recipients
+        }
+      }, context, transaction);
+    });
+  }
+
+  /**
+   * Hold a withdrawal ({ toAddress, amount, type, tokenContract, network }) for approval if it is above the threshold.
+   * Returns the approval request, or null when the withdrawal may run now.
+   */
+  async holdWithdrawal(user, withdrawal, context = {}) {
+    const actionType = withdrawal.type === 'native' ? 'native_withdrawal' : 'token_withdrawal';
+    const threshold = await this.getExceededThreshold(
+      user, actionType, String(withdrawal.amount), withdrawal.network, withdrawal.tokenContract
+    );
+    if (threshold === null) return null;
+
+    return await sequelize.transaction(async (transaction) => {
+      return await this.createRequest(user, {
+        actionType,
+        amount: String(withdrawal.amount),
+        threshold,
+        details: withdrawal
+      }, context, transaction);
+    });
+  }
+
+  /**
+   * Record a pending approval request and the first entry of its trail
+   */
+  async createRequest(user, request, context, transaction) {
+    const approvalRequest = await ApprovalRequest.create({
+      user_id: user.id,
+      action_type: request.actionType,
+      amount: request.amount,
+      threshold: request.threshold,
+      distribution_id: request.distributionId || null,
+      details: request.details,
+      requested_via: context.requestedVia || 'jwt',
+      api_key_id: context.apiKeyId || null,
+      expires_at: new Date(Date.now() + this.expiryHours * 60 * 60 * 1000)
+    }, { transaction });
+
+    await this.recordEvent(approvalRequest, 'REQUESTED', user.id, null, {
+      amount: request.amount,
+      threshold: request.threshold,
+      requestedVia: approvalRequest.requested_via
+    }, transaction);
+
+    console.log(`Approval required for ${request.actionType} of ${request.amount} from account ${user.id} (request ${approvalRequest.id})`);
+
+    return approvalRequest;
+  }
+
+  /**
+   * Check whether a user is a designated approver of an account
+   */
+  async isApprover(accountId, userId) {
+    if (accountId === userId) return false;
+
+    const count = await AccountApprover.count({
+      where: { user_id: accountId, approver_id: userId }
+    });
+    return count > 0;
+  }
+
+  /**
+   * Approve a pending request and execute its action
+   */
+  async approve(approvalRequest, approver, comment = null) {
+    await this.decide(approvalRequest, approver, 'APPROVED', comment);
+    return await this.execute(approvalRequest);
+  }
+
+  /**
+   * Reject a pending request; a held distribution is cancelled
+   */
+  async reject(approvalRequest, approver, comment = null) {
+    await this.decide(approvalRequest, approver, 'REJECTED', comment);
+
+    if (approvalRequest.distribution_id) {
+      await Distribution.update({
+        status: 'CANCELLED',
+        error: `Rejected by approver${comment ? `: ${comment}` : ''}`,
+        completed_at: new Date()
+      }, {
+        where: { id: approvalRequest.distribution_id, status: 'PENDING_APPROVAL' }
+      });
+    }
+
+    return approvalRequest;
+  }
+
+  /**
+   * Record an approver's decision. The conditional update makes concurrent
+   * decisions on the same request safe: only the first one wins.
+   */
+  async decide(approvalRequest, approver, status, comment) {
+    if (approver.id === approvalRequest.user_id) {
+      throw approvalError('SELF_APPROVAL_NOT_ALLOWED', 'Requests cannot be decided from the account that made them');
+    }
+    if (!(await this.isApprover(approvalRequest.user_id, approver.id))) {
+      throw approvalError('NOT_AN_APPROVER', 'You are not a designated approver for this account');
+    }
+
+    const decidedAt = new Date();
+    await sequelize.transaction(async (transaction) => {
+      const [updated] = await ApprovalRequest.update({
+        status,
+        decided_by: approver.id,
+        decided_at: decidedAt,
+        decision_comment: comment
+      }, {
+        where: {
+          id: approvalRequest.id,
+          status: 'PENDING_APPROVAL',
+          expires_at: { [Op.gt]: decidedAt }
+        },
+        transaction
+      });
+
+      if (updated === 0) {
+        await approvalRequest.reload({ transaction });
+        if (approvalRequest.isPending()) {
+          throw approvalError('APPROVAL_EXPIRED', 'The approval request has expired');
+        }
+        throw approvalError('APPROVAL_NOT_PENDING', `The approval request is already ${approvalRequest.status}`);
+      }
+
+      await this.recordEvent(approvalRequest, status, approver.id, comment, null, transaction);
+    });
+
+    await approvalRequest.reload();
+  }
+
+  /**
+   * Run an approved action: a held distribution is queued for the background
+   * worker, a withdrawal is sent straight away
+   */
+  async execute(approvalRequest) {
+    try {
+      const user = await User.findByPk(approvalRequest.user_id);
+      if (!user || !user.custodial_wallet_private_key) {
+        throw new Error('Custodial wallet not configured');
+      }
+
+      let result;
+      if (approvalRequest.action_type === 'distribution') {
+        const distribution = await Distribution.findByPk(approvalRequest.distribution_id);
+        if (!distribution) {
+          throw new Error('Distribution not found');
+        }
+
+        await distribution.update({ status: 'PENDING' });
+        const job = await distributionWorker.enqueue(distribution);
+        await ScheduledDistributionRun.update(
+          { job_id: job.id },
+          { where: { distribution_id: distribution.id } }
+        );
+
+        result = { distributionId: distribution.id, jobId: job.id };
+      } else {
+        // Requests recorded before networks were configurable ran on the legacy network
+        const { toAddress, amount, tokenContract, network, feeSpeed } = approvalRequest.details;
+        const walletService = custodialWalletService.forNetwork(network || LEGACY_NETWORK_ID);
+        const context = { userId: user.id, feeSpeed, topUpGas: true };
+        result = approvalRequest.action_type === 'native_withdrawal'
+          ? await walletService.withdrawNative(user.custodial_wallet_private_key, toAddress, amount, context)
+          : await walletService.withdrawTokens(user.custodial_wallet_private_key, toAddress, amount, tokenContract, context);
+      }
+
+      await approvalRequest.update({ status: 'EXECUTED', result });
+      await this.recordEvent(approvalRequest, 'EXECUTED', null, null, result);
+    } catch (error) {
+      console.error(`Approved request ${approvalRequest.id} failed to execute:`, error);
+      await approvalRequest.update({ status: 'FAILED', error: error.message });
+      // A withdrawal that failed after it was broadcast keeps its hash: it may still be mined
+      await this.recordEvent(approvalRequest, 'FAILED', null, null, error.transactionHash
+        ? { error: error.message, transactionHash: error.transactionHash }
+        : { error: error.message });
+
+      if (approvalRequest.distribution_id) {
+        await Distribution.update({
+          status: 'FAILED',
+          error: error.message,
+          completed_at: new Date()
+        }, {
+          where: { id: approvalRequest.distribution_id, status: { [Op.in]: ['PENDING_APPROVAL', 'PENDING'] } }
+        });
+      }
+    }
+
+    return approvalRequest;
+  }
+
+  /**
+   * Expire pending requests past their deadline and cancel their held distributions
+   */
+  async expireOverdue(where = {}) {
+    const now = new Date();
+    const overdue = await ApprovalRequest.findAll({
+      where: { ...where, status: 'PENDING_APPROVAL', expires_at: { [Op.lte]: now } }
+    });
+
+    for (const approvalRequest of overdue) {
+      await sequelize.transaction(async (transaction) => {
+        const [updated] = await ApprovalRequest.update(
+          { status: 'EXPIRED' },
+          { where: { id: approvalRequest.id, status: 'PENDING_APPROVAL' }, transaction }
+        );
+        if (updated === 0) return;
+
+        await this.recordEvent(approvalRequest, 'EXPIRED', null, null, { expiresAt: approvalRequest.expires_at }, transaction);
+
+        if (approvalRequest.distribution_id) {
+          await Distribution.update({
+            status: 'CANCELLED',
+            error: 'Approval request expired',
+            completed_at: now
+          }, {
+            where: { id: approvalRequest.distribution_id, status: 'PENDING_APPROVAL' },
+            transaction
+          });
+        }
+      });
+    }
+
+    return overdue.length;
+  }
+
+  /**
+   * Append an entry to a request's decision trail
+   */
+  async recordEvent(approvalRequest, action, actorId, comment, details, transaction = null) {
+    return await ApprovalEvent.create({
+      approval_request_id: approvalRequest.id,
+      action,
+      actor_id: actorId,
+      comment,
+      details
+    }, { transaction });
+  }
+}
+
+module.exports = new ApprovalService();
@@ -1,10 +1,203 @@
 const { ethers } = require('ethers');
+const feePolicyService = require('./feePolicyService');
+const networkService = require('./networkService');
+const payRateService = require('./payRateService');
 
+// Required on first use: both load the database models, which scripts that only
+// send transfers (scripts/test-batch-transfer.js) run without
+const getGasStationService = () => require('./gasStationService');
+const getTransactionWatcher = () => require('./transactionWatcher');
+
+const ERC20_ABI = [
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function balanceOf(address account) view returns (uint256)",
+  "function decimals() view returns (uint8)",
+  "event Transfer(address indexed from, address indexed to, uint256 value)"
+];
+
+// Used when a gas estimate is not possible (e.g. the wallet cannot cover the transfer yet)
+const FALLBACK_TRANSFER_GAS = 65000n;
+const FALLBACK_APPROVE_GAS = 50000n;
+
+// disperse.app compatible batch transfer contract (see contracts/BatchTransfer.sol)
+const BATCH_TRANSFER_ABI = [
+  "function disperseToken(address token, address[] recipients, uint256[] values)"
+];
+
+// One service per network, created on first use
+const instances = new Map();
+
+/**
+ * Custodial wallet operations on one network. The exported instance works on
+ * the default network; forNetwork() returns the instance of another one.
+ */
 class CustodialWalletService {
-  constructor() {
-    this.rpcUrl = process.env.RPC_URL || 'https://mainnet-rpc.kxcoscan.com';
-    this.chainId = process.env.CHAIN_ID || '8060';
-    this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+  constructor(network = networkService.getDefaultNetwork()) {
+    this.network = network;
+    this.provider = networkService.getProvider(network.id);
+    this.distributionMode = process.env.DISTRIBUTION_MODE || 'sequential';
+    this.pipelineWindow = parseInt(process.env.DISTRIBUTION_PIPELINE_WINDOW) || 10;
+    this.batchContractAddress = process.env.BATCH_TRANSFER_CONTRACT_ADDRESS || null;
+    this.batchSize = parseInt(process.env.DISTRIBUTION_BATCH_SIZE) || 100;
+    this.logBlockRange = parseInt(process.env.TRANSFER_LOG_BLOCK_RANGE) || 5000;
+    this.transferLookbackBlocks = parseInt(process.env.TRANSFER_LOOKBACK_BLOCKS) || 100000;
+    this.confirmationTimeout = parseInt(process.env.TRANSACTION_CONFIRMATION_TIMEOUT_MS) || 1800000;
+    // Save sent transactions for the transaction watcher; off only in scripts without a database
+    this.trackTransactions = true;
+  }
+
+  /**
+   * The service bound to a network (id); null or undefined give the default network
+   */
+  forNetwork(networkId) {
+    const network = networkService.getNetwork(networkId);
+    if (!instances.has(network.id)) {
+      instances.set(network.id, new CustodialWalletService(network));
+    }
+    return instances.get(network.id);
+  }
+
+  /**
+   * Explorer link of a transaction on this network (null without an explorer)
+   */
+  getExplorerUrl(transactionHash) {
+    return networkService.getExplorerUrl(this.network.id, transactionHash);
+  }
+
+  /**
+   * Save a broadcast transaction for the transaction watcher, which follows it
+   * until it is final (see services/transactionWatcher.js)
+   */
+  async trackTransaction(tx, details) {
+    if (!this.trackTransactions) return null;
+    return await getTransactionWatcher().record(tx, { ...details, network: this.network });
+  }
+
+  /**
+   * Have the gas station bring a wallet's native balance up to at least
+   * `required` (wei) when it holds less, and return the balance afterwards.
+   * Context: userId, reason, distributionId
+   */
+  async topUpGas(walletAddress, required, context) {
+    await getGasStationService().topUp({ ...context, network: this.network, walletAddress, required });
+    return await this.provider.getBalance(walletAddress);
+  }
+
+  /**
+   * Wait until a transaction has the network's confirmation depth and return its
+   * receipt. A speed-up (the same call with a higher fee) stands in for the
+   * original, so the receipt may carry the replacement's hash; a cancelled or
+   * otherwise replaced transaction throws. So does one still unconfirmed after
+   * confirmationTimeout (TRANSACTION_UNCONFIRMED): the network may have
+   * forgotten it, or may still mine it.
+   */
+  async waitForTransaction(tx) {
+    try {
+      return await tx.wait(this.network.confirmations, this.confirmationTimeout);
+    } catch (error) {
+      if (error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced' && error.receipt.status === 1) {
+        console.log(`Transaction ${tx.hash} was sped up and mined as ${error.hash}`);
+        return error.receipt;
+      }
+      if (error.code === 'TIMEOUT') {
+        const minutes = Math.round(this.confirmationTimeout / 60000);
+        const unconfirmed = new Error(`Transaction ${tx.hash} was not confirmed within ${minutes} minutes; it may still be mined, so check it before paying again`);
+        unconfirmed.code = 'TRANSACTION_UNCONFIRMED';
+        unconfirmed.details = { transactionHash: tx.hash, timeoutMinutes: minutes };
+        throw unconfirmed;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a pending transaction with another one using the same nonce: the
+   * same call again (speed-up) or a zero-value send to the wallet itself
+   * (cancel). Fees are the original's raised by bumpPercent, and at least the
+   * network's current fees, and within the network's fee cap. Returns the
+   * replacement's response and tracked record.
+   * Options: cancel, bumpPercent
+   */
+  async replaceTransaction(privateKey, original, options = {}) {
+    const wallet = new ethers.Wallet(privateKey, this.provider);
+    if (wallet.address.toLowerCase() !== original.from_address.toLowerCase()) {
+      throw new Error('Transaction was not sent from this wallet');
+    }
+
+    const request = options.cancel
+      ? { to: wallet.address, value: 0n, data: '0x', gasLimit: 21000n }
+      : this.buildRepeatRequest(original);
+
+    // Rounded up, so small fees still rise by the full percentage
+    const bump = (value) => (value * BigInt(100 + options.bumpPercent) + 99n) / 100n;
+    const larger = (a, b) => (a > b ? a : b);
+    const feeData = await this.provider.getFeeData();
+    let fees;
+    if (original.max_fee_per_gas) {
+      const maxPriorityFeePerGas = larger(
+        bump(BigInt(original.max_priority_fee_per_gas || 0)),
+        feeData.maxPriorityFeePerGas || 0n
+      );
+      fees = {
+        type: 'eip1559',
+        maxFeePerGas: larger(
+          larger(bump(BigInt(original.max_fee_per_gas)), feeData.maxFeePerGas || 0n),
+          maxPriorityFeePerGas
+        ),
+        maxPriorityFeePerGas
+      };
+    } else {
+      fees = { type: 'legacy', gasPrice: larger(bump(BigInt(original.gas_price || 0)), feeData.gasPrice || 0n) };
+    }
+    feePolicyService.assertWithinCap(this.network, request.gasLimit, fees);
+
+    const tx = await wallet.sendTransaction({
+      ...request,
+      ...feePolicyService.toTransactionFees(fees),
+      nonce: original.nonce
+    });
+    console.log(`${options.cancel ? 'Cancellation' : 'Speed-up'} of ${original.hash} sent with nonce ${original.nonce}: ${tx.hash}`);
+
+    const record = await this.trackTransaction(tx, options.cancel
+      ? { kind: 'cancellation', to: wallet.address, amount: 0, userId: original.user_id, replaces: original }
+      : {
+        kind: original.kind,
+        to: original.to_address,
+        tokenContract: original.token_contract_address,
+        amount: original.amount,
+        userId: original.user_id,
+        distributionId: original.distribution_id,
+        replaces: original
+      });
+
+    return { tx, record };
+  }
+
+  /**
+   * The call a tracked transaction made, to send it again
+   */
+  buildRepeatRequest(original) {
+    if (original.kind === 'native_transfer' || original.kind === 'cancellation') {
+      return {
+        to: original.to_address,
+        value: ethers.parseEther(payRateService.normalizeDecimal(original.amount) || '0'),
+        data: '0x',
+        gasLimit: BigInt(original.gas_limit || 21000)
+      };
+    }
+
+    if (!original.data || !original.gas_limit) {
+      throw new Error('The call of this transaction was not recorded; it can only be cancelled');
+    }
+    return {
+      // Token transfers and approvals call the token; batch transfers the batch contract
+      to: original.kind === 'batch_transfer' ? original.to_address : original.token_contract_address,
+      value: 0n,
+      data: original.data,
+      gasLimit: BigInt(original.gas_limit)
+    };
   }
 
   /**
@@ -40,9 +233,10 @@ class CustodialWalletService {
   }
 
   /**
-   * Get token balance for a specific token contract
+   * Get token balance for a specific token contract.
+   * Pass the token's decimals when known (e.g. from the token registry) to save a call.
    */
-  async getTokenBalance(walletAddress, tokenContractAddress) {
+  async getTokenBalance(walletAddress, tokenContractAddress, knownDecimals = null) {
     try {
       const tokenContract = new ethers.Contract(
         tokenContractAddress,
@@ -55,7 +249,7 @@ class CustodialWalletService {
 
       const [balance, decimals] = await Promise.all([
         tokenContract.balanceOf(walletAddress),
-        tokenContract.decimals()
+        knownDecimals !== null ? knownDecimals : tokenContract.decimals()
       ]);
 
       return ethers.formatUnits(balance, decimals);
@@ -66,36 +260,60 @@ class CustodialWalletService {
   }
 
   /**
-   * Deposit tokens to custodial wallet
-   * Note: This method requires external funding - users must send tokens to their custodial wallet
-   * The system no longer uses a main wallet for deposits
+   * Get the number of decimals of a token contract
    */
-  async depositTokens(userWalletAddress, amount, tokenContractAddress) {
+  async getTokenDecimals(tokenContractAddress) {
     try {
-      console.log(`Checking deposit of ${amount} tokens to ${userWalletAddress}`);
-      
-      // Check if the user's wallet has received the tokens
-      const balance = await this.getTokenBalance(userWalletAddress, tokenContractAddress);
-      
-      return {
-        success: true,
-        message: 'Deposit verification completed',
-        amount: amount,
-        recipient: userWalletAddress,
-        currentBalance: balance,
-        type: 'deposit_verification',
-        note: 'User must send tokens to their custodial wallet address'
-      };
+      const tokenContract = new ethers.Contract(
+        tokenContractAddress,
+        ["function decimals() view returns (uint8)"],
+        this.provider
+      );
+
+      return await tokenContract.decimals();
     } catch (error) {
-      console.error('Error verifying deposit:', error);
-      throw new Error(`Failed to verify deposit: ${error.message}`);
+      console.error('Error getting token decimals:', error);
+      throw new Error('Failed to get token decimals');
     }
   }
 
   /**
-   * Withdraw tokens from custodial wallet to external address
+   * Read the symbol, name and decimals of a token contract.
+   * Name is optional in ERC-20 and is null when the contract does not provide it.
    */
-  async withdrawTokens(fromWalletPrivateKey, toAddress, amount, tokenContractAddress) {
+  async getTokenMetadata(tokenContractAddress) {
+    const tokenContract = new ethers.Contract(
+      tokenContractAddress,
+      [
+        "function symbol() view returns (string)",
+        "function name() view returns (string)",
+        "function decimals() view returns (uint8)"
+      ],
+      this.provider
+    );
+
+    try {
+      const [symbol, decimals, name] = await Promise.all([
+        tokenContract.symbol(),
+        tokenContract.decimals(),
+        tokenContract.name().catch(() => null)
+      ]);
+
+      return { symbol, name, decimals: Number(decimals) };
+    } catch (error) {
+      console.error('Error reading token metadata:', error);
+      throw new Error('Failed to read token metadata');
+    }
+  }
+
+  /**
+   * Withdraw tokens from custodial wallet to external address.
+   * Context: userId, distributionId (stored with the tracked transaction),
+   * feeSpeed ('slow' | 'normal' | 'fast'; default FEE_SPEED),
+   * topUpGas (let the gas station cover a gas shortfall first)
+   */
+  async withdrawTokens(fromWalletPrivateKey, toAddress, amount, tokenContractAddress, context = {}) {
+    let tx = null;
     try {
       console.log(`Withdrawing ${amount} tokens from custodial wallet to ${toAddress}`);
       
@@ -103,15 +321,7 @@ class CustodialWalletService {
       const wallet = new ethers.Wallet(fromWalletPrivateKey, this.provider);
       
       // Create token contract instance
-      const tokenContract = new ethers.Contract(
-        tokenContractAddress,
-        [
-          "function transfer(address to, uint256 amount) returns (bool)",
-          "function balanceOf(address account) view returns (uint256)",
-          "function decimals() view returns (uint8)"
-        ],
-        wallet
-      );
+      const tokenContract = new ethers.Contract(tokenContractAddress, ERC20_ABI, wallet);
 
       // Get decimals and convert amount
       const decimals = await tokenContract.decimals();
@@ -125,128 +335,95 @@ class CustodialWalletService {
 
       // Estimate gas and send transaction
       const gasEstimate = await tokenContract.transfer.estimateGas(toAddress, tokenAmount);
-      const feeData = await this.provider.getFeeData();
-      const gasLimit = gasEstimate * 120n / 100n;
+      const fees = await feePolicyService.getFees(this.network, context.feeSpeed);
+      const overrides = feePolicyService.buildOverrides(this.network, gasEstimate, fees);
 
-      const tx = await tokenContract.transfer(toAddress, tokenAmount, {
-        gasLimit: gasLimit,
-        gasPrice: feeData.gasPrice
-      });
+      if (context.topUpGas && context.userId && getGasStationService().isEnabled()) {
+        await this.topUpGas(wallet.address, overrides.gasLimit * feePolicyService.getMaxGasPrice(fees), {
+          userId: context.userId,
+          reason: 'withdrawal'
+        });
+      }
+
+      tx = await tokenContract.transfer(toAddress, tokenAmount, overrides);
 
       console.log(`Withdrawal transaction sent: ${tx.hash}`);
-      const receipt = await tx.wait();
+      await this.trackTransaction(tx, {
+        kind: 'token_transfer',
+        to: toAddress,
+        tokenContract: tokenContractAddress,
+        amount,
+        userId: context.userId,
+        distributionId: context.distributionId
+      });
+      const receipt = await this.waitForTransaction(tx);
       
-      const explorerUrl = `https://kxcoscan.com/tx/${tx.hash}`;
+      const explorerUrl = this.getExplorerUrl(receipt.hash);
       
       return {
         success: true,
-        transactionHash: tx.hash,
+        transactionHash: receipt.hash,
         blockNumber: receipt.blockNumber,
         amount: amount,
         from: wallet.address,
         to: toAddress,
         type: 'withdrawal',
-        explorerUrl: explorerUrl
+        explorerUrl: explorerUrl,
+        statusUrl: `/api/wallet/transactions/${receipt.hash}`
       };
     } catch (error) {
       console.error('Error withdrawing tokens:', error);
-      throw new Error(`Failed to withdraw tokens: ${error.message}`);
+      const wrappedError = new Error(`Failed to withdraw tokens: ${error.message}`);
+      // Keep structured errors (e.g. FEE_CAP_EXCEEDED) intact for callers
+      if (error.details) {
+        wrappedError.code = error.code;
+        wrappedError.details = error.details;
+      }
+      // Once broadcast, the transfer may still be mined: callers keep its hash
+      if (tx) {
+        wrappedError.transactionHash = tx.hash;
+      }
+      throw wrappedError;
     }
   }
 
   /**
    * Distribute tokens from custodial wallet to multiple recipients
+   * Options:
+   * - mode: 'sequential' (one transfer at a time), 'pipelined' (locally managed nonces)
+   *   or 'batch' (many recipients per transaction through the batch transfer contract)
+   * - window: maximum number of unconfirmed transfers in pipelined mode
+   * - batchSize: recipients per transaction in batch mode
+   * - rate: tokens per hour for recipients without their own `rate` (default: 1)
+   * - rounding: 'floor' | 'round' | 'ceil' | 'exact' (default: floor)
+   * - allowPartial: skip the pre-flight funds and fee cap check and pay recipients until funds run out
+   * - feeSpeed: 'slow' | 'normal' | 'fast' (default FEE_SPEED)
+   * - shouldStop: async function checked before each transfer (each chunk in batch mode);
+   *   when it returns true no further transfers are sent and the results so far are returned
+   * - userId, distributionId: stored with the tracked transactions
    */
-  async distributeFromCustodialWallet(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress = null) {
+  async distributeFromCustodialWallet(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress = null, options = {}) {
     try {
-      console.log(`Distributing tokens from custodial wallet to ${recipients.length} recipients`);
-      
-      const wallet = new ethers.Wallet(fromWalletPrivateKey, this.provider);
-      const results = [];
+      const mode = options.mode || this.distributionMode;
+      console.log(`Distributing tokens from custodial wallet to ${recipients.length} recipients (${mode} mode)`);
+
+      const walletAddress = new ethers.Wallet(fromWalletPrivateKey).address;
+      if (options.allowPartial) {
+        console.warn('Partial payment allowed; skipping pre-flight funds check');
+      } else {
+        await this.assertSufficientFunds(walletAddress, recipients, tokenContractAddress, { ...options, mode });
+      }
       
-      for (let i = 0; i < recipients.length; i++) {
-        const recipient = recipients[i];
-        const tokensToDistribute = Math.floor(recipient.hrsWorked);
-        
-        try {
-          console.log(`Processing recipient ${i + 1}/${recipients.length}: ${recipient.name}`);
-          
-          // Send progress update if callback provided
-          if (onProgress) {
-            onProgress({
-              type: 'progress',
-              current: i + 1,
-              total: recipients.length,
-              recipient: recipient.name,
-              status: 'processing'
-            });
-          }
-          
-          const result = await this.withdrawTokens(
-            fromWalletPrivateKey,
-            recipient.wallet,
-            tokensToDistribute,
-            tokenContractAddress
-          );
-          
-          const distributionResult = {
-            success: true,
-            recipient: {
-              name: recipient.name,
-              wallet: recipient.wallet
-            },
-            distribution: {
-              hoursWorked: recipient.hrsWorked,
-              tokensDistributed: tokensToDistribute,
-              rate: '1 token per hour'
-            },
-            transaction: result
-          };
-          
-          results.push(distributionResult);
-          
-          // Send success progress update
-          if (onProgress) {
-            onProgress({
-              type: 'result',
-              current: i + 1,
-              total: recipients.length,
-              result: distributionResult
-            });
-          }
-          
-          console.log(`Successfully distributed ${tokensToDistribute} tokens to ${recipient.name}`);
-          
-        } catch (error) {
-          console.error(`Failed to distribute tokens to ${recipient.name}:`, error);
-          
-          const distributionResult = {
-            success: false,
-            recipient: {
-              name: recipient.name,
-              wallet: recipient.wallet
-            },
-            distribution: {
-              hoursWorked: recipient.hrsWorked,
-              tokensDistributed: 0,
-              rate: '1 token per hour'
-            },
-            error: error.message
-          };
-          
-          results.push(distributionResult);
-          
-          // Send failure progress update
-          if (onProgress) {
-            onProgress({
-              type: 'result',
-              current: i + 1,
-              total: recipients.length,
-              result: distributionResult
-            });
-          }
-        }
+      let results;
+      if (mode === 'pipelined') {
+        results = await this.distributePipelined(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress, options);
+      } else if (mode === 'batch') {
+        results = await this.distributeBatched(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress, options);
+      } else {
+        results = await this.distributeSequentially(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress, options);
       }
+      // Recipients not reached before a stop have no result
+      results = results.filter(Boolean);
       
       const successfulCount = results.filter(r => r.success).length;
       const failedCount = results.filter(r => !r.success).length;
@@ -256,37 +433,703 @@ class CustodialWalletService {
       return results;
     } catch (error) {
       console.error('Error in custodial distribution:', error);
-      throw new Error(`Failed to distribute from custodial wallet: ${error.message}`);
+      const wrappedError = new Error(`Failed to distribute from custodial wallet: ${error.message}`);
+      // Keep structured errors (e.g. INSUFFICIENT_FUNDS) intact for callers
+      if (error.details) {
+        wrappedError.code = error.code;
+        wrappedError.details = error.details;
+      }
+      throw wrappedError;
+    }
+  }
+
+  /**
+   * Refuse a run the wallet cannot pay in full. Before anything is sent, all
+   * recipient amounts are summed and compared with the token balance, and the
+   * estimated gas with the native balance. Throws an INSUFFICIENT_FUNDS error
+   * whose `details` list each shortfall, or FEE_CAP_EXCEEDED when a single
+   * transfer would already cost more than the network's fee cap. A gas
+   * shortfall is first offered to the gas station, when one is configured.
+   */
+  async assertSufficientFunds(walletAddress, recipients, tokenContractAddress, options = {}) {
+    const quote = await this.quoteDistribution(walletAddress, recipients, tokenContractAddress, options);
+    if (recipients.length > 0) {
+      feePolicyService.assertWithinCap(this.network, quote.transferGasUnits, quote.fees);
+    }
+
+    let gasStationRefusal = null;
+    if (quote.nativeBalance < quote.gasCost && options.userId && getGasStationService().isEnabled()) {
+      try {
+        quote.nativeBalance = await this.topUpGas(walletAddress, quote.gasCost, {
+          userId: options.userId,
+          distributionId: options.distributionId,
+          reason: 'distribution'
+        });
+      } catch (error) {
+        console.error('Gas top-up failed:', error.message);
+        gasStationRefusal = { code: error.code || 'GAS_TOP_UP_FAILED', message: error.message };
+      }
+    }
+
+    const details = {};
+
+    if (quote.tokenBalance < quote.totalAmount) {
+      details.tokens = {
+        required: payRateService.formatAmount(quote.totalAmount, quote.decimals),
+        available: payRateService.formatAmount(quote.tokenBalance, quote.decimals),
+        shortfall: payRateService.formatAmount(quote.totalAmount - quote.tokenBalance, quote.decimals)
+      };
+    }
+
+    if (quote.nativeBalance < quote.gasCost) {
+      details.native = {
+        required: ethers.formatEther(quote.gasCost),
+        available: ethers.formatEther(quote.nativeBalance),
+        shortfall: ethers.formatEther(quote.gasCost - quote.nativeBalance)
+      };
+      if (gasStationRefusal) {
+        details.native.gasStation = gasStationRefusal;
+      }
+    }
+
+    if (Object.keys(details).length === 0) {
+      return quote;
+    }
+
+    const shortfalls = [];
+    if (details.tokens) {
+      shortfalls.push(`${details.tokens.required} tokens required, ${details.tokens.available} available`);
+    }
+    if (details.native) {
+      shortfalls.push(`${details.native.required} ${this.network.nativeSymbol} estimated for gas, ${details.native.available} available`);
+    }
+
+    const error = new Error(`Insufficient funds: ${shortfalls.join('; ')}`);
+    error.code = 'INSUFFICIENT_FUNDS';
+    error.details = details;
+    throw error;
+  }
+
+  /**
+   * Send one transfer at a time, waiting for each receipt
+   */
+  async distributeSequentially(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress = null, options = {}) {
+    const tokenContract = new ethers.Contract(tokenContractAddress, ERC20_ABI, this.provider);
+    const decimals = await tokenContract.decimals();
+    const results = [];
+    
+    for (let i = 0; i < recipients.length; i++) {
+      if (options.shouldStop && await options.shouldStop()) {
+        console.log(`Distribution stopped before recipient ${i + 1}/${recipients.length}`);
+        break;
+      }
+
+      const recipient = recipients[i];
+      const payout = this.calculatePayout(recipient, decimals, options);
+      let distributionResult;
+      
+      try {
+        console.log(`Processing recipient ${i + 1}/${recipients.length}: ${recipient.name}`);
+        
+        // Send progress update if callback provided
+        if (onProgress) {
+          await onProgress({
+            type: 'progress',
+            current: i + 1,
+            total: recipients.length,
+            recipient: recipient.name,
+            status: 'processing'
+          });
+        }
+        
+        const result = await this.withdrawTokens(
+          fromWalletPrivateKey,
+          recipient.wallet,
+          payout.tokensToDistribute,
+          tokenContractAddress,
+          { userId: options.userId, distributionId: options.distributionId, feeSpeed: options.feeSpeed }
+        );
+        
+        distributionResult = this.buildDistributionResult(recipient, payout, result);
+        console.log(`Successfully distributed ${payout.tokensToDistribute} tokens to ${recipient.name}`);
+        
+      } catch (error) {
+        console.error(`Failed to distribute tokens to ${recipient.name}:`, error);
+        distributionResult = this.buildDistributionResult(recipient, payout, null, error);
+        if (error.transactionHash) {
+          distributionResult.transactionHash = error.transactionHash;
+        }
+      }
+      
+      results.push(distributionResult);
+      
+      // Send result progress update
+      if (onProgress) {
+        await onProgress({
+          type: 'result',
+          current: i + 1,
+          total: recipients.length,
+          result: distributionResult
+        });
+      }
+    }
+    
+    return results;
+  }
+
+  /**
+   * High-throughput distribution: decimals, fees, balance and nonce are
+   * fetched once, transfers are broadcast with locally assigned nonces and at
+   * most `window` of them wait for a receipt at the same time
+   */
+  async distributePipelined(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress = null, options = {}) {
+    const windowSize = options.window || this.pipelineWindow;
+    const wallet = new ethers.Wallet(fromWalletPrivateKey, this.provider);
+    const tokenContract = new ethers.Contract(tokenContractAddress, ERC20_ABI, wallet);
+
+    const [decimals, fees, balance, pendingNonce] = await Promise.all([
+      tokenContract.decimals(),
+      feePolicyService.getFees(this.network, options.feeSpeed),
+      tokenContract.balanceOf(wallet.address),
+      this.provider.getTransactionCount(wallet.address, 'pending')
+    ]);
+
+    let nonce = pendingNonce;
+    let remainingBalance = balance;
+    const results = new Array(recipients.length);
+    const inFlight = new Set();
+
+    const reportResult = async (index, distributionResult) => {
+      results[index] = distributionResult;
+      if (onProgress) {
+        await onProgress({
+          type: 'result',
+          current: index + 1,
+          total: recipients.length,
+          result: distributionResult
+        });
+      }
+    };
+
+    const trackReceipt = async (index, recipient, payout, tx) => {
+      let distributionResult;
+      try {
+        const receipt = await this.waitForTransaction(tx);
+        distributionResult = this.buildDistributionResult(recipient, payout, {
+          success: true,
+          transactionHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          amount: payout.tokensToDistribute,
+          from: wallet.address,
+          to: recipient.wallet,
+          type: 'withdrawal',
+          explorerUrl: this.getExplorerUrl(receipt.hash)
+        });
+        console.log(`Successfully distributed ${payout.tokensToDistribute} tokens to ${recipient.name}`);
+      } catch (error) {
+        console.error(`Transfer to ${recipient.name} failed (${tx.hash}):`, error);
+        distributionResult = this.buildDistributionResult(recipient, payout, null, error);
+        distributionResult.transactionHash = tx.hash;
+      }
+      await reportResult(index, distributionResult);
+    };
+
+    for (let i = 0; i < recipients.length; i++) {
+      const recipient = recipients[i];
+      const payout = this.calculatePayout(recipient, decimals, options);
+
+      // Keep at most windowSize transfers waiting for a receipt
+      while (inFlight.size >= windowSize) {
+        await Promise.race(inFlight);
+      }
+
+      // Transfers already broadcast are still tracked to their receipt
+      if (options.shouldStop && await options.shouldStop()) {
+        console.log(`Distribution stopped before recipient ${i + 1}/${recipients.length}`);
+        break;
+      }
+
+      let broadcasting = false;
+      try {
+        console.log(`Processing recipient ${i + 1}/${recipients.length}: ${recipient.name}`);
+
+        if (onProgress) {
+          await onProgress({
+            type: 'progress',
+            current: i + 1,
+            total: recipients.length,
+            recipient: recipient.name,
+            status: 'processing'
+          });
+        }
+
+        const tokenAmount = payout.tokenAmount;
+        if (remainingBalance < tokenAmount) {
+          throw new Error(`Insufficient balance. Available: ${ethers.formatUnits(remainingBalance, decimals)}, Required: ${payout.tokensToDistribute}`);
+        }
+
+        const gasEstimate = await tokenContract.transfer.estimateGas(recipient.wallet, tokenAmount);
+        const overrides = feePolicyService.buildOverrides(this.network, gasEstimate, fees);
+
+        broadcasting = true;
+        const tx = await tokenContract.transfer(recipient.wallet, tokenAmount, { ...overrides, nonce });
+        broadcasting = false;
+
+        console.log(`Transfer to ${recipient.name} sent with nonce ${nonce}: ${tx.hash}`);
+        nonce++;
+        remainingBalance -= tokenAmount;
+        await this.trackTransaction(tx, {
+          kind: 'token_transfer',
+          to: recipient.wallet,
+          tokenContract: tokenContractAddress,
+          amount: payout.tokensToDistribute,
+          userId: options.userId,
+          distributionId: options.distributionId
+        });
+
+        const tracking = trackReceipt(i, recipient, payout, tx)
+          .finally(() => inFlight.delete(tracking));
+        inFlight.add(tracking);
+      } catch (error) {
+        console.error(`Failed to distribute tokens to ${recipient.name}:`, error);
+
+        // A failed broadcast may or may not have consumed the nonce
+        if (broadcasting) {
+          nonce = await this.provider.getTransactionCount(wallet.address, 'pending');
+        }
+
+        await reportResult(i, this.buildDistributionResult(recipient, payout, null, error));
+      }
     }
+
+    await Promise.all(inFlight);
+
+    return results;
   }
 
   /**
-   * Withdraw native KDA from custodial wallet
+   * Batch distribution: the batch transfer contract is approved once for the
+   * whole run, then each chunk of `batchSize` recipients is paid in a single
+   * transaction. Per-recipient results are read back from the chunk's Transfer logs.
    */
-  async withdrawNative(privateKey, toAddress, amount) {
+  async distributeBatched(fromWalletPrivateKey, recipients, tokenContractAddress, onProgress = null, options = {}) {
+    const batchContractAddress = options.batchContract || this.batchContractAddress;
+    if (!batchContractAddress) {
+      throw new Error('Batch transfer contract not configured');
+    }
+
+    const batchSize = options.batchSize || this.batchSize;
+    const wallet = new ethers.Wallet(fromWalletPrivateKey, this.provider);
+    const tokenContract = new ethers.Contract(tokenContractAddress, ERC20_ABI, wallet);
+    const batchContract = new ethers.Contract(batchContractAddress, BATCH_TRANSFER_ABI, wallet);
+
+    const [decimals, fees, balance] = await Promise.all([
+      tokenContract.decimals(),
+      feePolicyService.getFees(this.network, options.feeSpeed),
+      tokenContract.balanceOf(wallet.address)
+    ]);
+
+    const results = new Array(recipients.length);
+    const reportResult = async (index, distributionResult) => {
+      results[index] = distributionResult;
+      if (onProgress) {
+        await onProgress({
+          type: 'result',
+          current: index + 1,
+          total: recipients.length,
+          result: distributionResult
+        });
+      }
+    };
+
+    // Recipients are funded in order; the ones the balance cannot cover fail up front
+    const payable = [];
+    let remainingBalance = balance;
+    for (let i = 0; i < recipients.length; i++) {
+      const recipient = recipients[i];
+      const payout = this.calculatePayout(recipient, decimals, options);
+
+      if (remainingBalance < payout.tokenAmount) {
+        const error = new Error(`Insufficient balance. Available: ${ethers.formatUnits(remainingBalance, decimals)}, Required: ${payout.tokensToDistribute}`);
+        await reportResult(i, this.buildDistributionResult(recipient, payout, null, error));
+        continue;
+      }
+
+      remainingBalance -= payout.tokenAmount;
+      payable.push({ index: i, recipient, payout });
+    }
+
+    if (payable.length === 0) {
+      return results;
+    }
+
+    // Approve the batch contract once for the whole run
+    const totalAmount = payable.reduce((sum, entry) => sum + entry.payout.tokenAmount, 0n);
+    const allowance = await tokenContract.allowance(wallet.address, batchContractAddress);
+    if (allowance < totalAmount) {
+      console.log(`Approving batch transfer contract ${batchContractAddress} for ${ethers.formatUnits(totalAmount, decimals)} tokens`);
+      const approveGas = await tokenContract.approve.estimateGas(batchContractAddress, totalAmount);
+      const approveTx = await tokenContract.approve(batchContractAddress, totalAmount,
+        feePolicyService.buildOverrides(this.network, approveGas, fees));
+      await this.trackTransaction(approveTx, {
+        kind: 'approval',
+        to: batchContractAddress,
+        tokenContract: tokenContractAddress,
+        amount: ethers.formatUnits(totalAmount, decimals),
+        userId: options.userId,
+        distributionId: options.distributionId
+      });
+      await this.waitForTransaction(approveTx);
+    }
+
+    for (let start = 0; start < payable.length; start += batchSize) {
+      if (options.shouldStop && await options.shouldStop()) {
+        console.log(`Distribution stopped before batch ${start / batchSize + 1}`);
+        break;
+      }
+
+      const chunk = payable.slice(start, start + batchSize);
+      let tx = null;
+
+      for (const entry of chunk) {
+        if (onProgress) {
+          await onProgress({
+            type: 'progress',
+            current: entry.index + 1,
+            total: recipients.length,
+            recipient: entry.recipient.name,
+            status: 'processing'
+          });
+        }
+      }
+
+      try {
+        const addresses = chunk.map(entry => entry.recipient.wallet);
+        const values = chunk.map(entry => entry.payout.tokenAmount);
+
+        const gasEstimate = await batchContract.disperseToken.estimateGas(tokenContractAddress, addresses, values);
+        tx = await batchContract.disperseToken(tokenContractAddress, addresses, values,
+          feePolicyService.buildOverrides(this.network, gasEstimate, fees));
+
+        console.log(`Batch transfer to ${chunk.length} recipients sent: ${tx.hash}`);
+        await this.trackTransaction(tx, {
+          kind: 'batch_transfer',
+          to: batchContractAddress,
+          tokenContract: tokenContractAddress,
+          amount: ethers.formatUnits(values.reduce((sum, value) => sum + value, 0n), decimals),
+          userId: options.userId,
+          distributionId: options.distributionId
+        });
+        const receipt = await this.waitForTransaction(tx);
+        const transfers = this.parseTransferLogs(receipt, tokenContractAddress, tokenContract.interface);
+
+        for (const entry of chunk) {
+          const matchIndex = transfers.findIndex(transfer =>
+            transfer.to.toLowerCase() === entry.recipient.wallet.toLowerCase() &&
+            transfer.value === entry.payout.tokenAmount
+          );
+
+          if (matchIndex === -1) {
+            const error = new Error('Transfer not found in batch transaction receipt');
+            const distributionResult = this.buildDistributionResult(entry.recipient, entry.payout, null, error);
+            distributionResult.transactionHash = receipt.hash;
+            await reportResult(entry.index, distributionResult);
+            continue;
+          }
+
+          transfers.splice(matchIndex, 1);
+          await reportResult(entry.index, this.buildDistributionResult(entry.recipient, entry.payout, {
+            success: true,
+            transactionHash: receipt.hash,
+            blockNumber: receipt.blockNumber,
+            amount: entry.payout.tokensToDistribute,
+            from: wallet.address,
+            to: entry.recipient.wallet,
+            type: 'batch_withdrawal',
+            explorerUrl: this.getExplorerUrl(receipt.hash)
+          }));
+        }
+      } catch (error) {
+        console.error(`Batch transfer of ${chunk.length} recipients failed:`, error);
+
+        for (const entry of chunk) {
+          const distributionResult = this.buildDistributionResult(entry.recipient, entry.payout, null, error);
+          if (tx) {
+            distributionResult.transactionHash = tx.hash;
+          }
+          await reportResult(entry.index, distributionResult);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Decode the ERC-20 Transfer events emitted by a token in a transaction receipt
+   */
+  parseTransferLogs(receipt, tokenContractAddress, tokenInterface) {
+    return receipt.logs
+      .filter(log => log.address.toLowerCase() === tokenContractAddress.toLowerCase())
+      .map(log => {
+        try {
+          return tokenInterface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(parsed => parsed && parsed.name === 'Transfer')
+      .map(parsed => ({
+        from: parsed.args.from,
+        to: parsed.args.to,
+        value: parsed.args.value
+      }));
+  }
+
+  /**
+   * Current block height of the chain
+   */
+  async getBlockNumber() {
+    return await this.provider.getBlockNumber();
+  }
+
+  /**
+   * Find out whether a transfer of `amount` tokens from one wallet to another
+   * actually reached the chain. A known transaction hash is checked first; without
+   * one (or when it was dropped) the token's Transfer logs are searched from
+   * `fromBlock` (default: the last TRANSFER_LOOKBACK_BLOCKS blocks).
+   * Options: transactionHash, fromBlock, excludeTransactions (hashes already accounted for)
+   * Returns { status: 'MINED' | 'PENDING' | 'NOT_FOUND', transactionHash, blockNumber }
+   */
+  async findTransfer(fromAddress, toAddress, amount, tokenContractAddress, options = {}) {
+    const tokenInterface = new ethers.Interface(ERC20_ABI);
+    const decimals = await this.getTokenDecimals(tokenContractAddress);
+    const value = ethers.parseUnits(amount.toString(), decimals);
+    const excluded = new Set((options.excludeTransactions || []).map(hash => hash.toLowerCase()));
+    const isMatch = (transfer) =>
+      transfer.from.toLowerCase() === fromAddress.toLowerCase() &&
+      transfer.to.toLowerCase() === toAddress.toLowerCase() &&
+      transfer.value === value;
+
+    if (options.transactionHash) {
+      const receipt = await this.provider.getTransactionReceipt(options.transactionHash);
+      if (receipt) {
+        const mined = receipt.status === 1 &&
+          this.parseTransferLogs(receipt, tokenContractAddress, tokenInterface).some(isMatch);
+        return mined
+          ? { status: 'MINED', transactionHash: receipt.hash, blockNumber: receipt.blockNumber }
+          : { status: 'NOT_FOUND', transactionHash: null, blockNumber: null };
+      }
+
+      const transaction = await this.provider.getTransaction(options.transactionHash);
+      if (transaction) {
+        return { status: 'PENDING', transactionHash: transaction.hash, blockNumber: null };
+      }
+    }
+
+    const latestBlock = await this.getBlockNumber();
+    const fromBlock = options.fromBlock !== undefined && options.fromBlock !== null
+      ? Number(options.fromBlock)
+      : Math.max(0, latestBlock - this.transferLookbackBlocks);
+    const transferTopic = tokenInterface.getEvent('Transfer').topicHash;
+
+    for (let start = fromBlock; start <= latestBlock; start += this.logBlockRange) {
+      const logs = await this.provider.getLogs({
+        address: tokenContractAddress,
+        topics: [transferTopic, ethers.zeroPadValue(fromAddress, 32), ethers.zeroPadValue(toAddress, 32)],
+        fromBlock: start,
+        toBlock: Math.min(start + this.logBlockRange - 1, latestBlock)
+      });
+
+      const match = logs.find(log => {
+        if (excluded.has(log.transactionHash.toLowerCase())) return false;
+        const parsed = tokenInterface.parseLog(log);
+        return parsed && isMatch({ from: parsed.args.from, to: parsed.args.to, value: parsed.args.value });
+      });
+      if (match) {
+        return { status: 'MINED', transactionHash: match.transactionHash, blockNumber: match.blockNumber };
+      }
+    }
+
+    return { status: 'NOT_FOUND', transactionHash: null, blockNumber: null };
+  }
+
+  /**
+   * Estimate what a distribution needs without broadcasting anything: tokens
+   * owed per recipient, gas, and the current balances of the sending wallet.
+   * Gas is priced at the most the fee policy lets a transaction pay per unit.
+   */
+  async quoteDistribution(walletAddress, recipients, tokenContractAddress, options = {}) {
+    const mode = options.mode || this.distributionMode;
+    const tokenContract = new ethers.Contract(tokenContractAddress, ERC20_ABI, this.provider);
+
+    const [decimals, tokenBalance, nativeBalance, fees] = await Promise.all([
+      tokenContract.decimals(),
+      tokenContract.balanceOf(walletAddress),
+      this.provider.getBalance(walletAddress),
+      feePolicyService.getFees(this.network, options.feeSpeed)
+    ]);
+
+    const payouts = recipients.map(recipient => this.calculatePayout(recipient, decimals, options));
+    const totalAmount = payouts.reduce((sum, payout) => sum + payout.tokenAmount, 0n);
+    const gas = await this.estimateDistributionGas(walletAddress, recipients, payouts, tokenContract, mode);
+    const gasPrice = feePolicyService.getMaxGasPrice(fees);
+
+    return {
+      mode,
+      decimals,
+      payouts,
+      totalAmount,
+      tokenBalance,
+      nativeBalance,
+      gasPrice,
+      gasUnits: gas.gasUnits,
+      gasCost: gas.gasUnits * gasPrice,
+      transactions: gas.transactions,
+      gasEstimateSource: gas.source,
+      fees,
+      // A single transfer, checked against the fee cap before a run starts
+      transferGasUnits: gas.transferGasUnits,
+      transferFee: gas.transferGasUnits * gasPrice,
+      feeCap: feePolicyService.getMaxTransactionFee(this.network)
+    };
+  }
+
+  /**
+   * Gas units a distribution will reserve, using the same gas limit multiplier
+   * as the sending code. One transfer is estimated and taken as representative.
+   */
+  async estimateDistributionGas(walletAddress, recipients, payouts, tokenContract, mode) {
+    if (recipients.length === 0) {
+      return { gasUnits: 0n, transferGasUnits: 0n, transactions: 0, source: 'estimated' };
+    }
+
+    let transferGas;
+    let source = 'estimated';
     try {
-      console.log(`Withdrawing ${amount} KDA from custodial wallet to ${toAddress}`);
+      transferGas = await tokenContract.transfer.estimateGas(recipients[0].wallet, payouts[0].tokenAmount, {
+        from: walletAddress
+      });
+    } catch (error) {
+      transferGas = FALLBACK_TRANSFER_GAS;
+      source = 'fallback';
+    }
+    const bufferedTransferGas = feePolicyService.applyGasLimitMultiplier(transferGas);
+
+    if (mode === 'batch') {
+      // Upper bound: one approval plus a full transfer per recipient
+      return {
+        gasUnits: FALLBACK_APPROVE_GAS + bufferedTransferGas * BigInt(recipients.length),
+        transferGasUnits: bufferedTransferGas,
+        transactions: Math.ceil(recipients.length / this.batchSize) + 1,
+        source
+      };
+    }
+
+    return {
+      gasUnits: bufferedTransferGas * BigInt(recipients.length),
+      transferGasUnits: bufferedTransferGas,
+      transactions: recipients.length,
+      source
+    };
+  }
+
+  /**
+   * Tokens owed to a recipient: hours worked times the recipient's rate (or the
+   * run's rate), rounded with the run's rounding policy
+   */
+  calculatePayout(recipient, decimals, options = {}) {
+    const rate = payRateService.resolveRate(recipient.rate, options.rate);
+    const rounding = options.rounding || payRateService.defaultRounding;
+    const tokenAmount = payRateService.calculateAmount(recipient.hrsWorked, rate, rounding, decimals);
+
+    return {
+      rate,
+      rounding,
+      tokenAmount,
+      tokensToDistribute: payRateService.formatAmount(tokenAmount, decimals)
+    };
+  }
+
+  /**
+   * Build the per-recipient result reported by distributeFromCustodialWallet
+   */
+  buildDistributionResult(recipient, payout, transaction, error = null) {
+    const distributionResult = {
+      success: !error,
+      recipient: {
+        name: recipient.name,
+        wallet: recipient.wallet
+      },
+      distribution: {
+        hoursWorked: recipient.hrsWorked,
+        tokensDistributed: error ? '0' : payout.tokensToDistribute,
+        rate: payRateService.describeRate(payout.rate),
+        rounding: payout.rounding
+      }
+    };
+
+    if (error) {
+      distributionResult.error = error.message;
+    } else {
+      distributionResult.transaction = transaction;
+    }
+
+    return distributionResult;
+  }
+
+  /**
+   * Withdraw the network's native currency (KDA on Knightsbridge) from custodial wallet.
+   * Returns once the transaction is broadcast; its status is reported by the
+   * transaction watcher. Context: userId, feeSpeed
+   */
+  async withdrawNative(privateKey, toAddress, amount, context = {}) {
+    try {
+      console.log(`Withdrawing ${amount} ${this.network.nativeSymbol} on ${this.network.id} from custodial wallet to ${toAddress}`);
       
       const wallet = new ethers.Wallet(privateKey, this.provider);
+      const request = { to: toAddress, value: ethers.parseEther(amount.toString()) };
+      const [gasEstimate, fees] = await Promise.all([
+        this.provider.estimateGas({ ...request, from: wallet.address }),
+        feePolicyService.getFees(this.network, context.feeSpeed)
+      ]);
       const tx = await wallet.sendTransaction({
-        to: toAddress,
-        value: ethers.parseEther(amount.toString())
+        ...request,
+        ...feePolicyService.buildOverrides(this.network, gasEstimate, fees)
       });
       
       console.log(`Native withdrawal transaction sent: ${tx.hash}`);
+      await this.trackTransaction(tx, {
+        kind: 'native_transfer',
+        to: toAddress,
+        amount,
+        userId: context.userId
+      });
       
       return {
         success: true,
         transactionHash: tx.hash,
+        nonce: tx.nonce,
         amount: amount,
         toAddress: toAddress,
-        type: 'native'
+        type: 'native',
+        status: 'PENDING',
+        explorerUrl: this.getExplorerUrl(tx.hash),
+        statusUrl: `/api/wallet/transactions/${tx.hash}`
       };
     } catch (error) {
       console.error('Error withdrawing native currency:', error);
-      throw new Error(`Failed to withdraw native currency: ${error.message}`);
+      const wrappedError = new Error(`Failed to withdraw native currency: ${error.message}`);
+      if (error.details) {
+        wrappedError.code = error.code;
+        wrappedError.details = error.details;
+      }
+      throw wrappedError;
     }
   }
 }
 
-module.exports = new CustodialWalletService();
+const defaultService = new CustodialWalletService();
+instances.set(defaultService.network.id, defaultService);
+
+module.exports = defaultService;
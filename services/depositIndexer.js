@@ -0,0 +1,450 @@
+const { ethers } = require('ethers');
+const { Op, UniqueConstraintError, fn, col } = require('sequelize');
+const Deposit = require('../models/Deposit');
+const DepositCursor = require('../models/DepositCursor');
+const User = require('../models/User');
+const gasStationService = require('./gasStationService');
+const ledgerService = require('./ledgerService');
+const networkService = require('./networkService');
+const payRateService = require('./payRateService');
+const tokenRegistryService = require('./tokenRegistryService');
+
+const TRANSFER_TOPIC = ethers.id('Transfer(address,address,uint256)');
+
+/**
+ * Finds deposits into custodial wallets. Every poll scans the blocks mined
+ * since the last one on each network: Transfer events of the network's
+ * registered tokens (and the TOKEN_CONTRACT_ADDRESS fallback) to a custodial
+ * wallet, and transactions that send native currency straight to one. Native
+ * currency sent by a contract call (an internal transfer) is not seen, and
+ * gas top-ups are left to the gas station's own records.
+ * Each deposit stays PENDING until it is buried under its network's
+ * confirmation depth. When a reorg replaces the last scanned block, the scan
+ * steps back by the confirmation depth; a deposit whose transaction leaves the
+ * chain for good is DROPPED. Confirmed deposits are posted to the ledger.
+ */
+class DepositIndexer {
+  constructor() {
+    this.pollInterval = parseInt(process.env.DEPOSIT_INDEXER_POLL_INTERVAL_MS) || 15000;
+    this.blocksPerPoll = parseInt(process.env.DEPOSIT_INDEXER_BLOCKS_PER_POLL) || 100;
+    this.startBlocksBack = parseInt(process.env.DEPOSIT_INDEXER_START_BLOCKS_BACK) || 1000;
+    this.timer = null;
+    this.busy = false;
+    // Decimals of token contracts, by network and address
+    this.decimals = new Map();
+  }
+
+  /**
+   * Start scanning for deposits
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('📥 Deposit indexer started');
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop scanning for deposits
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Scan new blocks and update pending deposits on every network; an
+   * unreachable network does not hold up the others
+   */
+  async poll() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      const wallets = await this.getWallets();
+      for (const network of networkService.listNetworks()) {
+        try {
+          await this.indexNetwork(network, wallets);
+        } catch (error) {
+          console.error(`Deposit indexer failed on network ${network.id}:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Deposit indexer poll error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Custodial wallets by lower-case address, with their owner's id
+   */
+  async getWallets() {
+    const users = await User.findAll({
+      attributes: ['id', 'custodial_wallet_address'],
+      where: { custodial_wallet_address: { [Op.ne]: null } }
+    });
+    return new Map(users.map(user => [user.custodial_wallet_address.toLowerCase(), user.id]));
+  }
+
+  async indexNetwork(network, wallets) {
+    const provider = networkService.getProvider(network.id);
+    const latestBlock = await provider.getBlockNumber();
+    const fromBlock = await this.getStartBlock(network, provider, latestBlock);
+
+    if (fromBlock <= latestBlock) {
+      const toBlock = Math.min(latestBlock, fromBlock + this.blocksPerPoll - 1);
+      const block = await this.scanBlocks(network, provider, wallets, fromBlock, toBlock);
+      await DepositCursor.upsert({ network: network.id, block_number: toBlock, block_hash: block.hash });
+    }
+
+    await this.updatePending(network, provider, latestBlock);
+  }
+
+  /**
+   * First block to scan: the one after the cursor, or further back when a reorg
+   * replaced the cursor's block. Without a cursor the indexer starts
+   * DEPOSIT_INDEXER_START_BLOCKS_BACK blocks before the latest one.
+   */
+  async getStartBlock(network, provider, latestBlock) {
+    const cursor = await DepositCursor.findByPk(network.id);
+    if (!cursor) {
+      return Math.max(0, latestBlock - this.startBlocksBack + 1);
+    }
+
+    const cursorBlock = Number(cursor.block_number);
+    const block = await provider.getBlock(cursorBlock);
+    if (block && block.hash === cursor.block_hash) {
+      return cursorBlock + 1;
+    }
+
+    console.warn(`⚠️ Reorg on ${network.id}: block ${cursorBlock} was replaced; rescanning the last ${network.confirmations} blocks`);
+    return Math.max(0, cursorBlock - network.confirmations + 1);
+  }
+
+  /**
+   * Record the deposits into custodial wallets in a range of blocks.
+   * Returns the last block.
+   */
+  async scanBlocks(network, provider, wallets, fromBlock, toBlock) {
+    const tokens = await this.getTokenAddresses(network);
+    if (tokens.length > 0) {
+      const logs = await provider.getLogs({
+        address: tokens,
+        topics: [TRANSFER_TOPIC],
+        fromBlock,
+        toBlock
+      });
+      for (const log of logs) {
+        await this.recordTokenTransfer(network, provider, wallets, log);
+      }
+    }
+
+    let block = null;
+    for (let number = fromBlock; number <= toBlock; number++) {
+      block = await provider.getBlock(number, true);
+      if (!block) {
+        throw new Error(`Block ${number} is not available yet`);
+      }
+      for (const tx of block.prefetchedTransactions) {
+        if (tx.to && tx.value > 0n && wallets.has(tx.to.toLowerCase())) {
+          await this.recordNativeTransfer(network, provider, wallets, tx);
+        }
+      }
+    }
+    return block;
+  }
+
+  /**
+   * Look for deposits in one transaction right away, e.g. one a user reports
+   * before the indexer reached its block. Returns the deposits it made into
+   * the given wallets.
+   */
+  async indexTransaction(network, hash, wallets) {
+    const provider = networkService.getProvider(network.id);
+    const [tx, receipt] = await Promise.all([
+      provider.getTransaction(hash),
+      provider.getTransactionReceipt(hash)
+    ]);
+    if (!tx || !receipt) {
+      return [];
+    }
+
+    if (tx.to && tx.value > 0n && wallets.has(tx.to.toLowerCase())) {
+      await this.recordNativeTransfer(network, provider, wallets, tx, receipt);
+    }
+    const tokens = new Set((await this.getTokenAddresses(network)).map(address => address.toLowerCase()));
+    for (const log of receipt.logs) {
+      if (tokens.has(log.address.toLowerCase()) && log.topics[0] === TRANSFER_TOPIC) {
+        await this.recordTokenTransfer(network, provider, wallets, log);
+      }
+    }
+
+    const deposits = (await Deposit.findAll({ where: { network: network.id, transaction_hash: receipt.hash } }))
+      .filter(deposit => wallets.has(deposit.wallet_address.toLowerCase()));
+    const latestBlock = await provider.getBlockNumber();
+    const receipts = new Map([[receipt.hash, receipt]]);
+    for (const deposit of deposits) {
+      await this.checkDeposit(deposit, provider, latestBlock, receipts);
+    }
+    return deposits;
+  }
+
+  /**
+   * Contract addresses of the tokens deposits are looked for on a network
+   */
+  async getTokenAddresses(network) {
+    const tokens = await tokenRegistryService.listTokens({ network: network.id, includeDisabled: true });
+    const addresses = tokens.map(token => {
+      this.decimals.set(`${network.id}:${token.address.toLowerCase()}`, token.decimals);
+      return token.address;
+    });
+
+    try {
+      const fallback = await tokenRegistryService.getDefaultToken(network.id);
+      if (!addresses.some(address => address.toLowerCase() === fallback.address.toLowerCase())) {
+        addresses.push(fallback.address);
+      }
+    } catch (error) {
+      // No default token on this network
+    }
+    return addresses;
+  }
+
+  async getDecimals(network, provider, address) {
+    const key = `${network.id}:${address.toLowerCase()}`;
+    if (!this.decimals.has(key)) {
+      const contract = new ethers.Contract(address, ['function decimals() view returns (uint8)'], provider);
+      this.decimals.set(key, Number(await contract.decimals()));
+    }
+    return this.decimals.get(key);
+  }
+
+  async recordTokenTransfer(network, provider, wallets, log) {
+    // ERC-721 Transfer events have the same signature but index the token id too
+    if (log.topics.length !== 3) return null;
+
+    const to = ethers.getAddress(ethers.dataSlice(log.topics[2], 12));
+    const userId = wallets.get(to.toLowerCase());
+    if (!userId) return null;
+
+    const decimals = await this.getDecimals(network, provider, log.address);
+    return await this.recordDeposit(network, {
+      user_id: userId,
+      transaction_hash: log.transactionHash,
+      log_index: log.index,
+      from_address: ethers.getAddress(ethers.dataSlice(log.topics[1], 12)),
+      wallet_address: to,
+      token_contract_address: ethers.getAddress(log.address),
+      amount: ethers.formatUnits(BigInt(log.data), decimals),
+      block_number: log.blockNumber,
+      block_hash: log.blockHash
+    });
+  }
+
+  async recordNativeTransfer(network, provider, wallets, tx, receipt = null) {
+    // Gas top-ups are recorded by the gas station
+    if (gasStationService.treasuryAddress && tx.from.toLowerCase() === gasStationService.treasuryAddress.toLowerCase()) {
+      return null;
+    }
+
+    // A reverted transaction keeps the value it was sent with
+    const result = receipt || await provider.getTransactionReceipt(tx.hash);
+    if (!result || result.status !== 1) return null;
+
+    const to = ethers.getAddress(tx.to);
+    return await this.recordDeposit(network, {
+      user_id: wallets.get(to.toLowerCase()),
+      transaction_hash: tx.hash,
+      log_index: null,
+      from_address: tx.from,
+      wallet_address: to,
+      token_contract_address: null,
+      amount: ethers.formatEther(tx.value),
+      block_number: result.blockNumber,
+      block_hash: result.blockHash
+    });
+  }
+
+  /**
+   * Save a deposit unless it is already known; rescans after a reorg find the
+   * same transfers again
+   */
+  async recordDeposit(network, fields) {
+    const where = { network: network.id, transaction_hash: fields.transaction_hash, log_index: fields.log_index };
+    const existing = await Deposit.findOne({ where });
+    if (existing) return existing;
+
+    let deposit;
+    try {
+      deposit = await Deposit.create({
+        ...fields,
+        network: network.id,
+        required_confirmations: network.confirmations
+      });
+    } catch (error) {
+      // Recorded at the same time by a poll or a deposit check
+      if (error instanceof UniqueConstraintError) {
+        return await Deposit.findOne({ where });
+      }
+      throw error;
+    }
+    const currency = fields.token_contract_address ? `tokens (${fields.token_contract_address})` : network.nativeSymbol;
+    console.log(`📥 Deposit of ${fields.amount} ${currency} to ${fields.wallet_address} on ${network.id}: ${fields.transaction_hash}`);
+    return deposit;
+  }
+
+  /**
+   * Bring the pending deposits of a network up to date with the chain
+   */
+  async updatePending(network, provider, latestBlock) {
+    const pending = await Deposit.findAll({ where: { network: network.id, status: 'PENDING' } });
+    const receipts = new Map();
+    for (const deposit of pending) {
+      try {
+        await this.checkDeposit(deposit, provider, latestBlock, receipts);
+      } catch (error) {
+        console.error(`Failed to check deposit ${deposit.transaction_hash} on ${network.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Count the confirmations of a pending deposit. Deposits of one transaction
+   * share its receipt, cached in `receipts` by hash.
+   */
+  async checkDeposit(deposit, provider, latestBlock, receipts) {
+    if (deposit.isFinal()) return deposit;
+
+    if (!receipts.has(deposit.transaction_hash)) {
+      receipts.set(deposit.transaction_hash, await provider.getTransactionReceipt(deposit.transaction_hash));
+    }
+    const receipt = receipts.get(deposit.transaction_hash);
+    const now = new Date();
+
+    if (receipt && receipt.status === 1) {
+      const updates = {};
+      if (deposit.block_hash && deposit.block_hash !== receipt.blockHash) {
+        this.reportReorg(deposit, `moved from block ${deposit.block_number} to block ${receipt.blockNumber}`);
+        updates.reorg_count = deposit.reorg_count + 1;
+      }
+
+      const confirmations = Math.max(0, latestBlock - receipt.blockNumber + 1);
+      Object.assign(updates, {
+        block_number: receipt.blockNumber,
+        block_hash: receipt.blockHash,
+        confirmations
+      });
+      if (confirmations >= deposit.required_confirmations) {
+        updates.status = 'CONFIRMED';
+        updates.finalized_at = now;
+      }
+      await deposit.update(updates);
+      if (deposit.status === 'CONFIRMED') {
+        await ledgerService.recordDeposit(deposit);
+      }
+      return deposit;
+    }
+
+    // Reverted after a reorg, or back in the mempool
+    if (deposit.block_hash) {
+      this.reportReorg(deposit, `removed from block ${deposit.block_number}`);
+    }
+    const updates = {
+      reorg_count: deposit.block_hash ? deposit.reorg_count + 1 : deposit.reorg_count,
+      block_number: null,
+      block_hash: null,
+      confirmations: 0
+    };
+    if (receipt || !(await provider.getTransaction(deposit.transaction_hash))) {
+      updates.status = 'DROPPED';
+      updates.finalized_at = now;
+    }
+    return await deposit.update(updates);
+  }
+
+  /**
+   * Conditions selecting the deposits into a wallet.
+   * Filters: network, type ('tokens' | 'native'), tokenContract, transactionHash, since (date)
+   */
+  getDepositConditions(walletAddress, filters = {}) {
+    const where = { wallet_address: ethers.getAddress(walletAddress) };
+    if (filters.network) where.network = filters.network;
+    if (filters.type === 'native') where.token_contract_address = null;
+    if (filters.type === 'tokens') {
+      where.token_contract_address = filters.tokenContract
+        ? ethers.getAddress(filters.tokenContract)
+        : { [Op.ne]: null };
+    }
+    if (filters.transactionHash) where.transaction_hash = filters.transactionHash;
+    if (filters.since) where.created_at = { [Op.gte]: filters.since };
+    return where;
+  }
+
+  /**
+   * Deposits into a wallet, newest first.
+   * Filters: as for getDepositConditions, and limit
+   */
+  async listDeposits(walletAddress, filters = {}) {
+    return await Deposit.findAll({
+      where: this.getDepositConditions(walletAddress, filters),
+      order: [['created_at', 'DESC'], ['log_index', 'ASC']],
+      limit: filters.limit || 50
+    });
+  }
+
+  /**
+   * Total amount of the deposits into a wallet by status, over every deposit
+   * the filters select, in 18-decimal units
+   */
+  async sumDeposits(walletAddress, filters = {}) {
+    const rows = await Deposit.findAll({
+      attributes: ['status', [fn('SUM', col('amount')), 'total']],
+      where: this.getDepositConditions(walletAddress, filters),
+      group: ['status'],
+      raw: true
+    });
+
+    const totals = { CONFIRMED: 0n, PENDING: 0n, DROPPED: 0n };
+    for (const row of rows) {
+      totals[row.status] = ethers.parseUnits(payRateService.normalizeDecimal(row.total) || '0', 18);
+    }
+    return totals;
+  }
+
+  /**
+   * Deposits into a user's wallet, with the total confirmed and still pending.
+   * A transactionHash the indexer has not reached yet is looked at right away.
+   * With an expected amount, `received` tells whether confirmed deposits cover it.
+   * Options: type ('tokens' | 'native'), tokenContract, transactionHash, since (date), amount
+   */
+  async findDeposits(network, userId, walletAddress, options = {}) {
+    const filters = { ...options, network: network.id };
+    let deposits = await this.listDeposits(walletAddress, filters);
+    if (deposits.length === 0 && options.transactionHash) {
+      await this.indexTransaction(network, options.transactionHash, new Map([[walletAddress.toLowerCase(), userId]]));
+      deposits = await this.listDeposits(walletAddress, filters);
+    }
+
+    // Totals cover every matching deposit, not only the ones listed
+    const totals = await this.sumDeposits(walletAddress, filters);
+
+    return {
+      deposits,
+      confirmedAmount: ethers.formatUnits(totals.CONFIRMED, 18),
+      pendingAmount: ethers.formatUnits(totals.PENDING, 18),
+      received: options.amount !== undefined && options.amount !== null
+        ? totals.CONFIRMED >= ethers.parseUnits(payRateService.normalizeDecimal(options.amount), 18)
+        : null
+    };
+  }
+
+  reportReorg(deposit, change) {
+    console.warn(`⚠️ Reorg on ${deposit.network}: deposit ${deposit.transaction_hash} ${change}`);
+  }
+}
+
+module.exports = new DepositIndexer();
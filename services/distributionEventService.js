@@ -0,0 +1,117 @@
+const { EventEmitter } = require('events');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Distribution = require('../models/Distribution');
+const DistributionEvent = require('../models/DistributionEvent');
+
+class DistributionEventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0);
+    this.pollInterval = parseInt(process.env.DISTRIBUTION_EVENT_POLL_INTERVAL_MS) || 2000;
+  }
+
+  /**
+   * Persist a distribution event and deliver it to live subscribers. Publishers
+   * of one distribution take turns on its row: the next sequence is only read
+   * once the previous event has committed, so events become visible in order.
+   */
+  async publish(distributionId, data) {
+    const record = await sequelize.transaction(async (transaction) => {
+      await Distribution.findByPk(distributionId, {
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+      const last = await DistributionEvent.max('sequence', {
+        where: { distribution_id: distributionId },
+        transaction
+      });
+
+      return await DistributionEvent.create({
+        distribution_id: distributionId,
+        sequence: (last || 0) + 1,
+        event_type: data.type,
+        data
+      }, { transaction });
+    });
+
+    const event = record.toStreamEvent();
+    this.emitter.emit(distributionId, event);
+
+    return event;
+  }
+
+  /**
+   * Get stored events of a distribution published after the given event id (sequence)
+   */
+  async replay(distributionId, afterEventId = 0) {
+    const records = await DistributionEvent.findAll({
+      where: {
+        distribution_id: distributionId,
+        sequence: { [Op.gt]: afterEventId }
+      },
+      order: [['sequence', 'ASC']]
+    });
+
+    return records.map(record => record.toStreamEvent());
+  }
+
+  /**
+   * Listen for live events of a distribution; returns an unsubscribe function
+   */
+  subscribe(distributionId, listener) {
+    this.emitter.on(distributionId, listener);
+    return () => this.emitter.off(distributionId, listener);
+  }
+
+  /**
+   * Deliver the stored events of a distribution after afterEventId, in sequence order,
+   * on whichever instance they were published: the run may be sending on another
+   * one. Events published here are read at once, the others at the next poll of
+   * the events table. Returns a stop function.
+   */
+  follow(distributionId, afterEventId, listener) {
+    let lastEventId = afterEventId;
+    let stopped = false;
+    let fetching = false;
+    let fetchAgain = false;
+
+    const fetchEvents = async () => {
+      if (stopped) return;
+      if (fetching) {
+        fetchAgain = true;
+        return;
+      }
+
+      fetching = true;
+      try {
+        do {
+          fetchAgain = false;
+          const events = await this.replay(distributionId, lastEventId);
+          for (const event of events) {
+            if (stopped) return;
+            lastEventId = event.id;
+            listener(event);
+          }
+        } while (fetchAgain && !stopped);
+      } catch (error) {
+        console.warn(`Failed to read events of distribution ${distributionId}:`, error.message);
+      } finally {
+        fetching = false;
+      }
+    };
+
+    const unsubscribe = this.subscribe(distributionId, fetchEvents);
+    const timer = setInterval(fetchEvents, this.pollInterval);
+    fetchEvents();
+
+    return () => {
+      stopped = true;
+      unsubscribe();
+      clearInterval(timer);
+    };
+  }
+}
+
+module.exports = new DistributionEventService();
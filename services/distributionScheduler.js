@@ -0,0 +1,246 @@
+const axios = require('axios');
+const { Op } = require('sequelize');
+const User = require('../models/User');
+const DistributionItem = require('../models/DistributionItem');
+const ScheduledDistribution = require('../models/ScheduledDistribution');
+const ScheduledDistributionRun = require('../models/ScheduledDistributionRun');
+const approvalService = require('./approvalService');
+const distributionService = require('./distributionService');
+const distributionWorker = require('./distributionWorker');
+const scheduleService = require('./scheduleService');
+const tokenRegistryService = require('./tokenRegistryService');
+
+// Missed occurrences recorded per schedule after a long outage
+const MAX_RECORDED_MISSED_RUNS = 100;
+
+/**
+ * Starts scheduled distributions when they fall due.
+ * Each due occurrence is claimed by moving the schedule's next_run_at forward
+ * with a conditional update, so only one server instance acts on it. The run
+ * is recorded and a distribution is created and queued for the background
+ * worker, which sends it like any other async run.
+ * Occurrences more than the grace period in the past were missed while no
+ * scheduler was running: they are recorded as SKIPPED and an alert is raised;
+ * with the run_late policy the most recent one is still run.
+ */
+class DistributionScheduler {
+  constructor() {
+    this.pollInterval = parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS) || 30000;
+    this.missedRunGrace = parseInt(process.env.SCHEDULER_MISSED_RUN_GRACE_MS) || 300000;
+    this.alertWebhookUrl = process.env.SCHEDULER_ALERT_WEBHOOK_URL || null;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  /**
+   * Start checking for due schedules
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('⏰ Distribution scheduler started');
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop checking for due schedules
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Handle every active schedule whose next run is due
+   */
+  async poll() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      // Held distributions whose approval deadline has passed are cancelled on the same clock
+      await approvalService.expireOverdue();
+
+      const dueSchedules = await ScheduledDistribution.findAll({
+        where: {
+          status: 'ACTIVE',
+          next_run_at: { [Op.lte]: new Date() }
+        },
+        order: [['next_run_at', 'ASC']]
+      });
+
+      for (const schedule of dueSchedules) {
+        try {
+          await this.processSchedule(schedule);
+        } catch (error) {
+          console.error(`Scheduled distribution ${schedule.id} failed to run:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('Distribution scheduler poll error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Claim a due schedule, run (or skip) its due occurrences and move it on
+   */
+  async processSchedule(schedule, now = new Date()) {
+    const dueAt = schedule.next_run_at;
+    const spec = schedule.getScheduleSpec();
+    const nextRunAt = scheduleService.nextOccurrence(spec, now);
+
+    const [claimed] = await ScheduledDistribution.update({
+      next_run_at: nextRunAt,
+      last_run_at: now,
+      status: nextRunAt ? 'ACTIVE' : 'COMPLETED'
+    }, {
+      where: { id: schedule.id, status: 'ACTIVE', next_run_at: dueAt }
+    });
+
+    // Another instance got there first, or the schedule was paused or edited meanwhile
+    if (claimed === 0) return;
+
+    if (now - dueAt <= this.missedRunGrace) {
+      await this.triggerRun(schedule, dueAt);
+      return;
+    }
+
+    const missed = scheduleService.occurrencesBetween(spec, dueAt, now, MAX_RECORDED_MISSED_RUNS);
+    const lateRun = schedule.missed_run_policy === 'run_late' ? missed.pop() : null;
+
+    for (const scheduledFor of missed) {
+      await this.recordRun(schedule, scheduledFor, {
+        status: 'SKIPPED',
+        error: 'Missed while the scheduler was not running'
+      });
+    }
+
+    if (missed.length > 0) {
+      await this.alert(schedule, `${missed.length} scheduled run(s) missed and skipped`, {
+        missedRuns: missed.map(date => date.toISOString())
+      });
+    }
+
+    if (lateRun) {
+      await this.triggerRun(schedule, lateRun, { late: true });
+    }
+  }
+
+  /**
+   * Create and queue the distribution for one occurrence
+   */
+  async triggerRun(schedule, scheduledFor, options = {}) {
+    const run = await this.recordRun(schedule, scheduledFor, { status: 'QUEUED', late: options.late === true });
+    if (!run) return null;
+
+    try {
+      const user = await User.findByPk(schedule.user_id);
+      if (!user || !user.custodial_wallet_private_key) {
+        throw new Error('Custodial wallet not configured');
+      }
+      await tokenRegistryService.assertEnabled(schedule.token_contract_address, schedule.network);
+
+      const recipients = await this.resolveRecipients(schedule);
+      const distribution = await distributionService.createDistribution(
+        user.id,
+        recipients,
+        schedule.token_contract_address,
+        {
+          network: schedule.network,
+          source: 'schedule',
+          mode: schedule.mode,
+          rate: schedule.rate !== null ? schedule.rate : user.default_rate,
+          rounding: schedule.rounding || user.rounding_policy,
+          allowPartial: schedule.allow_partial
+        }
+      );
+
+      // Large runs wait for an approver like any other distribution; approval queues the job
+      const approvalRequest = await approvalService.holdDistribution(distribution, user, { requestedVia: 'schedule' });
+      if (approvalRequest) {
+        await run.update({ distribution_id: distribution.id });
+        console.log(`Scheduled distribution ${schedule.id} run for ${scheduledFor.toISOString()} is waiting for approval ${approvalRequest.id}`);
+        return run;
+      }
+
+      const job = await distributionWorker.enqueue(distribution);
+
+      await run.update({ distribution_id: distribution.id, job_id: job.id });
+      console.log(`Scheduled distribution ${schedule.id} queued job ${job.id} for ${scheduledFor.toISOString()}`);
+    } catch (error) {
+      await run.update({ status: 'FAILED', error: error.message });
+      await this.alert(schedule, `Scheduled run for ${scheduledFor.toISOString()} failed: ${error.message}`, {
+        runId: run.id
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * Record one occurrence; returns null if it was already recorded
+   */
+  async recordRun(schedule, scheduledFor, attributes) {
+    try {
+      return await ScheduledDistributionRun.create({
+        schedule_id: schedule.id,
+        scheduled_for: scheduledFor,
+        ...attributes
+      });
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Recipients of a run: the schedule's own list, or those of its template distribution
+   */
+  async resolveRecipients(schedule) {
+    if (schedule.recipients && schedule.recipients.length > 0) {
+      return schedule.recipients;
+    }
+
+    const items = await DistributionItem.findAll({
+      where: { distribution_id: schedule.template_distribution_id },
+      order: [['position', 'ASC']]
+    });
+    if (items.length === 0) {
+      throw new Error('Template distribution has no recipients');
+    }
+
+    return items.map(item => item.toRecipient());
+  }
+
+  /**
+   * Log a schedule problem and post it to the alert webhook when one is configured
+   */
+  async alert(schedule, message, details = {}) {
+    console.warn(`⚠️  Scheduled distribution ${schedule.id} (${schedule.name}): ${message}`);
+
+    if (!this.alertWebhookUrl) return;
+
+    try {
+      await axios.post(this.alertWebhookUrl, {
+        event: 'scheduled_distribution.alert',
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        userId: schedule.user_id,
+        message,
+        details,
+        timestamp: new Date().toISOString()
+      }, { timeout: 10000 });
+    } catch (error) {
+      console.error(`Failed to deliver alert for scheduled distribution ${schedule.id}:`, error.message);
+    }
+  }
+}
+
+module.exports = new DistributionScheduler();
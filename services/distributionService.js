@@ -0,0 +1,713 @@
+const { ethers } = require('ethers');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Distribution = require('../models/Distribution');
+const DistributionItem = require('../models/DistributionItem');
+const custodialWalletService = require('./custodialWalletService');
+const distributionEventService = require('./distributionEventService');
+const feePolicyService = require('./feePolicyService');
+const payRateService = require('./payRateService');
+const recipientValidationService = require('./recipientValidationService');
+
+const distributionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class DistributionService {
+  /**
+   * Record a new distribution run and one item per recipient
+   * Options: network (id; default network otherwise),
+   * source ('single' | 'bulk' | 'stream' | 'upload' | 'schedule' | 'retry'), mode ('sequential' | 'pipelined' | 'batch'),
+   * feeSpeed ('slow' | 'normal' | 'fast'; FEE_SPEED when the run is sent otherwise),
+   * rate (tokens per hour for recipients without their own rate), rounding,
+   * allowPartial (pay as many recipients as funds allow instead of refusing the run),
+   * retryOfId (run being retried; recipients then carry the retryOfItemId they replace)
+   */
+  async createDistribution(userId, recipients, tokenContractAddress, options = {}) {
+    const rounding = options.rounding || payRateService.defaultRounding;
+    const walletService = custodialWalletService.forNetwork(options.network);
+    const decimals = await walletService.getTokenDecimals(tokenContractAddress);
+
+    // Items are sent with the payouts of their stored hours and rate, so both must be stored as given
+    const unstorable = recipients.find(recipient => !payRateService.isValidHours(recipient.hrsWorked));
+    if (unstorable) {
+      throw distributionError('INVALID_HOURS', `Invalid hours worked for ${unstorable.name}: ${unstorable.hrsWorked}`);
+    }
+    const unstorableRate = [options.rate, ...recipients.map(recipient => recipient.rate)]
+      .find(rate => rate !== undefined && rate !== null && !payRateService.isValidRate(rate));
+    if (unstorableRate !== undefined) {
+      throw distributionError('INVALID_RATE', `Invalid rate: ${unstorableRate}`);
+    }
+
+    let totalAmount = 0n;
+    const items = recipients.map((recipient, index) => {
+      const payout = walletService.calculatePayout(recipient, decimals, { rate: options.rate, rounding });
+      totalAmount += payout.tokenAmount;
+
+      return {
+        position: index,
+        name: recipient.name,
+        wallet_address: recipient.wallet,
+        hrs_worked: parseFloat(recipient.hrsWorked),
+        rate: payout.rate,
+        tokens_amount: payout.tokensToDistribute,
+        payee_id: recipient.payeeId || null,
+        retry_of_item_id: recipient.retryOfItemId || null
+      };
+    });
+    const totalTokens = payRateService.formatAmount(totalAmount, decimals);
+
+    return await sequelize.transaction(async (transaction) => {
+      const distribution = await Distribution.create({
+        user_id: userId,
+        network: walletService.network.id,
+        token_contract_address: tokenContractAddress,
+        source: options.source || 'bulk',
+        mode: options.mode || custodialWalletService.distributionMode,
+        fee_speed: options.feeSpeed || null,
+        rounding,
+        allow_partial: options.allowPartial === true,
+        retry_of_id: options.retryOfId || null,
+        total_recipients: items.length,
+        total_tokens: totalTokens
+      }, { transaction });
+
+      await DistributionItem.bulkCreate(
+        items.map(item => ({ ...item, distribution_id: distribution.id })),
+        { transaction }
+      );
+
+      return distribution;
+    });
+  }
+
+  /**
+   * Record a run that re-sends the failed and never-sent items of a finished
+   * distribution. Failed items are checked on chain first: an item whose
+   * transfer was in fact mined is marked SUCCESS instead of being paid again,
+   * and one whose transaction is still pending is left alone. Each item can be
+   * retried once; later attempts retry the newest run.
+   * Options: mode, feeSpeed, allowPartial (default: those of the original run)
+   * Returns { distribution (null when nothing is left to send), reconciled, inFlight }
+   */
+  async createRetryDistribution(distribution, walletAddress, options = {}) {
+    const items = await DistributionItem.findAll({
+      where: { distribution_id: distribution.id, status: { [Op.in]: ['FAILED', 'PENDING'] } },
+      order: [['position', 'ASC']]
+    });
+
+    const retried = await DistributionItem.findAll({
+      attributes: ['retry_of_item_id'],
+      where: { retry_of_item_id: { [Op.in]: items.map(item => item.id) } }
+    });
+    const retriedIds = new Set(retried.map(item => item.retry_of_item_id));
+
+    // Transactions that already paid a recipient of this run or an earlier attempt
+    const paidTransactions = await this.getPaidTransactions(distribution);
+
+    const retryable = [];
+    const reconciled = [];
+    const inFlight = [];
+
+    for (const item of items.filter(candidate => !retriedIds.has(candidate.id))) {
+      // PENDING items were never handed to the chain: they are marked PROCESSING before sending
+      if (item.status === 'PENDING' || !distribution.started_at) {
+        retryable.push(item);
+        continue;
+      }
+
+      const transfer = await custodialWalletService.forNetwork(distribution.network).findTransfer(
+        walletAddress,
+        item.wallet_address,
+        payRateService.normalizeDecimal(item.tokens_amount),
+        distribution.token_contract_address,
+        {
+          transactionHash: item.transaction_hash,
+          fromBlock: distribution.start_block,
+          excludeTransactions: paidTransactions[item.wallet_address.toLowerCase()]
+        }
+      );
+
+      if (transfer.status === 'MINED') {
+        await item.update({
+          status: 'SUCCESS',
+          transaction_hash: transfer.transactionHash,
+          block_number: transfer.blockNumber,
+          error: null
+        });
+        reconciled.push(item);
+      } else if (transfer.status === 'PENDING') {
+        inFlight.push(item);
+      } else {
+        retryable.push(item);
+      }
+    }
+
+    if (reconciled.length > 0) {
+      console.warn(`${reconciled.length} failed item(s) of distribution ${distribution.id} were found mined on chain and marked successful`);
+      // A run stopped before reaching every recipient keeps its status; only its counts change
+      if (items.some(item => item.status === 'PENDING')) {
+        const progress = await this.getProgress(distribution);
+        await distribution.update({ successful_count: progress.successful, failed_count: progress.failed });
+      } else {
+        await this.finalizeDistribution(distribution);
+      }
+    }
+
+    if (retryable.length === 0) {
+      return { distribution: null, reconciled, inFlight };
+    }
+
+    let retry;
+    try {
+      retry = await this.createDistribution(
+        distribution.user_id,
+        retryable.map(item => ({ ...item.toRecipient(), retryOfItemId: item.id })),
+        distribution.token_contract_address,
+        {
+          network: distribution.network,
+          source: 'retry',
+          mode: options.mode || distribution.mode,
+          feeSpeed: options.feeSpeed || distribution.fee_speed,
+          rounding: distribution.rounding,
+          allowPartial: options.allowPartial !== undefined ? options.allowPartial : distribution.allow_partial,
+          retryOfId: distribution.id
+        }
+      );
+    } catch (error) {
+      // Another retry of the same items was recorded first
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        const conflict = new Error('These recipients are already being retried');
+        conflict.code = 'RETRY_IN_PROGRESS';
+        throw conflict;
+      }
+      throw error;
+    }
+
+    return { distribution: retry, reconciled, inFlight };
+  }
+
+  /**
+   * Transaction hashes of successful items of a run and the runs it retries, by recipient wallet
+   */
+  async getPaidTransactions(distribution) {
+    const distributionIds = [distribution.id];
+    let retryOfId = distribution.retry_of_id;
+    while (retryOfId) {
+      distributionIds.push(retryOfId);
+      const earlier = await Distribution.findByPk(retryOfId, { attributes: ['id', 'retry_of_id'] });
+      retryOfId = earlier ? earlier.retry_of_id : null;
+    }
+
+    const paidItems = await DistributionItem.findAll({
+      attributes: ['wallet_address', 'transaction_hash'],
+      where: {
+        distribution_id: { [Op.in]: distributionIds },
+        status: 'SUCCESS',
+        transaction_hash: { [Op.ne]: null }
+      }
+    });
+
+    return paidItems.reduce((byWallet, item) => {
+      const wallet = item.wallet_address.toLowerCase();
+      byWallet[wallet] = [...(byWallet[wallet] || []), item.transaction_hash];
+      return byWallet;
+    }, {});
+  }
+
+  /**
+   * Check the recipients of a run paid from walletAddress; returns one result
+   * (`valid`, `issues`) per recipient.
+   * Options: allowDuplicateWallets, checkContracts (warn about contract wallets; reads the chain),
+   * network (id of the chain read by checkContracts; default network otherwise)
+   */
+  async validateRecipients(walletAddress, recipients, options = {}) {
+    const validation = recipientValidationService.validateRecipients(recipients, {
+      ownAddress: walletAddress,
+      allowDuplicateWallets: options.allowDuplicateWallets === true
+    });
+
+    if (options.checkContracts === true) {
+      await recipientValidationService.flagContractWallets(
+        validation,
+        custodialWalletService.forNetwork(options.network).provider
+      );
+    }
+
+    return validation;
+  }
+
+  /**
+   * Dry run of a distribution: validate recipients, quote tokens and gas and
+   * compare them with the wallet's balances. Nothing is recorded or broadcast.
+   * Options: network, mode, feeSpeed, rate, rounding (as for createDistribution), allowDuplicateWallets, checkContracts
+   */
+  async previewDistribution(walletAddress, recipients, tokenContractAddress, options = {}) {
+    const rounding = options.rounding || payRateService.defaultRounding;
+    const walletService = custodialWalletService.forNetwork(options.network);
+    const validation = await this.validateRecipients(walletAddress, recipients, options);
+    const validRecipients = recipients.filter((recipient, index) => validation[index].valid);
+
+    const quote = await walletService.quoteDistribution(
+      walletAddress,
+      validRecipients,
+      tokenContractAddress,
+      { mode: options.mode, feeSpeed: options.feeSpeed, rate: options.rate, rounding }
+    );
+
+    let payoutIndex = 0;
+    const recipientResults = validation.map((result, index) => {
+      const payout = result.valid ? quote.payouts[payoutIndex++] : null;
+      return {
+        ...result,
+        hrsWorked: recipients[index].hrsWorked,
+        rate: payout ? payout.rate : null,
+        tokens: payout ? payout.tokensToDistribute : null
+      };
+    });
+
+    const invalidCount = validation.length - validRecipients.length;
+    const warningCount = validation.filter(result => result.issues.some(issue => issue.severity === 'warning')).length;
+    const tokensRequired = payRateService.formatAmount(quote.totalAmount, quote.decimals);
+    const tokenBalance = payRateService.formatAmount(quote.tokenBalance, quote.decimals);
+    const gasCost = ethers.formatEther(quote.gasCost);
+    const nativeBalance = ethers.formatEther(quote.nativeBalance);
+
+    const blockers = [];
+    if (invalidCount > 0) {
+      blockers.push({
+        code: 'INVALID_RECIPIENTS',
+        message: `${invalidCount} recipient(s) have errors and would not be paid`
+      });
+    }
+    if (validRecipients.length === 0) {
+      blockers.push({ code: 'NO_VALID_RECIPIENTS', message: 'There are no valid recipients to pay' });
+    }
+    if (quote.tokenBalance < quote.totalAmount) {
+      blockers.push({
+        code: 'INSUFFICIENT_TOKEN_BALANCE',
+        message: `Token balance ${tokenBalance} is below the ${tokensRequired} required`
+      });
+    }
+    if (quote.nativeBalance < quote.gasCost) {
+      blockers.push({
+        code: 'INSUFFICIENT_NATIVE_BALANCE',
+        message: `${walletService.network.nativeSymbol} balance ${nativeBalance} is below the estimated gas cost of ${gasCost}`
+      });
+    }
+    if (quote.feeCap !== null && validRecipients.length > 0 && quote.transferFee > quote.feeCap) {
+      blockers.push({
+        code: 'FEE_CAP_EXCEEDED',
+        message: `A transfer may cost up to ${ethers.formatEther(quote.transferFee)} ${walletService.network.nativeSymbol}, above the fee cap of ${ethers.formatEther(quote.feeCap)}`
+      });
+    }
+
+    return {
+      verdict: blockers.length === 0 ? 'GO' : 'NO_GO',
+      blockers,
+      network: walletService.network.id,
+      mode: quote.mode,
+      rounding,
+      summary: {
+        totalRecipients: recipients.length,
+        validRecipients: validRecipients.length,
+        invalidRecipients: invalidCount,
+        recipientsWithWarnings: warningCount,
+        tokensRequired
+      },
+      balances: {
+        wallet: walletAddress,
+        tokens: tokenBalance,
+        native: nativeBalance
+      },
+      gas: {
+        estimatedTransactions: quote.transactions,
+        gasUnits: quote.gasUnits.toString(),
+        gasPrice: ethers.formatUnits(quote.gasPrice, 'gwei'),
+        estimatedCost: gasCost,
+        source: quote.gasEstimateSource,
+        fees: feePolicyService.describeFees(quote.fees),
+        transferFee: ethers.formatEther(quote.transferFee),
+        feeCap: quote.feeCap !== null ? ethers.formatEther(quote.feeCap) : null
+      },
+      recipients: recipientResults
+    };
+  }
+
+  /**
+   * Send the pending items of a distribution, persist every result as it arrives
+   * and publish start, progress, result, complete and error events.
+   * holdsRun (optional): async function checked before each transfer (each chunk
+   * in batch mode); once it returns false the run belongs to someone else, so
+   * nothing more is sent and the distribution is left as it is.
+   */
+  async executeDistribution(distribution, fromWalletPrivateKey, onProgress = null, holdsRun = null) {
+    // Claim the run; one cancelled while it waited to start is left alone
+    const [claimed] = await Distribution.update({ status: 'PROCESSING' }, {
+      where: { id: distribution.id, status: { [Op.in]: ['PENDING', 'PROCESSING'] } }
+    });
+    if (claimed === 0) {
+      await distribution.reload();
+      console.log(`Distribution ${distribution.id} is ${distribution.status}; not sending`);
+      return [];
+    }
+
+    const items = await DistributionItem.findAll({
+      where: { distribution_id: distribution.id, status: 'PENDING' },
+      order: [['position', 'ASC']]
+    });
+    const walletService = custodialWalletService.forNetwork(distribution.network);
+
+    await distribution.update({
+      status: 'PROCESSING',
+      started_at: distribution.started_at || new Date(),
+      start_block: distribution.start_block || await walletService.getBlockNumber()
+    });
+
+    await this.publishEvent(distribution, {
+      type: 'start',
+      total: distribution.total_recipients,
+      remaining: items.length,
+      message: `Starting distribution to ${items.length} recipients`
+    });
+
+    // Items are marked PROCESSING before their transfer is sent, so a run
+    // interrupted by a restart never sends the same item twice
+    const recordProgress = async (progressData) => {
+      const item = items[progressData.current - 1];
+      if (item && progressData.type === 'progress') {
+        await item.update({ status: 'PROCESSING' });
+      } else if (item && progressData.type === 'result') {
+        await this.recordItemResult(item, progressData.result);
+      }
+      await this.publishEvent(distribution, {
+        ...progressData,
+        itemId: item ? item.id : null,
+        position: item ? item.position : null
+      });
+      if (onProgress) {
+        await onProgress(progressData);
+      }
+    };
+
+    // Pause and cancel requests are read from the database, so they work from any server instance
+    let stopRequest = null;
+    let lostRun = false;
+    const shouldStop = async () => {
+      if (holdsRun && !(await holdsRun())) {
+        lostRun = true;
+        return true;
+      }
+      const current = await Distribution.findByPk(distribution.id, { attributes: ['id', 'control_request'] });
+      stopRequest = current ? current.control_request : null;
+      return stopRequest !== null;
+    };
+
+    try {
+      const results = await walletService.distributeFromCustodialWallet(
+        fromWalletPrivateKey,
+        items.map(item => item.toRecipient()),
+        distribution.token_contract_address,
+        recordProgress,
+        {
+          mode: distribution.mode,
+          feeSpeed: distribution.fee_speed,
+          rounding: distribution.rounding,
+          allowPartial: distribution.allow_partial,
+          shouldStop,
+          userId: distribution.user_id,
+          distributionId: distribution.id
+        }
+      );
+
+      if (lostRun) {
+        console.warn(`Distribution ${distribution.id} was taken over by another worker; stopped sending`);
+        return results;
+      }
+
+      if (stopRequest) {
+        // A cancel may have replaced the pause while the last transfer finished
+        await shouldStop();
+        await this.haltDistribution(distribution, stopRequest || 'pause');
+        return results;
+      }
+
+      await this.finalizeDistribution(distribution);
+
+      await this.publishEvent(distribution, {
+        type: 'complete',
+        success: true,
+        message: `Distribution completed: ${distribution.successful_count} successful, ${distribution.failed_count} failed`,
+        data: {
+          distributionId: distribution.id,
+          totalRecipients: distribution.total_recipients,
+          successfulDistributions: distribution.successful_count,
+          failedDistributions: distribution.failed_count,
+          results
+        }
+      });
+
+      return results;
+    } catch (error) {
+      if (!lostRun) {
+        await this.failDistribution(distribution, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Ask a run to pause. A sending run stops before its next recipient; a queued
+   * one pauses as soon as a worker picks it up. Returns the updated distribution.
+   */
+  async pauseDistribution(distribution) {
+    const [updated] = await Distribution.update({ control_request: 'pause' }, {
+      where: {
+        id: distribution.id,
+        status: { [Op.in]: ['PENDING', 'PROCESSING'] },
+        control_request: { [Op.is]: null }
+      }
+    });
+    await distribution.reload();
+
+    if (updated === 0 && distribution.control_request !== 'pause') {
+      throw distributionError('DISTRIBUTION_NOT_PAUSABLE', distribution.control_request === 'cancel'
+        ? 'The distribution is being cancelled'
+        : `A ${distribution.status} distribution cannot be paused`);
+    }
+
+    return distribution;
+  }
+
+  /**
+   * Cancel a run. Queued and paused runs are cancelled at once; a sending run
+   * stops before its next recipient. Unsent items are marked CANCELLED.
+   */
+  async cancelDistribution(distribution) {
+    const [cancelled] = await Distribution.update({
+      status: 'CANCELLED',
+      control_request: null,
+      completed_at: new Date()
+    }, {
+      where: { id: distribution.id, status: { [Op.in]: ['PENDING', 'PAUSED'] } }
+    });
+
+    if (cancelled > 0) {
+      await distribution.reload();
+      await this.haltDistribution(distribution, 'cancel');
+      return distribution;
+    }
+
+    const [requested] = await Distribution.update({ control_request: 'cancel' }, {
+      where: { id: distribution.id, status: 'PROCESSING' }
+    });
+    await distribution.reload();
+
+    if (requested === 0) {
+      throw distributionError('DISTRIBUTION_NOT_CANCELLABLE', `A ${distribution.status} distribution cannot be cancelled`);
+    }
+
+    return distribution;
+  }
+
+  /**
+   * Resume a paused run (the caller queues it), or withdraw a pause that has not
+   * taken effect yet. Returns the updated distribution.
+   */
+  async resumeDistribution(distribution) {
+    const [resumed] = await Distribution.update({ status: 'PENDING', completed_at: null }, {
+      where: { id: distribution.id, status: 'PAUSED' }
+    });
+
+    if (resumed === 0) {
+      const [withdrawn] = await Distribution.update({ control_request: null }, {
+        where: { id: distribution.id, control_request: 'pause' }
+      });
+      if (withdrawn === 0) {
+        await distribution.reload();
+        throw distributionError('DISTRIBUTION_NOT_PAUSED', `A ${distribution.status} distribution cannot be resumed`);
+      }
+    }
+
+    await distribution.reload();
+    return distribution;
+  }
+
+  /**
+   * Apply a pause or cancel: record the counts so far, cancel unsent items when
+   * cancelling, and publish a `paused` or `cancelled` event
+   */
+  async haltDistribution(distribution, request) {
+    if (request === 'cancel') {
+      await DistributionItem.update({
+        status: 'CANCELLED',
+        error: 'Distribution was cancelled before this transfer was sent'
+      }, {
+        where: { distribution_id: distribution.id, status: 'PENDING' }
+      });
+    }
+
+    const progress = await this.getProgress(distribution);
+    const status = request === 'cancel' ? 'CANCELLED' : 'PAUSED';
+
+    await distribution.update({
+      status,
+      control_request: null,
+      successful_count: progress.successful,
+      failed_count: progress.failed,
+      completed_at: status === 'CANCELLED' ? (distribution.completed_at || new Date()) : null
+    });
+
+    console.log(`Distribution ${distribution.id} ${status.toLowerCase()} with ${progress.pending + progress.cancelled} recipient(s) unpaid`);
+
+    await this.publishEvent(distribution, {
+      type: request === 'cancel' ? 'cancelled' : 'paused',
+      success: true,
+      message: request === 'cancel'
+        ? `Distribution cancelled: ${progress.cancelled} recipient(s) were not paid`
+        : `Distribution paused: ${progress.pending} recipient(s) left to pay`,
+      data: {
+        distributionId: distribution.id,
+        totalRecipients: distribution.total_recipients,
+        successfulDistributions: progress.successful,
+        failedDistributions: progress.failed,
+        remaining: progress.pending,
+        cancelled: progress.cancelled
+      }
+    });
+  }
+
+  /**
+   * Mark a whole distribution as failed and notify stream subscribers
+   */
+  async failDistribution(distribution, error) {
+    await distribution.update({
+      status: 'FAILED',
+      control_request: null,
+      error: error.message,
+      completed_at: new Date()
+    });
+
+    const event = {
+      type: 'error',
+      success: false,
+      error: 'Failed to distribute tokens',
+      details: error.message
+    };
+    if (error.code === 'INSUFFICIENT_FUNDS') {
+      event.code = error.code;
+      event.shortfall = error.details;
+    } else if (error.code === 'FEE_CAP_EXCEEDED') {
+      event.code = error.code;
+      event.fee = error.details;
+    }
+
+    await this.publishEvent(distribution, event);
+  }
+
+  /**
+   * Publish an event for stream subscribers; a failure to store it never stops the run
+   */
+  async publishEvent(distribution, data) {
+    try {
+      return await distributionEventService.publish(distribution.id, {
+        ...data,
+        distributionId: distribution.id
+      });
+    } catch (error) {
+      console.error(`Failed to publish ${data.type} event for distribution ${distribution.id}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Fail items left PROCESSING by an interrupted run; their transfer may or may not have been sent
+   */
+  async recoverInterruptedItems(distribution) {
+    const [count] = await DistributionItem.update({
+      status: 'FAILED',
+      error: 'Run was interrupted while this transfer was in progress. Check the recipient wallet before paying again.'
+    }, {
+      where: { distribution_id: distribution.id, status: 'PROCESSING' }
+    });
+
+    if (count > 0) {
+      console.warn(`Marked ${count} interrupted item(s) of distribution ${distribution.id} as failed`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Count processed items of a distribution
+   */
+  async getProgress(distribution) {
+    const counts = await DistributionItem.count({
+      where: { distribution_id: distribution.id },
+      group: ['status']
+    });
+    const byStatus = counts.reduce((acc, row) => ({ ...acc, [row.status]: row.count }), {});
+
+    return {
+      total: distribution.total_recipients,
+      processed: (byStatus.SUCCESS || 0) + (byStatus.FAILED || 0),
+      successful: byStatus.SUCCESS || 0,
+      failed: byStatus.FAILED || 0,
+      pending: (byStatus.PENDING || 0) + (byStatus.PROCESSING || 0),
+      cancelled: byStatus.CANCELLED || 0
+    };
+  }
+
+  /**
+   * Store the outcome of a single recipient transfer
+   */
+  async recordItemResult(item, result) {
+    try {
+      if (result.success) {
+        await item.update({
+          status: 'SUCCESS',
+          transaction_hash: result.transaction.transactionHash,
+          block_number: result.transaction.blockNumber,
+          error: null
+        });
+      } else {
+        await item.update({
+          status: 'FAILED',
+          transaction_hash: result.transactionHash || null,
+          error: result.error
+        });
+      }
+    } catch (error) {
+      console.error(`Failed to record result for distribution item ${item.id}:`, error);
+    }
+  }
+
+  /**
+   * Recount item outcomes and set the final distribution status
+   */
+  async finalizeDistribution(distribution) {
+    const [successfulCount, failedCount] = await Promise.all([
+      DistributionItem.count({ where: { distribution_id: distribution.id, status: 'SUCCESS' } }),
+      DistributionItem.count({ where: { distribution_id: distribution.id, status: 'FAILED' } })
+    ]);
+
+    let status = 'PARTIALLY_COMPLETED';
+    if (failedCount === 0) {
+      status = 'COMPLETED';
+    } else if (successfulCount === 0) {
+      status = 'FAILED';
+    }
+
+    return await distribution.update({
+      status,
+      successful_count: successfulCount,
+      failed_count: failedCount,
+      control_request: null,
+      completed_at: distribution.completed_at || new Date()
+    });
+  }
+}
+
+module.exports = new DistributionService();
@@ -0,0 +1,200 @@
+const os = require('os');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('../models/User');
+const Distribution = require('../models/Distribution');
+const DistributionJob = require('../models/DistributionJob');
+const distributionService = require('./distributionService');
+
+/**
+ * Processes queued distributions in the background.
+ * Jobs live in Postgres and are claimed with SELECT ... FOR UPDATE SKIP LOCKED,
+ * so several server instances can share the queue. A running job refreshes
+ * locked_at as a heartbeat; a job whose heartbeat stops (crash or restart) is
+ * picked up again and resumes from its first unfinished recipient. Every write
+ * is fenced on the claim (locked_by and attempts), and the run checks it before
+ * each transfer: a worker that stalled past staleAfter stops sending once
+ * another one has taken its job over.
+ * Progress is published through distributionEventService like any other run.
+ */
+class DistributionWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollInterval = parseInt(process.env.DISTRIBUTION_WORKER_POLL_INTERVAL_MS) || 5000;
+    this.staleAfter = parseInt(process.env.DISTRIBUTION_JOB_STALE_AFTER_MS) || 120000;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  /**
+   * Start polling the job queue
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log(`⚙️  Distribution worker ${this.workerId} started`);
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop polling the job queue
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Queue a recorded distribution for background processing
+   */
+  async enqueue(distribution) {
+    const job = await DistributionJob.create({
+      distribution_id: distribution.id,
+      user_id: distribution.user_id
+    });
+
+    setImmediate(() => this.poll());
+
+    return job;
+  }
+
+  /**
+   * Run every claimable job, one at a time
+   */
+  async poll() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      let job;
+      while ((job = await this.claimNextJob())) {
+        await this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Distribution worker poll error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Lock the oldest queued (or abandoned) job for this worker
+   */
+  async claimNextJob() {
+    return await sequelize.transaction(async (transaction) => {
+      const job = await DistributionJob.findOne({
+        where: {
+          [Op.or]: [
+            { status: 'QUEUED' },
+            {
+              status: 'RUNNING',
+              locked_at: { [Op.lt]: new Date(Date.now() - this.staleAfter) }
+            }
+          ]
+        },
+        order: [['created_at', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        skipLocked: true,
+        transaction
+      });
+
+      if (!job) return null;
+
+      if (job.status === 'RUNNING') {
+        console.warn(`Reclaiming abandoned distribution job ${job.id} (previous worker: ${job.locked_by})`);
+      }
+
+      return await job.update({
+        status: 'RUNNING',
+        locked_by: this.workerId,
+        locked_at: new Date(),
+        attempts: job.attempts + 1,
+        started_at: job.started_at || new Date()
+      }, { transaction });
+    });
+  }
+
+  /**
+   * Process a claimed job
+   */
+  async runJob(job) {
+    let held = true;
+    const heartbeat = setInterval(() => {
+      this.updateClaimed(job, { locked_at: new Date() })
+        .then(updated => {
+          if (!updated && held) {
+            held = false;
+            console.warn(`Distribution job ${job.id} was reclaimed by another worker; stopping`);
+          }
+        })
+        .catch(error => {
+          console.error(`Failed to refresh lock for distribution job ${job.id}:`, error);
+        });
+    }, Math.floor(this.staleAfter / 3));
+    const holdsRun = async () => {
+      held = held && await this.holdsClaim(job);
+      return held;
+    };
+
+    let distribution = null;
+
+    try {
+      distribution = await Distribution.findByPk(job.distribution_id);
+      if (!distribution) {
+        throw new Error('Distribution not found');
+      }
+
+      const user = await User.findByPk(job.user_id);
+      if (!user || !user.custodial_wallet_private_key) {
+        throw new Error('Custodial wallet not configured');
+      }
+
+      if (job.attempts > 1) {
+        await distributionService.recoverInterruptedItems(distribution);
+      }
+
+      await distributionService.executeDistribution(
+        distribution,
+        user.custodial_wallet_private_key,
+        null,
+        holdsRun
+      );
+
+      await this.updateClaimed(job, { status: 'COMPLETED', finished_at: new Date(), last_error: null });
+    } catch (error) {
+      console.error(`Distribution job ${job.id} failed:`, error);
+      const updated = await this.updateClaimed(job, { status: 'FAILED', finished_at: new Date(), last_error: error.message });
+
+      if (updated && distribution && !distribution.isFinished()) {
+        await distributionService.failDistribution(distribution, error);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  }
+
+  /**
+   * Update a job only while this worker's claim on it stands; returns whether it did
+   */
+  async updateClaimed(job, values) {
+    const [updated] = await DistributionJob.update(values, {
+      where: { id: job.id, status: 'RUNNING', locked_by: this.workerId, attempts: job.attempts }
+    });
+    return updated > 0;
+  }
+
+  /**
+   * Whether this worker's claim on a job still stands
+   */
+  async holdsClaim(job) {
+    const count = await DistributionJob.count({
+      where: { id: job.id, status: 'RUNNING', locked_by: this.workerId, attempts: job.attempts }
+    });
+    return count > 0;
+  }
+}
+
+module.exports = new DistributionWorker();
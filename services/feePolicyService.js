@@ -0,0 +1,165 @@
+const { ethers } = require('ethers');
+const networkService = require('./networkService');
+
+// Fee presets. tipPercent scales the node's suggested priority fee (EIP-1559) or
+// gas price (legacy); baseFeePercent is the share of the current base fee that
+// maxFeePerGas allows for, so a transaction stays valid while the base fee rises.
+const FEE_PRESETS = {
+  slow: { tipPercent: 90n, baseFeePercent: 125n },
+  normal: { tipPercent: 100n, baseFeePercent: 200n },
+  fast: { tipPercent: 150n, baseFeePercent: 300n }
+};
+
+const FEE_SPEEDS = Object.keys(FEE_PRESETS);
+
+const feeError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Fee policy for every transaction sent from a custodial wallet. Chains whose
+ * blocks carry a base fee get EIP-1559 fees (maxFeePerGas and
+ * maxPriorityFeePerGas); others, and networks configured with
+ * `"eip1559": false`, get a legacy gas price. Gas limits are the node's
+ * estimate times GAS_LIMIT_MULTIPLIER, and a transaction whose worst-case fee
+ * (gas limit times max fee per gas) is above its network's cap is not sent.
+ */
+class FeePolicyService {
+  constructor() {
+    this.defaultSpeed = FEE_PRESETS[process.env.FEE_SPEED] ? process.env.FEE_SPEED : 'normal';
+
+    const multiplier = parseFloat(process.env.GAS_LIMIT_MULTIPLIER || '1.2');
+    if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > 5) {
+      throw new Error('Invalid fee configuration: GAS_LIMIT_MULTIPLIER must be a number from 1 to 5');
+    }
+    this.gasLimitPercent = BigInt(Math.round(multiplier * 100));
+
+    this.defaultMaxTransactionFee = process.env.MAX_TRANSACTION_FEE || null;
+    if (this.defaultMaxTransactionFee) {
+      this.parseNativeAmount(this.defaultMaxTransactionFee, 'MAX_TRANSACTION_FEE');
+    }
+  }
+
+  isValidSpeed(speed) {
+    return FEE_SPEEDS.includes(speed);
+  }
+
+  /**
+   * Current fees for a network at a preset speed (default FEE_SPEED).
+   * Returns { type: 'eip1559', speed, maxFeePerGas, maxPriorityFeePerGas }
+   * or { type: 'legacy', speed, gasPrice }
+   */
+  async getFees(network, speed = null) {
+    const preset = speed || this.defaultSpeed;
+    const { tipPercent, baseFeePercent } = FEE_PRESETS[preset];
+    const feeData = await networkService.getProvider(network.id).getFeeData();
+
+    // ethers only suggests EIP-1559 fees when the latest block has a base fee
+    if (network.eip1559 !== false && feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+      const baseFee = (feeData.maxFeePerGas - feeData.maxPriorityFeePerGas) / 2n;
+      const maxPriorityFeePerGas = feeData.maxPriorityFeePerGas * tipPercent / 100n;
+      return {
+        type: 'eip1559',
+        speed: preset,
+        maxFeePerGas: baseFee * baseFeePercent / 100n + maxPriorityFeePerGas,
+        maxPriorityFeePerGas
+      };
+    }
+
+    if (feeData.gasPrice === null) {
+      throw new Error(`Network ${network.id} did not return a gas price`);
+    }
+    return {
+      type: 'legacy',
+      speed: preset,
+      gasPrice: feeData.gasPrice * tipPercent / 100n
+    };
+  }
+
+  /**
+   * Highest price per gas unit the fees allow
+   */
+  getMaxGasPrice(fees) {
+    return fees.type === 'eip1559' ? fees.maxFeePerGas : fees.gasPrice;
+  }
+
+  /**
+   * Gas limit for a transaction from the node's estimate
+   */
+  applyGasLimitMultiplier(gasEstimate) {
+    return gasEstimate * this.gasLimitPercent / 100n;
+  }
+
+  /**
+   * The most a single transaction may cost on a network, in wei; null without a cap
+   */
+  getMaxTransactionFee(network) {
+    const cap = network.maxTransactionFee || this.defaultMaxTransactionFee;
+    return cap ? this.parseNativeAmount(cap, `maxTransactionFee of network ${network.id}`) : null;
+  }
+
+  /**
+   * Refuse a transaction whose worst-case fee is above the network's cap
+   */
+  assertWithinCap(network, gasLimit, fees) {
+    const cap = this.getMaxTransactionFee(network);
+    const maxFee = gasLimit * this.getMaxGasPrice(fees);
+    if (cap === null || maxFee <= cap) {
+      return maxFee;
+    }
+
+    throw feeError('FEE_CAP_EXCEEDED',
+      `Transaction fee of up to ${ethers.formatEther(maxFee)} ${network.nativeSymbol} is above the cap of ${ethers.formatEther(cap)} ${network.nativeSymbol}`, {
+        maxFee: ethers.formatEther(maxFee),
+        cap: ethers.formatEther(cap),
+        currency: network.nativeSymbol,
+        network: network.id
+      });
+  }
+
+  /**
+   * Transaction overrides (gasLimit and fee fields) for a gas estimate, checked against the cap
+   */
+  buildOverrides(network, gasEstimate, fees) {
+    const gasLimit = this.applyGasLimitMultiplier(gasEstimate);
+    this.assertWithinCap(network, gasLimit, fees);
+    return { gasLimit, ...this.toTransactionFees(fees) };
+  }
+
+  /**
+   * The fee fields of a transaction request
+   */
+  toTransactionFees(fees) {
+    return fees.type === 'eip1559'
+      ? { maxFeePerGas: fees.maxFeePerGas, maxPriorityFeePerGas: fees.maxPriorityFeePerGas }
+      : { gasPrice: fees.gasPrice };
+  }
+
+  /**
+   * Fees in gwei for responses
+   */
+  describeFees(fees) {
+    return fees.type === 'eip1559'
+      ? {
+        type: fees.type,
+        speed: fees.speed,
+        maxFeePerGas: ethers.formatUnits(fees.maxFeePerGas, 'gwei'),
+        maxPriorityFeePerGas: ethers.formatUnits(fees.maxPriorityFeePerGas, 'gwei')
+      }
+      : { type: fees.type, speed: fees.speed, gasPrice: ethers.formatUnits(fees.gasPrice, 'gwei') };
+  }
+
+  parseNativeAmount(value, name) {
+    try {
+      return ethers.parseEther(String(value));
+    } catch (error) {
+      throw new Error(`Invalid fee configuration: ${name} must be an amount of native currency, e.g. 0.05`);
+    }
+  }
+}
+
+module.exports = new FeePolicyService();
+module.exports.FEE_SPEEDS = FEE_SPEEDS;
@@ -0,0 +1,304 @@
+const { ethers } = require('ethers');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const GasTopUp = require('../models/GasTopUp');
+const feePolicyService = require('./feePolicyService');
+const ledgerService = require('./ledgerService');
+const networkService = require('./networkService');
+const payRateService = require('./payRateService');
+const transactionWatcher = require('./transactionWatcher');
+
+// Window of the per-user cap
+const CAP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const gasStationError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Optional gas station: a treasury wallet (GAS_STATION_PRIVATE_KEY) that sends
+ * native currency to custodial wallets found short of gas by a pre-flight
+ * check, up to the target balance (GAS_STATION_TARGET_BALANCE, or more when the
+ * operation needs more). Each user can receive at most GAS_STATION_DAILY_CAP
+ * per network in any 24 hours. Networks can set their own gasTopUpTarget and
+ * gasTopUpDailyCap, since amounts are in each network's native currency.
+ * Every top-up is stored as a GasTopUp for recharging or billing, and posted to
+ * the user's gas_advances ledger account once confirmed.
+ * The treasury sends one top-up at a time per network, across every server
+ * instance (a Postgres advisory lock), so each transfer gets the next nonce and
+ * the cap check sees every top-up sent before it.
+ */
+class GasStationService {
+  constructor() {
+    this.privateKey = process.env.GAS_STATION_PRIVATE_KEY || null;
+    this.treasuryAddress = null;
+    if (this.privateKey) {
+      try {
+        this.treasuryAddress = new ethers.Wallet(this.privateKey).address;
+      } catch (error) {
+        throw new Error('Invalid gas station configuration: GAS_STATION_PRIVATE_KEY is not a private key');
+      }
+    }
+
+    this.targetBalance = process.env.GAS_STATION_TARGET_BALANCE || '0.05';
+    this.dailyCap = process.env.GAS_STATION_DAILY_CAP || '0.2';
+    this.parseAmount(this.targetBalance, 'GAS_STATION_TARGET_BALANCE');
+    this.parseAmount(this.dailyCap, 'GAS_STATION_DAILY_CAP');
+
+    // Top-ups of this instance waiting, by user and network or by treasury and network
+    this.locks = new Map();
+  }
+
+  isEnabled() {
+    return this.treasuryAddress !== null;
+  }
+
+  /**
+   * Target balance and per-user cap of a network, in wei
+   */
+  getLimits(network) {
+    return {
+      targetBalance: this.parseAmount(network.gasTopUpTarget || this.targetBalance, `gasTopUpTarget of network ${network.id}`),
+      dailyCap: this.parseAmount(network.gasTopUpDailyCap || this.dailyCap, `gasTopUpDailyCap of network ${network.id}`)
+    };
+  }
+
+  /**
+   * Native currency sent to a user on a network in the last 24 hours, in wei.
+   * Failed top-ups are not counted.
+   */
+  async getToppedUpToday(userId, networkId, transaction = null) {
+    const topUps = await GasTopUp.findAll({
+      attributes: ['amount'],
+      where: {
+        user_id: userId,
+        network: networkId,
+        status: { [Op.ne]: 'FAILED' },
+        created_at: { [Op.gte]: new Date(Date.now() - CAP_WINDOW_MS) }
+      },
+      transaction
+    });
+    return topUps.reduce((sum, topUp) => sum + ethers.parseEther(payRateService.normalizeDecimal(topUp.amount)), 0n);
+  }
+
+  /**
+   * Bring a custodial wallet to the target balance, or to `required` (wei)
+   * when the operation needs more, and wait until the transfer is confirmed.
+   * When the cap leaves less than that, the wallet gets as much as still covers
+   * `required`. Returns the GasTopUp, or null when the wallet already holds
+   * `required`.
+   * Request: network, userId, walletAddress, required, reason ('distribution' | 'withdrawal'), distributionId?
+   * Throws GAS_TOP_UP_LIMIT_REACHED, GAS_STATION_UNDERFUNDED or GAS_TOP_UP_FAILED.
+   */
+  async topUp(request) {
+    if (!this.isEnabled()) {
+      throw new Error('Gas station is not configured');
+    }
+
+    // A user's next top-up waits for the last one to confirm, and sees its balance
+    return await this.withLock(`${request.network.id}:${request.userId}`, async () => {
+      const key = `gas-station:${request.network.id}:${this.treasuryAddress}`;
+      const sent = await this.withLock(key, () => sequelize.transaction(async (transaction) => {
+        // Held until the top-up is recorded; other instances wait here
+        await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', { replacements: { key }, transaction });
+        return await this.sendTopUp(request, transaction);
+      }));
+
+      return sent ? await this.confirmTopUp(sent.topUp, sent.tx, request.network) : null;
+    });
+  }
+
+  /**
+   * Check the cap and send the top-up; runs while holding the treasury's lock.
+   * Returns { topUp, tx }, or null when the wallet already holds `required`.
+   */
+  async sendTopUp({ network, userId, walletAddress, required, reason, distributionId }, transaction) {
+    const provider = networkService.getProvider(network.id);
+    const balance = await provider.getBalance(walletAddress);
+    if (balance >= required) {
+      return null;
+    }
+
+    const { targetBalance, dailyCap } = this.getLimits(network);
+    const toppedUpToday = await this.getToppedUpToday(userId, network.id, transaction);
+    const allowance = dailyCap > toppedUpToday ? dailyCap - toppedUpToday : 0n;
+    const goal = required > targetBalance ? required : targetBalance;
+    const amount = goal - balance < allowance ? goal - balance : allowance;
+
+    if (balance + amount < required) {
+      throw gasStationError('GAS_TOP_UP_LIMIT_REACHED',
+        `Gas top-ups for this wallet are capped at ${ethers.formatEther(dailyCap)} ${network.nativeSymbol} per 24 hours; ${ethers.formatEther(allowance)} is left and ${ethers.formatEther(required - balance)} is needed`, {
+          needed: ethers.formatEther(required - balance),
+          toppedUpToday: ethers.formatEther(toppedUpToday),
+          dailyCap: ethers.formatEther(dailyCap),
+          currency: network.nativeSymbol
+        });
+    }
+
+    const treasury = new ethers.Wallet(this.privateKey, provider);
+    const transfer = { to: walletAddress, value: amount };
+    const [gasEstimate, fees, treasuryBalance] = await Promise.all([
+      provider.estimateGas({ ...transfer, from: treasury.address }),
+      feePolicyService.getFees(network),
+      provider.getBalance(treasury.address)
+    ]);
+    const overrides = feePolicyService.buildOverrides(network, gasEstimate, fees);
+
+    if (treasuryBalance < amount + overrides.gasLimit * feePolicyService.getMaxGasPrice(fees)) {
+      console.warn(`⚠️ Gas station treasury ${treasury.address} on ${network.id} is low: ${ethers.formatEther(treasuryBalance)} ${network.nativeSymbol}`);
+      throw gasStationError('GAS_STATION_UNDERFUNDED', 'The gas station cannot cover the top-up right now', {
+        currency: network.nativeSymbol
+      });
+    }
+
+    let tx;
+    try {
+      tx = await treasury.sendTransaction({ ...transfer, ...overrides });
+    } catch (error) {
+      throw gasStationError('GAS_TOP_UP_FAILED', `Gas top-up could not be sent: ${error.shortMessage || error.message}`, {});
+    }
+    console.log(`⛽ Gas top-up of ${ethers.formatEther(amount)} ${network.nativeSymbol} to ${walletAddress} on ${network.id}: ${tx.hash}`);
+
+    await transactionWatcher.record(tx, {
+      network,
+      kind: 'gas_top_up',
+      to: walletAddress,
+      amount: ethers.formatEther(amount)
+    });
+    const topUp = await GasTopUp.create({
+      user_id: userId,
+      network: network.id,
+      treasury_address: treasury.address,
+      wallet_address: walletAddress,
+      amount: ethers.formatEther(amount),
+      balance_before: ethers.formatEther(balance),
+      required_balance: ethers.formatEther(required),
+      reason,
+      distribution_id: distributionId || null,
+      transaction_hash: tx.hash
+    }, { transaction });
+
+    return { topUp, tx };
+  }
+
+  /**
+   * Wait until a sent top-up has the network's confirmation depth
+   */
+  async confirmTopUp(topUp, tx, network) {
+    try {
+      await tx.wait(network.confirmations);
+    } catch (error) {
+      await topUp.update({ status: 'FAILED', error: error.shortMessage || error.message });
+      throw gasStationError('GAS_TOP_UP_FAILED', `Gas top-up ${tx.hash} failed: ${error.shortMessage || error.message}`, {
+        transactionHash: tx.hash
+      });
+    }
+
+    await topUp.update({ status: 'CONFIRMED' });
+    await ledgerService.recordGasTopUp(topUp);
+    return topUp;
+  }
+
+  async withLock(key, task) {
+    const previous = this.locks.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    this.locks.set(key, current);
+
+    try {
+      return await current;
+    } finally {
+      if (this.locks.get(key) === current) {
+        this.locks.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Top-ups, newest first, with the total sent per user and network.
+   * Filters: userId, network, from, to (dates), status, limit, offset
+   */
+  async listTopUps(filters = {}) {
+    const where = {};
+    if (filters.userId) where.user_id = filters.userId;
+    if (filters.network) where.network = filters.network;
+    if (filters.status) where.status = filters.status;
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at[Op.gte] = filters.from;
+      if (filters.to) where.created_at[Op.lte] = filters.to;
+    }
+
+    const [{ count, rows }, all] = await Promise.all([
+      GasTopUp.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit: filters.limit || 50,
+        offset: filters.offset || 0
+      }),
+      GasTopUp.findAll({
+        attributes: ['user_id', 'network', 'amount'],
+        where: { ...where, status: { [Op.ne]: 'FAILED' } }
+      })
+    ]);
+
+    const totals = new Map();
+    for (const topUp of all) {
+      const key = `${topUp.user_id}:${topUp.network}`;
+      const total = totals.get(key) || { userId: topUp.user_id, network: topUp.network, amount: 0n, count: 0 };
+      total.amount += ethers.parseEther(payRateService.normalizeDecimal(topUp.amount));
+      total.count++;
+      totals.set(key, total);
+    }
+
+    return {
+      topUps: rows,
+      total: count,
+      totals: [...totals.values()].map(total => ({ ...total, amount: ethers.formatEther(total.amount) }))
+    };
+  }
+
+  /**
+   * The treasury's balance and the limits on every configured network
+   */
+  async getStatus() {
+    const networks = [];
+    for (const network of networkService.listNetworks()) {
+      const { targetBalance, dailyCap } = this.getLimits(network);
+      let treasuryBalance = null;
+      if (this.isEnabled()) {
+        try {
+          treasuryBalance = ethers.formatEther(await networkService.getProvider(network.id).getBalance(this.treasuryAddress));
+        } catch (error) {
+          console.error(`Gas station balance on ${network.id} unavailable:`, error.message);
+        }
+      }
+
+      networks.push({
+        network: network.id,
+        currency: network.nativeSymbol,
+        treasuryBalance,
+        targetBalance: ethers.formatEther(targetBalance),
+        dailyCap: ethers.formatEther(dailyCap)
+      });
+    }
+
+    return {
+      enabled: this.isEnabled(),
+      treasuryAddress: this.treasuryAddress,
+      networks
+    };
+  }
+
+  parseAmount(value, name) {
+    try {
+      return ethers.parseEther(String(value));
+    } catch (error) {
+      throw new Error(`Invalid gas station configuration: ${name} must be an amount of native currency, e.g. 0.05`);
+    }
+  }
+}
+
+module.exports = new GasStationService();
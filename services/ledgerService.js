@@ -0,0 +1,410 @@
+const { ethers } = require('ethers');
+const { Op, UniqueConstraintError, fn, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const JournalLine = require('../models/JournalLine');
+const Transaction = require('../models/Transaction');
+const payRateService = require('./payRateService');
+
+// Account purposes and the side that increases their balance
+const ACCOUNT_PURPOSES = {
+  // Funds in the custodial wallet that the user can spend
+  available: 'debit',
+  // Funds of sent transfers that are not final yet
+  pending_out: 'debit',
+  // Gas paid from the custodial wallet
+  fees: 'debit',
+  // Native currency the gas station advanced, to be recharged or billed
+  gas_advances: 'credit',
+  // System account per network and asset: funds outside the custodial wallets
+  external: 'credit'
+};
+
+const ENTRY_TYPES = ['transfer_sent', 'transfer_settled', 'transfer_released', 'fee', 'deposit', 'gas_top_up'];
+
+// Transactions that move value out of the wallet; approvals and cancellations only cost gas
+const VALUE_KINDS = ['token_transfer', 'native_transfer', 'batch_transfer'];
+
+const NATIVE_ASSET = 'native';
+
+// Ledger amounts have 18 decimals, like the DECIMAL(36, 18) columns
+const toUnits = (amount) => ethers.parseUnits(payRateService.normalizeDecimal(amount) || '0', 18);
+const fromUnits = (units) => payRateService.normalizeDecimal(ethers.formatUnits(units, 18));
+
+const ledgerError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Double-entry ledger of every custodial wallet movement. Each user has
+ * accounts per network, asset (token contract or native currency) and purpose;
+ * every movement posts a journal entry whose debits equal its credits.
+ * - A sent transfer moves its amount from `available` to `pending_out`. Once
+ *   it, or the speed-up or cancellation that replaced it, is final, the amount
+ *   leaves for `external` (confirmed) or returns to `available` (failed,
+ *   dropped or cancelled). Holds are keyed by the transfer's hash: a nonce is
+ *   reused when the network forgets a transaction.
+ * - Every mined transaction moves its gas from native `available` to `fees`.
+ * - A confirmed deposit moves its amount from `external` to `available`.
+ * - A confirmed gas top-up adds to native `available` against `gas_advances`.
+ * Entries carry a unique reference, so posting the same event again is a no-op.
+ * Posting follows the transfers and never holds them up: failures are logged.
+ * The ledger records movements from when it was introduced; balances held
+ * before then are not in it.
+ */
+class LedgerService {
+  /**
+   * Post a balanced journal entry, or return the entry already posted with its reference.
+   * Entry: reference, type, userId, network, transactionHash?, distributionId?, description,
+   * lines: [{ userId (null for system accounts), asset, purpose, side, amount }]
+   */
+  async post(entry) {
+    const lines = entry.lines
+      .map(line => ({ ...line, units: toUnits(line.amount) }))
+      .filter(line => line.units > 0n);
+    if (lines.length === 0) {
+      return null;
+    }
+
+    const sums = new Map();
+    for (const line of lines) {
+      const sum = sums.get(line.asset) || 0n;
+      sums.set(line.asset, sum + (line.side === 'debit' ? line.units : -line.units));
+    }
+    if ([...sums.values()].some(sum => sum !== 0n)) {
+      throw ledgerError('UNBALANCED_ENTRY', `Journal entry ${entry.reference} does not balance`);
+    }
+
+    try {
+      return await sequelize.transaction(async (transaction) => {
+        const existing = await JournalEntry.findOne({ where: { reference: entry.reference }, transaction });
+        if (existing) return existing;
+
+        const journalEntry = await JournalEntry.create({
+          reference: entry.reference,
+          type: entry.type,
+          user_id: entry.userId,
+          network: entry.network,
+          transaction_hash: entry.transactionHash || null,
+          distribution_id: entry.distributionId || null,
+          description: entry.description
+        }, { transaction });
+
+        for (const line of lines) {
+          const account = await this.getAccount(line.userId, entry.network, line.asset, line.purpose, transaction);
+          await JournalLine.create({
+            entry_id: journalEntry.id,
+            account_id: account.id,
+            side: line.side,
+            amount: fromUnits(line.units)
+          }, { transaction });
+
+          const change = line.side === account.normal_side ? line.units : -line.units;
+          await account.increment({ balance: ethers.formatUnits(change, 18) }, { transaction });
+        }
+
+        return journalEntry;
+      });
+    } catch (error) {
+      // Posted concurrently under the same reference
+      if (error instanceof UniqueConstraintError) {
+        return await JournalEntry.findOne({ where: { reference: entry.reference } });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Find or open an account; userId null for system accounts
+   */
+  async getAccount(userId, network, asset, purpose, transaction) {
+    const [account] = await LedgerAccount.findOrCreate({
+      where: { key: `${userId || 'system'}:${network}:${asset}:${purpose}` },
+      defaults: {
+        user_id: userId,
+        network,
+        asset,
+        purpose,
+        normal_side: ACCOUNT_PURPOSES[purpose]
+      },
+      transaction
+    });
+    return account;
+  }
+
+  /**
+   * Hold the amount of a transfer that was just sent (Transaction record).
+   * Speed-ups and cancellations share the hold of the transaction they replace.
+   */
+  async recordSent(transaction) {
+    if (!transaction.user_id || !VALUE_KINDS.includes(transaction.kind) || transaction.replaces_hash) {
+      return null;
+    }
+
+    const asset = this.getAsset(transaction.token_contract_address);
+    return await this.record(() => this.post({
+      reference: this.holdReference(transaction),
+      type: 'transfer_sent',
+      userId: transaction.user_id,
+      network: transaction.network,
+      transactionHash: transaction.hash,
+      distributionId: transaction.distribution_id,
+      description: `${this.describeKind(transaction)} to ${transaction.to_address} sent`,
+      lines: [
+        { userId: transaction.user_id, asset, purpose: 'pending_out', side: 'debit', amount: transaction.amount },
+        { userId: transaction.user_id, asset, purpose: 'available', side: 'credit', amount: transaction.amount }
+      ]
+    }));
+  }
+
+  /**
+   * Post the gas of a transaction that became final and settle the hold of its transfer
+   */
+  async recordFinal(transaction) {
+    if (!transaction.user_id) {
+      return;
+    }
+
+    const mined = transaction.status === 'CONFIRMED' || transaction.status === 'FAILED';
+    if (mined && transaction.gas_used && transaction.effective_gas_price) {
+      const fee = ethers.formatEther(BigInt(transaction.gas_used) * BigInt(transaction.effective_gas_price));
+      await this.record(() => this.post({
+        reference: `fee:${transaction.network}:${transaction.hash}`,
+        type: 'fee',
+        userId: transaction.user_id,
+        network: transaction.network,
+        transactionHash: transaction.hash,
+        distributionId: transaction.distribution_id,
+        description: `Gas for ${this.describeKind(transaction).toLowerCase()} ${transaction.hash}`,
+        lines: [
+          { userId: transaction.user_id, asset: NATIVE_ASSET, purpose: 'fees', side: 'debit', amount: fee },
+          { userId: transaction.user_id, asset: NATIVE_ASSET, purpose: 'available', side: 'credit', amount: fee }
+        ]
+      }));
+    }
+
+    await this.record(() => this.settleHold(transaction));
+  }
+
+  /**
+   * Move the hold of a transfer out of `pending_out`: to `external` for what the
+   * mined transaction of its chain sent, back to `available` for the rest. A
+   * dropped transaction settles nothing while another one of its chain can
+   * still be mined.
+   */
+  async settleHold(transaction) {
+    const { original, chain } = await this.getChain(transaction);
+    if (transaction.status === 'DROPPED' && chain.some(other => other.status !== 'DROPPED')) {
+      return null;
+    }
+
+    const hold = await JournalEntry.findOne({ where: { reference: this.holdReference(original) } });
+    if (!hold) {
+      return null;
+    }
+
+    const held = toUnits(original.amount);
+    const sent = transaction.status === 'CONFIRMED' && VALUE_KINDS.includes(transaction.kind)
+      ? toUnits(transaction.amount)
+      : 0n;
+    const asset = this.getAsset(original.token_contract_address);
+    const userId = transaction.user_id;
+
+    return await this.post({
+      reference: `settled:${hold.reference}`,
+      type: sent > 0n ? 'transfer_settled' : 'transfer_released',
+      userId,
+      network: transaction.network,
+      transactionHash: transaction.hash,
+      distributionId: original.distribution_id,
+      description: sent > 0n
+        ? `${this.describeKind(original)} to ${original.to_address} confirmed`
+        : `${this.describeKind(original)} to ${original.to_address} ${transaction.kind === 'cancellation' ? 'cancelled' : transaction.status.toLowerCase()}`,
+      lines: [
+        { userId: null, asset, purpose: 'external', side: 'debit', amount: fromUnits(sent) },
+        { userId, asset, purpose: 'available', side: 'debit', amount: fromUnits(held - sent) },
+        { userId, asset, purpose: 'pending_out', side: 'credit', amount: fromUnits(held) }
+      ]
+    });
+  }
+
+  /**
+   * The transfer a transaction belongs to (following replaces_hash back to the
+   * transaction that was not a replacement) and every transaction of that
+   * chain. Replacements share their original's nonce; other transactions with
+   * the nonce, sent after the network forgot one, belong to other chains.
+   */
+  async getChain(transaction) {
+    const nonceTransactions = await Transaction.findAll({
+      where: { network: transaction.network, from_address: transaction.from_address, nonce: transaction.nonce }
+    });
+    const byHash = new Map(nonceTransactions.map(other => [other.hash, other]));
+    const originalOf = (member) => {
+      let current = member;
+      while (current.replaces_hash && byHash.has(current.replaces_hash)) {
+        current = byHash.get(current.replaces_hash);
+      }
+      return current;
+    };
+
+    const original = originalOf(transaction);
+    return {
+      original,
+      chain: nonceTransactions.filter(other => originalOf(other).hash === original.hash)
+    };
+  }
+
+  /**
+   * Credit a confirmed deposit (Deposit record)
+   */
+  async recordDeposit(deposit) {
+    const asset = this.getAsset(deposit.token_contract_address);
+    return await this.record(() => this.post({
+      reference: `deposit:${deposit.id}`,
+      type: 'deposit',
+      userId: deposit.user_id,
+      network: deposit.network,
+      transactionHash: deposit.transaction_hash,
+      description: `Deposit from ${deposit.from_address}`,
+      lines: [
+        { userId: deposit.user_id, asset, purpose: 'available', side: 'debit', amount: deposit.amount },
+        { userId: null, asset, purpose: 'external', side: 'credit', amount: deposit.amount }
+      ]
+    }));
+  }
+
+  /**
+   * Credit a confirmed gas top-up (GasTopUp record) as an advance to the user
+   */
+  async recordGasTopUp(topUp) {
+    return await this.record(() => this.post({
+      reference: `gas_top_up:${topUp.id}`,
+      type: 'gas_top_up',
+      userId: topUp.user_id,
+      network: topUp.network,
+      transactionHash: topUp.transaction_hash,
+      distributionId: topUp.distribution_id,
+      description: `Gas top-up from ${topUp.treasury_address}`,
+      lines: [
+        { userId: topUp.user_id, asset: NATIVE_ASSET, purpose: 'available', side: 'debit', amount: topUp.amount },
+        { userId: topUp.user_id, asset: NATIVE_ASSET, purpose: 'gas_advances', side: 'credit', amount: topUp.amount }
+      ]
+    }));
+  }
+
+  /**
+   * Run a posting; the movement already happened on chain, so a failure to
+   * post is logged rather than thrown
+   */
+  async record(posting) {
+    try {
+      return await posting();
+    } catch (error) {
+      console.error('Failed to post ledger entry:', error);
+      return null;
+    }
+  }
+
+  /**
+   * A user's accounts. Filters: network, asset (contract address or 'native')
+   */
+  async listAccounts(userId, filters = {}) {
+    const where = { user_id: userId };
+    if (filters.network) where.network = filters.network;
+    if (filters.asset) where.asset = filters.asset;
+    return await LedgerAccount.findAll({ where, order: [['network', 'ASC'], ['asset', 'ASC'], ['purpose', 'ASC']] });
+  }
+
+  /**
+   * A user's journal entries with their lines, newest first.
+   * Filters: type, network, accountId, transactionHash, distributionId, from, to (dates), limit, offset
+   */
+  async listEntries(userId, filters = {}) {
+    const where = { user_id: userId };
+    if (filters.type) where.type = filters.type;
+    if (filters.network) where.network = filters.network;
+    if (filters.transactionHash) where.transaction_hash = filters.transactionHash;
+    if (filters.distributionId) where.distribution_id = filters.distributionId;
+    if (filters.from || filters.to) {
+      where.created_at = {};
+      if (filters.from) where.created_at[Op.gte] = filters.from;
+      if (filters.to) where.created_at[Op.lte] = filters.to;
+    }
+    if (filters.accountId) {
+      const lines = await JournalLine.findAll({ attributes: ['entry_id'], where: { account_id: filters.accountId } });
+      where.id = { [Op.in]: lines.map(line => line.entry_id) };
+    }
+
+    const { count, rows } = await JournalEntry.findAndCountAll({
+      where,
+      include: [{
+        model: JournalLine,
+        as: 'lines',
+        include: [{ model: LedgerAccount, as: 'account', attributes: ['asset', 'purpose', 'user_id'] }]
+      }],
+      order: [['created_at', 'DESC'], [{ model: JournalLine, as: 'lines' }, 'id', 'ASC']],
+      limit: filters.limit || 50,
+      offset: filters.offset || 0,
+      distinct: true
+    });
+    return { entries: rows, total: count };
+  }
+
+  /**
+   * Trial balance: per network and asset, the balances of all accounts on
+   * each side. They match unless the ledger is corrupt.
+   */
+  async getTrialBalance() {
+    const sums = await LedgerAccount.findAll({
+      attributes: ['network', 'asset', 'normal_side', [fn('SUM', col('balance')), 'total']],
+      group: ['network', 'asset', 'normal_side'],
+      raw: true
+    });
+
+    const rows = new Map();
+    for (const sum of sums) {
+      const key = `${sum.network}:${sum.asset}`;
+      const row = rows.get(key) || { network: sum.network, asset: sum.asset, debit: 0n, credit: 0n };
+      row[sum.normal_side] = this.parseSigned(sum.total);
+      rows.set(key, row);
+    }
+
+    return [...rows.values()].map(row => ({
+      network: row.network,
+      asset: row.asset,
+      debitBalances: ethers.formatUnits(row.debit, 18),
+      creditBalances: ethers.formatUnits(row.credit, 18),
+      balanced: row.debit === row.credit
+    }));
+  }
+
+  parseSigned(value) {
+    const text = String(value);
+    return text.startsWith('-') ? -toUnits(text.slice(1)) : toUnits(text);
+  }
+
+  getAsset(tokenContractAddress) {
+    return tokenContractAddress ? ethers.getAddress(tokenContractAddress) : NATIVE_ASSET;
+  }
+
+  holdReference(transaction) {
+    return `sent:${transaction.network}:${transaction.hash}`;
+  }
+
+  describeKind(transaction) {
+    if (transaction.kind === 'approval') return 'Batch approval';
+    if (transaction.kind === 'cancellation') return 'Cancellation';
+    if (transaction.kind === 'batch_transfer') return 'Batch transfer';
+    if (transaction.distribution_id) return 'Distribution payout';
+    return transaction.kind === 'native_transfer' ? 'Native withdrawal' : 'Token withdrawal';
+  }
+}
+
+module.exports = new LedgerService();
+module.exports.ACCOUNT_PURPOSES = ACCOUNT_PURPOSES;
+module.exports.ENTRY_TYPES = ENTRY_TYPES;
+module.exports.NATIVE_ASSET = NATIVE_ASSET;
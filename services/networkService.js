@@ -0,0 +1,234 @@
+const { ethers } = require('ethers');
+const { networks, defaultNetworkId } = require('../config/networks');
+
+const NETWORK_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,49}$/;
+
+// How long an RPC endpoint may take to answer the startup chain id check
+const VERIFY_TIMEOUT_MS = parseInt(process.env.NETWORK_VERIFY_TIMEOUT_MS) || 10000;
+
+// How long the preferred endpoint may stall before the next one is asked
+const ENDPOINT_STALL_TIMEOUT_MS = 2000;
+
+const networkError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Registry of the EVM networks the custodial wallets can use (see
+ * config/networks.js). Keeps one provider per network; a network with several
+ * RPC endpoints gets a provider that falls back from one to the next.
+ */
+class NetworkService {
+  constructor() {
+    this.networks = new Map();
+    for (const network of networks) {
+      this.networks.set(network.id, this.normalizeNetwork(network));
+    }
+
+    if (!this.networks.has(defaultNetworkId)) {
+      throw new Error(`Invalid network configuration: DEFAULT_NETWORK ${defaultNetworkId} is not configured`);
+    }
+    this.defaultNetworkId = defaultNetworkId;
+    this.providers = new Map();
+  }
+
+  /**
+   * Check a network definition and fill in defaults; invalid configuration stops startup
+   */
+  normalizeNetwork(network) {
+    const fail = (reason) => {
+      throw new Error(`Invalid network configuration for ${network.id || 'unnamed network'}: ${reason}`);
+    };
+
+    if (typeof network.id !== 'string' || !NETWORK_ID_PATTERN.test(network.id)) {
+      fail('id must be lower case letters, digits and dashes');
+    }
+    const chainId = Number(network.chainId);
+    if (!Number.isInteger(chainId) || chainId < 1) fail('chainId must be a positive integer');
+    if (!Array.isArray(network.rpcUrls) || network.rpcUrls.length === 0) fail('at least one RPC URL is required');
+    if (network.explorerTxUrl && !network.explorerTxUrl.includes('{hash}')) {
+      fail('explorerTxUrl must contain {hash}');
+    }
+    const confirmations = network.confirmations !== undefined ? Number(network.confirmations) : 1;
+    if (!Number.isInteger(confirmations) || confirmations < 1) fail('confirmations must be a positive integer');
+    if (network.eip1559 !== undefined && typeof network.eip1559 !== 'boolean') fail('eip1559 must be true or false');
+    // Amounts of native currency; unset ones fall back to their environment variable
+    const amount = (name) => {
+      if (network[name] === undefined || network[name] === null) return null;
+      try {
+        ethers.parseEther(String(network[name]));
+      } catch (error) {
+        fail(`${name} must be an amount of native currency, e.g. "0.05"`);
+      }
+      return String(network[name]);
+    };
+
+    return {
+      id: network.id,
+      name: network.name || network.id,
+      chainId,
+      rpcUrls: network.rpcUrls,
+      nativeSymbol: network.nativeSymbol || 'ETH',
+      explorerTxUrl: network.explorerTxUrl || null,
+      confirmations,
+      testnet: network.testnet === true,
+      // Without a setting, EIP-1559 fees are used whenever the chain reports a base fee
+      eip1559: network.eip1559 !== undefined ? network.eip1559 : null,
+      // Fee cap per transaction; MAX_TRANSACTION_FEE applies without one
+      maxTransactionFee: amount('maxTransactionFee'),
+      // Gas station limits; GAS_STATION_TARGET_BALANCE and GAS_STATION_DAILY_CAP apply without them
+      gasTopUpTarget: amount('gasTopUpTarget'),
+      gasTopUpDailyCap: amount('gasTopUpDailyCap')
+    };
+  }
+
+  /**
+   * The network a request refers to, by id or chain id; without a reference the default network
+   */
+  resolveNetwork(ref) {
+    if (ref === undefined || ref === null || ref === '') {
+      return this.getDefaultNetwork();
+    }
+
+    const value = String(ref).trim().toLowerCase();
+    const network = this.networks.get(value) ||
+      [...this.networks.values()].find(candidate => String(candidate.chainId) === value);
+    if (!network) {
+      throw networkError('NETWORK_NOT_FOUND', `Network ${ref} is not configured`);
+    }
+    return network;
+  }
+
+  /**
+   * A configured network by id; null or undefined give the default network
+   */
+  getNetwork(networkId) {
+    if (networkId === undefined || networkId === null) {
+      return this.getDefaultNetwork();
+    }
+    const network = this.networks.get(networkId);
+    if (!network) {
+      throw networkError('NETWORK_NOT_FOUND', `Network ${networkId} is not configured`);
+    }
+    return network;
+  }
+
+  getDefaultNetwork() {
+    return this.networks.get(this.defaultNetworkId);
+  }
+
+  listNetworks() {
+    return [...this.networks.values()];
+  }
+
+  /**
+   * The provider of a network, created on first use and then shared
+   */
+  getProvider(networkId) {
+    const network = this.getNetwork(networkId);
+    if (!this.providers.has(network.id)) {
+      this.providers.set(network.id, this.createProvider(network));
+    }
+    return this.providers.get(network.id).provider;
+  }
+
+  createProvider(network) {
+    // The chain id is fixed by configuration and checked by verifyNetworks
+    const endpoints = network.rpcUrls.map(url => new ethers.JsonRpcProvider(url, network.chainId, {
+      staticNetwork: true
+    }));
+
+    const provider = endpoints.length === 1
+      ? endpoints[0]
+      : new ethers.FallbackProvider(
+        endpoints.map((endpoint, index) => ({
+          provider: endpoint,
+          priority: index + 1,
+          stallTimeout: ENDPOINT_STALL_TIMEOUT_MS
+        })),
+        network.chainId,
+        { quorum: 1 }
+      );
+
+    return { provider, endpoints };
+  }
+
+  /**
+   * Ask every RPC endpoint for its chain id. An endpoint on another chain is a
+   * configuration error and throws; an unreachable one is only reported, since
+   * the endpoint may come back.
+   * Returns [{ network, endpoint, status: 'ok' | 'unreachable', error? }]
+   */
+  async verifyNetworks() {
+    const results = [];
+
+    for (const network of this.networks.values()) {
+      this.getProvider(network.id);
+      const { endpoints } = this.providers.get(network.id);
+
+      for (let i = 0; i < endpoints.length; i++) {
+        const endpoint = this.describeEndpoint(network.rpcUrls[i]);
+        let timer;
+        try {
+          const chainId = await Promise.race([
+            endpoints[i].send('eth_chainId', []),
+            new Promise((resolve, reject) => {
+              timer = setTimeout(() => reject(new Error('No answer in time')), VERIFY_TIMEOUT_MS);
+            })
+          ]);
+
+          if (Number(chainId) !== network.chainId) {
+            throw networkError('CHAIN_ID_MISMATCH',
+              `${endpoint} of network ${network.id} is on chain ${Number(chainId)}, expected ${network.chainId}`);
+          }
+          results.push({ network: network.id, endpoint, status: 'ok' });
+        } catch (error) {
+          if (error.code === 'CHAIN_ID_MISMATCH') throw error;
+          results.push({ network: network.id, endpoint, status: 'unreachable', error: error.message });
+        } finally {
+          clearTimeout(timer);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Explorer link of a transaction, or null when the network has no explorer configured
+   */
+  getExplorerUrl(networkId, transactionHash) {
+    const network = this.getNetwork(networkId);
+    return network.explorerTxUrl ? network.explorerTxUrl.replace('{hash}', transactionHash) : null;
+  }
+
+  /**
+   * RPC URLs can carry API keys; logs and responses only show the host
+   */
+  describeEndpoint(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return 'invalid URL';
+    }
+  }
+
+  getPublicInfo(network) {
+    return {
+      id: network.id,
+      name: network.name,
+      chainId: network.chainId,
+      nativeSymbol: network.nativeSymbol,
+      explorerTxUrl: network.explorerTxUrl,
+      confirmations: network.confirmations,
+      testnet: network.testnet,
+      eip1559: network.eip1559,
+      maxTransactionFee: network.maxTransactionFee,
+      isDefault: network.id === this.defaultNetworkId
+    };
+  }
+}
+
+module.exports = new NetworkService();
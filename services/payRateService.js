@@ -0,0 +1,158 @@
+const { ethers } = require('ethers');
+
+const ROUNDING_POLICIES = ['floor', 'round', 'ceil', 'exact'];
+const DECIMAL_PATTERN = /^\d+(\.\d+)?$/;
+
+// Decimal places kept for hours worked, as in the DECIMAL(12, 4) columns
+const HOURS_DECIMALS = 4;
+
+// Decimal places and integer digits kept for rates, as in the DECIMAL(36, 18) columns
+const RATE_DECIMALS = 18;
+const RATE_INTEGER_DIGITS = 18;
+
+/**
+ * Converts hours worked into token amounts.
+ * All arithmetic is done on bigints scaled by the number of decimal places
+ * of each input, so no precision is lost to floating point.
+ */
+class PayRateService {
+  constructor() {
+    this.roundingPolicies = ROUNDING_POLICIES;
+    this.hoursDecimals = HOURS_DECIMALS;
+    this.rateDecimals = RATE_DECIMALS;
+    this.rateIntegerDigits = RATE_INTEGER_DIGITS;
+    this.defaultRate = '1';
+    this.defaultRounding = 'floor';
+  }
+
+  /**
+   * Check that a rate is a positive decimal number that is stored as given:
+   * payouts are recomputed from the stored rate when a run is sent or retried
+   */
+  isValidRate(value) {
+    const normalized = this.normalizeDecimal(value);
+    if (normalized === null) return false;
+
+    const rate = this.parseDecimal(normalized);
+    return rate.value > 0n &&
+      rate.scale <= RATE_DECIMALS &&
+      normalized.split('.')[0].length <= RATE_INTEGER_DIGITS;
+  }
+
+  /**
+   * Check that hours worked are a positive decimal number that is stored as
+   * given: payouts are recomputed from the stored hours when a run is sent
+   */
+  isValidHours(value) {
+    const normalized = this.normalizeDecimal(value);
+    if (normalized === null) return false;
+
+    const hours = this.parseDecimal(normalized);
+    return hours.value > 0n && hours.scale <= HOURS_DECIMALS;
+  }
+
+  /**
+   * Check that a rounding policy is supported
+   */
+  isValidRounding(value) {
+    return ROUNDING_POLICIES.includes(value);
+  }
+
+  /**
+   * Canonical string form of a non-negative decimal ("1.500" -> "1.5"), or null if invalid
+   */
+  normalizeDecimal(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = String(value).trim();
+    if (!DECIMAL_PATTERN.test(text)) return null;
+
+    let [whole, fraction = ''] = text.split('.');
+    whole = whole.replace(/^0+(?=\d)/, '');
+    fraction = fraction.replace(/0+$/, '');
+
+    return fraction ? `${whole}.${fraction}` : whole;
+  }
+
+  /**
+   * Split a decimal string into an integer value and its scale ("1.25" -> 125n, 2)
+   */
+  parseDecimal(text) {
+    const [whole, fraction = ''] = text.split('.');
+    return {
+      value: BigInt(whole + fraction),
+      scale: fraction.length
+    };
+  }
+
+  /**
+   * Resolve the rate for one recipient: recipient rate, then run rate, then the default
+   */
+  resolveRate(recipientRate, runRate = null) {
+    const rate = [recipientRate, runRate]
+      .find(value => value !== undefined && value !== null && value !== '');
+    return this.normalizeDecimal(rate === undefined ? this.defaultRate : rate);
+  }
+
+  /**
+   * Token amount in base units for hours * rate, rounded with the given policy.
+   * floor / round / ceil round to whole tokens; exact keeps every digit the
+   * token's decimals can represent (anything finer is truncated).
+   */
+  calculateAmount(hoursWorked, rate, rounding, decimals) {
+    const hours = this.normalizeDecimal(hoursWorked);
+    const normalizedRate = this.normalizeDecimal(rate);
+    if (hours === null || normalizedRate === null) {
+      throw new Error(`Invalid pay terms: ${hoursWorked} hours at rate ${rate}`);
+    }
+    if (!this.isValidRounding(rounding)) {
+      throw new Error(`Invalid rounding policy: ${rounding}`);
+    }
+
+    const h = this.parseDecimal(hours);
+    const r = this.parseDecimal(normalizedRate);
+    const product = h.value * r.value;
+    const scale = h.scale + r.scale;
+    const tokenDecimals = Number(decimals);
+
+    if (rounding === 'exact') {
+      return this.rescale(product, scale, tokenDecimals, 'floor');
+    }
+
+    return this.rescale(product, scale, 0, rounding) * 10n ** BigInt(tokenDecimals);
+  }
+
+  /**
+   * Move a scaled integer to another scale, rounding any dropped digits
+   */
+  rescale(value, fromScale, toScale, rounding) {
+    if (toScale >= fromScale) {
+      return value * 10n ** BigInt(toScale - fromScale);
+    }
+
+    const divisor = 10n ** BigInt(fromScale - toScale);
+    const quotient = value / divisor;
+    const remainder = value % divisor;
+
+    if (remainder === 0n || rounding === 'floor') return quotient;
+    if (rounding === 'ceil') return quotient + 1n;
+    // round: half up
+    return remainder * 2n >= divisor ? quotient + 1n : quotient;
+  }
+
+  /**
+   * Human-readable token amount without trailing zeros ("7.0" -> "7")
+   */
+  formatAmount(amount, decimals) {
+    return this.normalizeDecimal(ethers.formatUnits(amount, decimals));
+  }
+
+  /**
+   * Rate as reported in distribution results
+   */
+  describeRate(rate) {
+    return `${rate} ${rate === '1' ? 'token' : 'tokens'} per hour`;
+  }
+}
+
+module.exports = new PayRateService();
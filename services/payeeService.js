@@ -0,0 +1,174 @@
+const { ethers } = require('ethers');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Payee = require('../models/Payee');
+const PayeeWalletChange = require('../models/PayeeWalletChange');
+const payRateService = require('./payRateService');
+const recipientValidationService = require('./recipientValidationService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const payeeError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Address book of saved recipients. Wallet addresses are checked and stored
+ * in checksum form once, so distributions by payee id cannot carry a typo,
+ * and every wallet change is kept in the payee's history.
+ */
+class PayeeService {
+  /**
+   * Check a wallet address and return its checksum form
+   */
+  normalizeWallet(wallet) {
+    const trimmed = typeof wallet === 'string' ? wallet.trim() : '';
+    const issue = recipientValidationService.checkAddress(trimmed);
+    if (issue) {
+      throw payeeError('INVALID_WALLET', issue.message, { code: issue.code });
+    }
+    return ethers.getAddress(trimmed);
+  }
+
+  /**
+   * Trim and de-duplicate tags, keeping their first spelling
+   */
+  normalizeTags(tags) {
+    const seen = new Set();
+    return tags
+      .map(tag => String(tag).trim())
+      .filter(tag => {
+        const key = tag.toLowerCase();
+        if (!tag || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Turn create or update fields ({ name, wallet, email, externalId, tags, defaultRate, defaultHours })
+   * into model attributes; only fields present are returned
+   */
+  buildAttributes(fields) {
+    const attributes = {};
+
+    if (fields.name !== undefined) attributes.name = fields.name.trim();
+    if (fields.wallet !== undefined) attributes.wallet_address = this.normalizeWallet(fields.wallet);
+    if (fields.email !== undefined) attributes.email = fields.email || null;
+    if (fields.externalId !== undefined) attributes.external_id = fields.externalId || null;
+    if (fields.tags !== undefined) attributes.tags = this.normalizeTags(fields.tags);
+    if (fields.defaultRate !== undefined) attributes.default_rate = payRateService.normalizeDecimal(fields.defaultRate);
+    if (fields.defaultHours !== undefined) attributes.default_hours = payRateService.normalizeDecimal(fields.defaultHours);
+
+    return attributes;
+  }
+
+  /**
+   * Create a payee and record its first wallet address.
+   * Context: changedBy (user id), changedVia ('jwt' | 'api_key'), apiKeyId
+   */
+  async createPayee(userId, fields, context) {
+    const attributes = this.buildAttributes(fields);
+
+    return await this.saveWithHistory(async (transaction) => {
+      const payee = await Payee.create({ ...attributes, user_id: userId }, { transaction });
+      await this.recordWalletChange(payee, null, context, fields.walletChangeReason, transaction);
+      return payee;
+    });
+  }
+
+  /**
+   * Update a payee; a new wallet address is added to its history
+   */
+  async updatePayee(payee, fields, context) {
+    const attributes = this.buildAttributes(fields);
+    const previousWallet = payee.wallet_address;
+    const walletChanged = attributes.wallet_address !== undefined && attributes.wallet_address !== previousWallet;
+
+    return await this.saveWithHistory(async (transaction) => {
+      await payee.update(attributes, { transaction });
+      if (walletChanged) {
+        await this.recordWalletChange(payee, previousWallet, context, fields.walletChangeReason, transaction);
+      }
+      return payee;
+    });
+  }
+
+  /**
+   * Run a save in a transaction; a reused external id becomes a DUPLICATE_EXTERNAL_ID error
+   */
+  async saveWithHistory(save) {
+    try {
+      return await sequelize.transaction(save);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw payeeError('DUPLICATE_EXTERNAL_ID', 'Another payee already has this external id');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to a payee's wallet history
+   */
+  async recordWalletChange(payee, previousWallet, context, reason, transaction) {
+    return await PayeeWalletChange.create({
+      payee_id: payee.id,
+      previous_wallet: previousWallet,
+      new_wallet: payee.wallet_address,
+      changed_by: context.changedBy,
+      changed_via: context.changedVia || 'jwt',
+      api_key_id: context.apiKeyId || null,
+      reason: reason || null
+    }, { transaction });
+  }
+
+  /**
+   * Replace recipients given as { payeeId, hrsWorked?, rate? } with the payee's
+   * saved name and wallet; other recipients are returned unchanged. Unknown or
+   * archived payees fail the whole list with their positions in `details`.
+   */
+  async resolveRecipients(userId, recipients) {
+    const payeeIds = [...new Set(recipients.filter(recipient => recipient && recipient.payeeId).map(recipient => recipient.payeeId))];
+    if (payeeIds.length === 0) {
+      return recipients;
+    }
+
+    const payees = await Payee.findAll({
+      where: { user_id: userId, id: { [Op.in]: payeeIds.filter(id => UUID_PATTERN.test(id)) } }
+    });
+    const payeesById = new Map(payees.map(payee => [payee.id, payee]));
+
+    const missing = [];
+    const archived = [];
+    const resolved = recipients.map((recipient, position) => {
+      if (!recipient || !recipient.payeeId) return recipient;
+
+      const payee = payeesById.get(recipient.payeeId);
+      if (!payee) {
+        missing.push({ position, payeeId: recipient.payeeId });
+        return recipient;
+      }
+      if (payee.isArchived()) {
+        archived.push({ position, payeeId: payee.id, name: payee.name });
+        return recipient;
+      }
+
+      return payee.toRecipient(recipient.hrsWorked, recipient.rate);
+    });
+
+    if (missing.length > 0) {
+      throw payeeError('PAYEE_NOT_FOUND', `${missing.length} payee(s) not found`, missing);
+    }
+    if (archived.length > 0) {
+      throw payeeError('PAYEE_ARCHIVED', `${archived.length} payee(s) are archived`, archived);
+    }
+
+    return resolved;
+  }
+}
+
+module.exports = new PayeeService();
@@ -0,0 +1,241 @@
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const payRateService = require('./payRateService');
+const recipientValidationService = require('./recipientValidationService');
+
+const RECIPIENT_FIELDS = ['name', 'wallet', 'hrsWorked', 'rate'];
+const REQUIRED_FIELDS = ['name', 'wallet', 'hrsWorked'];
+
+// Header names recognised for each field when no column mapping is given
+const COLUMN_ALIASES = {
+  name: ['name', 'employee', 'employee name', 'full name', 'recipient'],
+  wallet: ['wallet', 'wallet address', 'walletaddress', 'address'],
+  hrsWorked: ['hrsworked', 'hrs worked', 'hours', 'hours worked', 'hrs'],
+  rate: ['rate', 'pay rate', 'hourly rate']
+};
+
+/**
+ * Turns CSV and XLSX timesheets into distribution recipients.
+ * Row numbers in results and errors are the rows a spreadsheet shows,
+ * so the header is row 1 and the first recipient is row 2.
+ */
+class RecipientImportService {
+  constructor() {
+    this.recipientFields = RECIPIENT_FIELDS;
+    this.maxRows = parseInt(process.env.UPLOAD_MAX_ROWS) || 5000;
+  }
+
+  /**
+   * Work out the file format from its name or MIME type
+   */
+  detectFormat(filename = '', mimetype = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+
+    if (extension === 'csv' || mimetype === 'text/csv') {
+      return 'csv';
+    }
+    if (extension === 'xlsx' || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+      return 'xlsx';
+    }
+    return null;
+  }
+
+  /**
+   * Parse a file and validate every row.
+   * Returns the headers, the column mapping used, the valid recipients and
+   * the errors of the rows (or of the mapping) that could not be used.
+   */
+  async parseFile(buffer, format, columnMapping = {}) {
+    const { headers, rows } = format === 'xlsx'
+      ? await this.readWorkbook(buffer)
+      : this.readCsv(buffer);
+
+    if (rows.length > this.maxRows) {
+      throw new Error(`File has ${rows.length} rows; at most ${this.maxRows} are allowed`);
+    }
+
+    const { mapping, errors: mappingErrors } = this.resolveMapping(headers, columnMapping);
+    if (mappingErrors.length > 0) {
+      return { headers, mapping, recipients: [], errors: mappingErrors, totalRows: rows.length };
+    }
+
+    const recipients = [];
+    const errors = [];
+    for (const row of rows) {
+      const result = this.validateRow(row, mapping);
+      if (result.errors.length > 0) {
+        errors.push(...result.errors);
+      } else {
+        recipients.push(result.recipient);
+      }
+    }
+
+    return { headers, mapping, recipients, errors, totalRows: rows.length };
+  }
+
+  /**
+   * Read the header row and data rows of a CSV file
+   */
+  readCsv(buffer) {
+    const records = parse(buffer, {
+      bom: true,
+      skip_empty_lines: true,
+      relax_column_count: true,
+      trim: true,
+      info: true
+    });
+
+    const [headerRecord, ...dataRecords] = records;
+    const headers = headerRecord ? headerRecord.record.map(header => String(header)) : [];
+
+    // Blank lines are skipped, so each row keeps the line number it has in the file
+    const rows = dataRecords.map(({ record, info }) => ({
+      rowNumber: info.lines,
+      values: this.toRowValues(headers, record)
+    }));
+
+    return { headers, rows };
+  }
+
+  /**
+   * Read the header row and data rows of the first worksheet of an XLSX file
+   */
+  async readWorkbook(buffer) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) {
+      return { headers: [], rows: [] };
+    }
+
+    let headers = [];
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      const cells = [];
+      for (let column = 1; column <= row.cellCount; column++) {
+        cells.push(this.getCellText(row.getCell(column)));
+      }
+
+      if (headers.length === 0) {
+        headers = cells;
+      } else if (cells.some(cell => cell !== '')) {
+        rows.push({ rowNumber, values: this.toRowValues(headers, cells) });
+      }
+    });
+
+    return { headers, rows };
+  }
+
+  /**
+   * Plain text of a spreadsheet cell (formulas give their result)
+   */
+  getCellText(cell) {
+    const value = cell.value;
+
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') {
+      if (value.result !== undefined) return String(value.result).trim();
+      if (value.richText) return value.richText.map(part => part.text).join('').trim();
+      if (value.text !== undefined) return String(value.text).trim();
+      return '';
+    }
+    return String(value).trim();
+  }
+
+  /**
+   * Key a row's cells by their column header
+   */
+  toRowValues(headers, cells) {
+    const values = {};
+    headers.forEach((header, index) => {
+      values[header] = cells[index] !== undefined ? String(cells[index]).trim() : '';
+    });
+    return values;
+  }
+
+  /**
+   * Match recipient fields to columns: an explicit mapping wins, otherwise
+   * known header names are recognised case-insensitively
+   */
+  resolveMapping(headers, columnMapping = {}) {
+    const mapping = {};
+    const errors = [];
+    const findHeader = (name) => headers.find(header => header.trim().toLowerCase() === String(name).trim().toLowerCase());
+
+    for (const field of RECIPIENT_FIELDS) {
+      if (columnMapping[field]) {
+        const header = findHeader(columnMapping[field]);
+        if (header) {
+          mapping[field] = header;
+        } else {
+          errors.push({
+            row: 1,
+            field,
+            message: `Mapped column "${columnMapping[field]}" not found in file`
+          });
+        }
+        continue;
+      }
+
+      const header = COLUMN_ALIASES[field].map(findHeader).find(Boolean);
+      if (header) {
+        mapping[field] = header;
+      } else if (REQUIRED_FIELDS.includes(field)) {
+        errors.push({
+          row: 1,
+          field,
+          message: `No column found for ${field}; add a header or a column mapping`
+        });
+      }
+    }
+
+    return { mapping, errors };
+  }
+
+  /**
+   * Validate one data row and build its recipient
+   */
+  validateRow(row, mapping) {
+    const errors = [];
+    const valueOf = (field) => mapping[field] ? (row.values[mapping[field]] || '') : '';
+    const addError = (field, value, message, code) => errors.push({ row: row.rowNumber, field, value, message, code });
+
+    const name = valueOf('name');
+    if (!name) {
+      addError('name', name, 'Name is required', 'MISSING_NAME');
+    }
+
+    const wallet = valueOf('wallet');
+    const addressIssue = recipientValidationService.checkAddress(wallet);
+    if (addressIssue) {
+      addError('wallet', wallet, addressIssue.message, addressIssue.code);
+    }
+
+    const hours = valueOf('hrsWorked');
+    const normalizedHours = payRateService.normalizeDecimal(hours);
+    if (!payRateService.isValidHours(hours)) {
+      addError('hrsWorked', hours, `Hours worked must be a positive number with at most ${payRateService.hoursDecimals} decimal places`, 'INVALID_HOURS');
+    }
+
+    const rate = valueOf('rate');
+    if (rate && !payRateService.isValidRate(rate)) {
+      addError('rate', rate, 'Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits', 'INVALID_RATE');
+    }
+
+    const recipient = {
+      row: row.rowNumber,
+      name,
+      wallet,
+      hrsWorked: parseFloat(normalizedHours)
+    };
+    if (rate) {
+      recipient.rate = payRateService.normalizeDecimal(rate);
+    }
+
+    return { recipient, errors };
+  }
+}
+
+module.exports = new RecipientImportService();
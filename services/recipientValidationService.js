@@ -0,0 +1,123 @@
+const { ethers } = require('ethers');
+const payRateService = require('./payRateService');
+
+const HEX_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+// Concurrent getCode calls made by the contract check
+const CONTRACT_CHECK_CONCURRENCY = 10;
+
+/**
+ * Checks distribution recipients and withdrawal addresses.
+ * Every problem is reported as an issue on the recipient's position with a
+ * machine-readable code; `error` issues block a run, `warning` issues do not.
+ * Only the optional contract check reads from the chain.
+ */
+class RecipientValidationService {
+  /**
+   * Validate a list of recipients ({ name, wallet, hrsWorked, rate? }).
+   * Options: ownAddress (the sending wallet; paying it is an error),
+   * allowDuplicateWallets (report a wallet listed twice as a warning instead of an error)
+   */
+  validateRecipients(recipients, options = {}) {
+    const duplicateSeverity = options.allowDuplicateWallets ? 'warning' : 'error';
+    const firstPositionByWallet = new Map();
+
+    return recipients.map((entry, position) => {
+      const recipient = entry && typeof entry === 'object' ? entry : {};
+      const issues = [];
+      const addIssue = (severity, field, code, message) => issues.push({ severity, field, code, message });
+
+      if (!recipient.name) {
+        addIssue('error', 'name', 'MISSING_NAME', 'Name is required');
+      }
+
+      const wallet = typeof recipient.wallet === 'string' ? recipient.wallet.trim() : '';
+      const addressIssue = this.checkAddress(wallet, { ownAddress: options.ownAddress });
+      if (addressIssue) {
+        addIssue('error', 'wallet', addressIssue.code, addressIssue.message);
+      } else {
+        const key = wallet.toLowerCase();
+        if (firstPositionByWallet.has(key)) {
+          addIssue(duplicateSeverity, 'wallet', 'DUPLICATE_WALLET', `Same wallet as recipient at position ${firstPositionByWallet.get(key)}`);
+        } else {
+          firstPositionByWallet.set(key, position);
+        }
+      }
+
+      if (!payRateService.isValidHours(recipient.hrsWorked)) {
+        addIssue('error', 'hrsWorked', 'INVALID_HOURS', `Hours worked must be a positive number with at most ${payRateService.hoursDecimals} decimal places`);
+      }
+
+      if (recipient.rate !== undefined && !payRateService.isValidRate(recipient.rate)) {
+        addIssue('error', 'rate', 'INVALID_RATE', 'Rate must be a positive decimal number with at most 18 decimal places and 18 integer digits');
+      }
+
+      return {
+        position,
+        row: recipient.row,
+        name: recipient.name,
+        wallet: recipient.wallet,
+        valid: !issues.some(issue => issue.severity === 'error'),
+        issues
+      };
+    });
+  }
+
+  /**
+   * Add a CONTRACT_ADDRESS warning to results whose wallet has contract code.
+   * Tokens sent to a contract that cannot move them are stuck there.
+   */
+  async flagContractWallets(results, provider) {
+    const wallets = [...new Set(results
+      .filter(result => !result.issues.some(issue => issue.field === 'wallet' && issue.severity === 'error'))
+      .map(result => result.wallet.trim().toLowerCase()))];
+
+    const contracts = new Set();
+    for (let i = 0; i < wallets.length; i += CONTRACT_CHECK_CONCURRENCY) {
+      const chunk = wallets.slice(i, i + CONTRACT_CHECK_CONCURRENCY);
+      const codes = await Promise.all(chunk.map(wallet => provider.getCode(wallet)));
+      chunk.forEach((wallet, index) => {
+        if (codes[index] && codes[index] !== '0x') contracts.add(wallet);
+      });
+    }
+
+    for (const result of results) {
+      if (typeof result.wallet === 'string' && contracts.has(result.wallet.trim().toLowerCase())) {
+        result.issues.push({
+          severity: 'warning',
+          field: 'wallet',
+          code: 'CONTRACT_ADDRESS',
+          message: 'Wallet is a smart contract; make sure it can receive and move the tokens'
+        });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check a single wallet address; returns { code, message } for the first problem, or null.
+   * Options: ownAddress (the sending wallet; sending to it is a SELF_TRANSFER)
+   */
+  checkAddress(wallet, options = {}) {
+    if (!wallet) {
+      return { code: 'MISSING_WALLET', message: 'Wallet address is required' };
+    }
+    if (!HEX_ADDRESS_PATTERN.test(wallet)) {
+      return { code: 'INVALID_ADDRESS', message: 'Wallet address must be 0x followed by 40 hex characters' };
+    }
+    if (!ethers.isAddress(wallet)) {
+      // Mixed case that does not match the EIP-55 checksum usually means a typo
+      return { code: 'BAD_CHECKSUM', message: `Wallet address checksum is invalid (expected ${ethers.getAddress(wallet.toLowerCase())})` };
+    }
+    if (ethers.getAddress(wallet) === ethers.ZeroAddress) {
+      return { code: 'ZERO_ADDRESS', message: 'Tokens sent to the zero address are lost' };
+    }
+    if (options.ownAddress && wallet.toLowerCase() === options.ownAddress.toLowerCase()) {
+      return { code: 'SELF_TRANSFER', message: 'Wallet is the sending custodial wallet' };
+    }
+    return null;
+  }
+}
+
+module.exports = new RecipientValidationService();
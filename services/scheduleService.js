@@ -0,0 +1,198 @@
+const cronParser = require('cron-parser');
+
+const CALENDAR_FREQUENCIES = ['daily', 'weekly', 'biweekly', 'monthly'];
+const MISSED_RUN_POLICIES = ['skip', 'run_late'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Works out when a scheduled distribution runs.
+ * Every schedule is evaluated as a five-field cron expression in its own time
+ * zone; calendar schedules (daily, weekly, biweekly, monthly) are converted to
+ * one. Biweekly schedules keep every other weekly occurrence, counted from the
+ * first occurrence on or after the start date.
+ * Schedule specs are { cronExpression, calendar, timezone, startAt, endAt }.
+ */
+class ScheduleService {
+  constructor() {
+    this.calendarFrequencies = CALENDAR_FREQUENCIES;
+    this.missedRunPolicies = MISSED_RUN_POLICIES;
+  }
+
+  /**
+   * Check that a time zone is a known IANA name (e.g. "Europe/London")
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Validate a schedule definition (either `cron` or `calendar`) and
+   * return what is stored: { scheduleType, cronExpression, calendar }
+   */
+  resolveSchedule({ cron, calendar, timezone }) {
+    if (cron && calendar) {
+      throw new Error('Give either cron or calendar, not both');
+    }
+    if (!cron && !calendar) {
+      throw new Error('A cron expression or a calendar schedule is required');
+    }
+    if (!this.isValidTimezone(timezone)) {
+      throw new Error(`Unknown time zone: ${timezone}`);
+    }
+
+    const cronExpression = cron ? String(cron).trim() : this.toCronExpression(calendar);
+    if (cronExpression.split(/\s+/).length !== 5) {
+      throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+    }
+
+    try {
+      cronParser.parseExpression(cronExpression, { tz: timezone }).next();
+    } catch (error) {
+      throw new Error(`Invalid cron expression: ${error.message}`);
+    }
+
+    return {
+      scheduleType: cron ? 'cron' : 'calendar',
+      cronExpression,
+      calendar: cron ? null : this.normalizeCalendar(calendar)
+    };
+  }
+
+  /**
+   * Calendar schedule with only the fields its frequency uses
+   */
+  normalizeCalendar(calendar) {
+    const normalized = { frequency: calendar.frequency, time: calendar.time };
+
+    if (calendar.frequency === 'weekly' || calendar.frequency === 'biweekly') {
+      normalized.dayOfWeek = Number(calendar.dayOfWeek);
+    }
+    if (calendar.frequency === 'monthly') {
+      normalized.dayOfMonth = calendar.dayOfMonth === 'last' ? 'last' : Number(calendar.dayOfMonth);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Cron expression for a calendar schedule:
+   * { frequency, time: "HH:mm", dayOfWeek: 0-6 (Sunday = 0), dayOfMonth: 1-31 | "last" }
+   */
+  toCronExpression(calendar) {
+    if (!calendar || typeof calendar !== 'object') {
+      throw new Error('Calendar schedule must be an object');
+    }
+
+    const { frequency, time, dayOfWeek, dayOfMonth } = calendar;
+    if (!CALENDAR_FREQUENCIES.includes(frequency)) {
+      throw new Error(`Calendar frequency must be one of ${CALENDAR_FREQUENCIES.join(', ')}`);
+    }
+
+    const match = TIME_PATTERN.exec(time || '');
+    if (!match) {
+      throw new Error('Calendar time must be HH:mm (24-hour)');
+    }
+    const [hour, minute] = [parseInt(match[1]), parseInt(match[2])];
+
+    switch (frequency) {
+      case 'daily':
+        return `${minute} ${hour} * * *`;
+      case 'weekly':
+      case 'biweekly':
+        if (!Number.isInteger(Number(dayOfWeek)) || dayOfWeek === null || dayOfWeek < 0 || dayOfWeek > 6) {
+          throw new Error('Calendar dayOfWeek must be 0 (Sunday) to 6 (Saturday)');
+        }
+        return `${minute} ${hour} * * ${Number(dayOfWeek)}`;
+      case 'monthly':
+        if (dayOfMonth === 'last') {
+          return `${minute} ${hour} L * *`;
+        }
+        if (!Number.isInteger(Number(dayOfMonth)) || dayOfMonth === null || dayOfMonth < 1 || dayOfMonth > 31) {
+          throw new Error('Calendar dayOfMonth must be 1 to 31 or "last"');
+        }
+        return `${minute} ${hour} ${Number(dayOfMonth)} * *`;
+    }
+  }
+
+  /**
+   * First occurrence strictly after `after`, or null when the schedule has ended
+   */
+  nextOccurrence(spec, after = new Date()) {
+    const [next] = this.listOccurrences(spec, after, 1);
+    return next || null;
+  }
+
+  /**
+   * The next `count` occurrences strictly after `after`
+   */
+  upcomingOccurrences(spec, after = new Date(), count = 5) {
+    return this.listOccurrences(spec, after, count);
+  }
+
+  /**
+   * Occurrences from `from` to `to` (both inclusive), at most `limit` of them
+   */
+  occurrencesBetween(spec, from, to, limit = 100) {
+    return this.listOccurrences(spec, new Date(from.getTime() - 1), limit)
+      .filter(date => date <= to);
+  }
+
+  /**
+   * Walk the schedule forward from `after`, honouring start and end dates
+   * and biweekly parity
+   */
+  listOccurrences(spec, after, limit) {
+    const startAt = spec.startAt ? new Date(spec.startAt) : null;
+    const endAt = spec.endAt ? new Date(spec.endAt) : null;
+
+    // cron-parser only returns dates after currentDate, so step back 1 ms to include startAt itself
+    let currentDate = new Date(after);
+    if (startAt && startAt > currentDate) {
+      currentDate = new Date(startAt.getTime() - 1);
+    }
+    if (endAt && endAt <= currentDate) {
+      return [];
+    }
+
+    const interval = cronParser.parseExpression(spec.cronExpression, {
+      currentDate,
+      endDate: endAt || undefined,
+      tz: spec.timezone
+    });
+    const anchor = spec.calendar && spec.calendar.frequency === 'biweekly'
+      ? this.getBiweeklyAnchor(spec)
+      : null;
+
+    const occurrences = [];
+    while (occurrences.length < limit && interval.hasNext()) {
+      const date = interval.next().toDate();
+      // Rounding absorbs the hour a daylight saving change adds or removes
+      if (anchor && Math.round((date - anchor) / WEEK_MS) % 2 !== 0) {
+        continue;
+      }
+      occurrences.push(date);
+    }
+
+    return occurrences;
+  }
+
+  /**
+   * First weekly occurrence on or after the start date; biweekly runs fall
+   * an even number of weeks after it
+   */
+  getBiweeklyAnchor(spec) {
+    const startAt = new Date(spec.startAt || 0);
+    return cronParser.parseExpression(spec.cronExpression, {
+      currentDate: new Date(startAt.getTime() - 1),
+      tz: spec.timezone
+    }).next().toDate();
+  }
+}
+
+module.exports = new ScheduleService();
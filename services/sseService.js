@@ -0,0 +1,92 @@
+const distributionEventService = require('./distributionEventService');
+
+const TERMINAL_EVENTS = ['complete', 'error', 'paused', 'cancelled'];
+
+class SseService {
+  constructor() {
+    this.heartbeatInterval = parseInt(process.env.SSE_HEARTBEAT_INTERVAL_MS) || 15000;
+  }
+
+  /**
+   * Switch a response to Server-Sent Events and keep it alive with heartbeat comments
+   */
+  open(res) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }, this.heartbeatInterval);
+
+    res.on('close', () => clearInterval(heartbeat));
+  }
+
+  /**
+   * Write one event frame; events without an id are not resumable
+   */
+  send(res, event) {
+    let frame = '';
+    if (event.id !== undefined) {
+      frame += `id: ${event.id}\n`;
+    }
+    frame += `event: ${event.type}\n`;
+    frame += `data: ${JSON.stringify(event.data)}\n\n`;
+    res.write(frame);
+  }
+
+  /**
+   * Read the id of the last event a reconnecting client received
+   */
+  getLastEventId(req) {
+    return parseInt(req.headers['last-event-id'] || req.query.lastEventId) || 0;
+  }
+
+  /**
+   * Replay stored events of a distribution after lastEventId, then follow live
+   * events until the run finishes or the client disconnects
+   */
+  async streamDistribution(res, distribution, lastEventId = 0) {
+    let lastSentId = lastEventId;
+    let ended = false;
+    let stopFollowing = () => {};
+
+    const finish = () => {
+      if (ended) return;
+      ended = true;
+      stopFollowing();
+      res.end();
+    };
+
+    const deliver = (event, live) => {
+      if (ended || event.id <= lastSentId) return;
+      lastSentId = event.id;
+      this.send(res, event);
+      if (live && TERMINAL_EVENTS.includes(event.type)) {
+        finish();
+      }
+    };
+
+    // The request emits close once its body is read, so only the response tells of a disconnect
+    res.on('close', () => {
+      ended = true;
+      stopFollowing();
+    });
+
+    const history = await distributionEventService.replay(distribution.id, lastEventId);
+    history.forEach(event => deliver(event, false));
+    if (ended) return;
+
+    // Picks up from the last replayed event, so none published meanwhile is missed
+    stopFollowing = distributionEventService.follow(distribution.id, lastSentId, event => deliver(event, true));
+
+    await distribution.reload();
+    if (distribution.isFinished()) {
+      finish();
+    }
+  }
+}
+
+module.exports = new SseService();
@@ -0,0 +1,242 @@
+const { ethers } = require('ethers');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { LEGACY_NETWORK_ID } = require('../config/networks');
+const Token = require('../models/Token');
+const custodialWalletService = require('./custodialWalletService');
+const networkService = require('./networkService');
+const recipientValidationService = require('./recipientValidationService');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const HEX_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const tokenError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Registry of the ERC-20 tokens a deployment can pay with, per network.
+ * Requests name a token by symbol, id or contract address; requests that name
+ * none use the default token of their network. Until an administrator marks a
+ * registered token as the default, TOKEN_CONTRACT_ADDRESS keeps serving as the
+ * default on the network configured by RPC_URL so existing deployments work
+ * unchanged.
+ */
+class TokenRegistryService {
+  constructor() {
+    this.legacyTokenAddress = process.env.TOKEN_CONTRACT_ADDRESS || null;
+  }
+
+  /**
+   * Find the token a request refers to on a network; without a reference the
+   * network's default token.
+   * Options: network (id; default network otherwise), allowDisabled
+   */
+  async resolveToken(ref, options = {}) {
+    const networkId = networkService.getNetwork(options.network).id;
+    if (ref === undefined || ref === null || ref === '') {
+      return await this.getDefaultToken(networkId);
+    }
+
+    const token = await this.findToken(ref, networkId);
+    if (!token) {
+      throw tokenError('TOKEN_NOT_FOUND', `Token ${ref} is not registered on network ${networkId}`);
+    }
+    if (!token.enabled && !options.allowDisabled) {
+      throw tokenError('TOKEN_DISABLED', `Token ${token.symbol} is disabled`);
+    }
+
+    return token;
+  }
+
+  /**
+   * Look a token up by id, contract address or symbol (any case). With a network
+   * id, only tokens of that network are found.
+   */
+  async findToken(ref, networkId = null) {
+    const value = String(ref).trim();
+    const scope = networkId ? { network: networkId } : {};
+
+    if (UUID_PATTERN.test(value)) {
+      return await Token.findOne({ where: { ...scope, id: value } });
+    }
+    if (HEX_ADDRESS_PATTERN.test(value)) {
+      return await Token.findOne({ where: { ...scope, address: ethers.getAddress(value.toLowerCase()) } });
+    }
+    return await Token.findOne({ where: { ...scope, symbol: value.toUpperCase() } });
+  }
+
+  /**
+   * Look a token up for display: ids are unique across networks, while symbols
+   * and addresses are looked up on the given network
+   */
+  async getToken(ref, networkId) {
+    return await this.findToken(ref, UUID_PATTERN.test(String(ref).trim()) ? null : networkId);
+  }
+
+  /**
+   * The registered default token of a network, or the TOKEN_CONTRACT_ADDRESS fallback
+   */
+  async getDefaultToken(networkId = networkService.getDefaultNetwork().id) {
+    const token = await Token.findOne({ where: { network: networkId, is_default: true, enabled: true } });
+    if (token) {
+      return token;
+    }
+
+    if (!this.legacyTokenAddress || networkId !== LEGACY_NETWORK_ID) {
+      throw tokenError('TOKEN_NOT_CONFIGURED', `No default token is configured on network ${networkId}`);
+    }
+
+    const registered = await this.findToken(this.legacyTokenAddress, networkId);
+    if (registered) {
+      if (!registered.enabled) {
+        throw tokenError('TOKEN_DISABLED', `Token ${registered.symbol} is disabled`);
+      }
+      return registered;
+    }
+
+    // Not saved: marks the token as unregistered in getPublicInfo
+    return Token.build({
+      id: null,
+      network: networkId,
+      address: this.legacyTokenAddress,
+      symbol: null,
+      decimals: null,
+      is_default: true
+    });
+  }
+
+  /**
+   * Refuse a stored contract address whose registered token has been disabled.
+   * Addresses outside the registry (the TOKEN_CONTRACT_ADDRESS fallback) pass.
+   */
+  async assertEnabled(address, networkId = networkService.getDefaultNetwork().id) {
+    const token = await this.findToken(address, networkId);
+    if (token && !token.enabled) {
+      throw tokenError('TOKEN_DISABLED', `Token ${token.symbol} is disabled`);
+    }
+  }
+
+  /**
+   * Registered tokens by network and symbol; enabled ones only unless
+   * includeDisabled is set, and those of one network when `network` is set
+   */
+  async listTokens(options = {}) {
+    const where = options.includeDisabled ? {} : { enabled: true };
+    if (options.network) where.network = options.network;
+    return await Token.findAll({ where, order: [['network', 'ASC'], ['symbol', 'ASC']] });
+  }
+
+  /**
+   * Register a token. Decimals always come from the contract; symbol and name
+   * default to the contract's own.
+   * Fields: network? (id; default network otherwise), address, symbol?, name?, enabled?, isDefault?
+   */
+  async registerToken(fields, userId) {
+    const network = networkService.getNetwork(fields.network).id;
+    const address = this.normalizeAddress(fields.address);
+
+    let metadata;
+    try {
+      metadata = await custodialWalletService.forNetwork(network).getTokenMetadata(address);
+    } catch (error) {
+      throw tokenError('TOKEN_CONTRACT_UNREADABLE', `The address did not answer as an ERC-20 token contract on network ${network}`, {
+        address,
+        network
+      });
+    }
+
+    const symbol = this.normalizeSymbol(fields.symbol !== undefined ? fields.symbol : metadata.symbol);
+
+    return await this.saveToken(async (transaction) => {
+      const token = await Token.create({
+        network,
+        address,
+        symbol,
+        name: fields.name !== undefined ? fields.name : metadata.name,
+        decimals: metadata.decimals,
+        enabled: fields.enabled !== undefined ? fields.enabled : true,
+        is_default: false,
+        created_by: userId
+      }, { transaction });
+
+      if (fields.isDefault === true) {
+        await this.makeDefault(token, transaction);
+      }
+      return token;
+    });
+  }
+
+  /**
+   * Update a token's symbol, name, enabled flag or default status.
+   * The address and decimals cannot change; register a new token instead.
+   */
+  async updateToken(token, fields) {
+    const attributes = {};
+    if (fields.symbol !== undefined) attributes.symbol = this.normalizeSymbol(fields.symbol);
+    if (fields.name !== undefined) attributes.name = fields.name;
+    if (fields.enabled !== undefined) attributes.enabled = fields.enabled;
+    if (fields.isDefault === false) attributes.is_default = false;
+
+    return await this.saveToken(async (transaction) => {
+      await token.update(attributes, { transaction });
+      if (fields.isDefault === true) {
+        await this.makeDefault(token, transaction);
+      }
+      return token;
+    });
+  }
+
+  /**
+   * Make a token the only default of its network
+   */
+  async makeDefault(token, transaction) {
+    await Token.update({ is_default: false }, {
+      where: { network: token.network, is_default: true, id: { [Op.ne]: token.id } },
+      transaction
+    });
+    await token.update({ is_default: true }, { transaction });
+  }
+
+  /**
+   * Run a save in a transaction; a reused address or symbol becomes TOKEN_ALREADY_REGISTERED
+   */
+  async saveToken(save) {
+    try {
+      return await sequelize.transaction(save);
+    } catch (error) {
+      if (error.name === 'SequelizeUniqueConstraintError') {
+        throw tokenError('TOKEN_ALREADY_REGISTERED', 'A token with this address or symbol is already registered on this network');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check a contract address and return its checksum form
+   */
+  normalizeAddress(address) {
+    const trimmed = typeof address === 'string' ? address.trim() : '';
+    const issue = recipientValidationService.checkAddress(trimmed);
+    if (issue) {
+      throw tokenError('INVALID_TOKEN_ADDRESS', issue.message, { code: issue.code });
+    }
+    return ethers.getAddress(trimmed);
+  }
+
+  /**
+   * Symbols are stored upper case and must not look like an id or an address
+   */
+  normalizeSymbol(symbol) {
+    const value = typeof symbol === 'string' ? symbol.trim().toUpperCase() : '';
+    if (!value || value.length > 20 || UUID_PATTERN.test(value) || value.startsWith('0X')) {
+      throw tokenError('INVALID_TOKEN_SYMBOL', 'Token symbol must be 1 to 20 characters and not start with 0x');
+    }
+    return value;
+  }
+}
+
+module.exports = new TokenRegistryService();
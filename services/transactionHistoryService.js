@@ -0,0 +1,350 @@
+const { ethers } = require('ethers');
+const { Op } = require('sequelize');
+const Transaction = require('../models/Transaction');
+const Deposit = require('../models/Deposit');
+const GasTopUp = require('../models/GasTopUp');
+const Distribution = require('../models/Distribution');
+const DistributionItem = require('../models/DistributionItem');
+const networkService = require('./networkService');
+const payRateService = require('./payRateService');
+const tokenRegistryService = require('./tokenRegistryService');
+
+const HISTORY_TYPES = ['withdrawal', 'distribution', 'deposit', 'gas_top_up', 'approval', 'cancellation'];
+
+// Which sent transactions (Transaction.kind) belong to each history type
+const SENT_TYPES = {
+  withdrawal: { kind: ['token_transfer', 'native_transfer'], distribution_id: null },
+  distribution: { kind: ['token_transfer', 'batch_transfer'], distribution_id: { [Op.ne]: null } },
+  approval: { kind: 'approval' },
+  cancellation: { kind: 'cancellation' }
+};
+
+const HEX_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const historyError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * A user's transaction history: the transactions sent from their custodial
+ * wallet (withdrawals, distribution payouts, batch approvals and
+ * cancellations), the deposits found by the deposit indexer and the gas
+ * top-ups the gas station sent them, newest first. Speed-ups and cancellations
+ * leave one entry per nonce: the transaction that was mined, or the latest
+ * one while none is. Pages are read with an opaque cursor, so entries added
+ * in the meantime do not shift them.
+ */
+class TransactionHistoryService {
+  /**
+   * One page of history.
+   * Filters: type, token (symbol, id, contract address or 'native'),
+   * counterparty (address), network (id), from, to (dates), cursor, limit
+   * Returns { entries, nextCursor }; nextCursor is null on the last page.
+   */
+  async listHistory(userId, filters = {}) {
+    const limit = filters.limit || 20;
+    const common = await this.buildFilters(filters);
+    const sources = filters.type ? [filters.type] : HISTORY_TYPES;
+
+    const queries = [];
+    const sentTypes = sources.filter(type => SENT_TYPES[type]);
+    if (sentTypes.length > 0) {
+      queries.push(this.findSent(userId, sentTypes, common, limit));
+    }
+    if (sources.includes('deposit')) {
+      queries.push(this.findDeposits(userId, common, limit));
+    }
+    if (sources.includes('gas_top_up') && common.native !== false) {
+      queries.push(this.findGasTopUps(userId, common, limit));
+    }
+
+    const entries = (await Promise.all(queries))
+      .flat()
+      .sort((a, b) => b.createdAt - a.createdAt || (a.id < b.id ? 1 : -1));
+    const page = entries.slice(0, limit);
+
+    await this.addTopUpStatus(page);
+    await this.addCurrencies(page);
+
+    const last = page[page.length - 1];
+    return {
+      entries: page,
+      nextCursor: entries.length > limit ? this.encodeCursor(last) : null
+    };
+  }
+
+  /**
+   * Where-clauses shared by every source. `tokens` is a list of contract
+   * addresses, `native` whether only native currency (true) or only tokens
+   * (false) match; both stay undefined without a token filter.
+   */
+  async buildFilters(filters) {
+    const common = { where: {}, counterparty: null };
+
+    if (filters.network) common.where.network = filters.network;
+    if (filters.from || filters.to) {
+      common.where.created_at = {};
+      if (filters.from) common.where.created_at[Op.gte] = filters.from;
+      if (filters.to) common.where.created_at[Op.lte] = filters.to;
+    }
+    if (filters.cursor) {
+      const cursor = this.decodeCursor(filters.cursor);
+      common.where[Op.and] = [{
+        [Op.or]: [
+          { created_at: { [Op.lt]: cursor.createdAt } },
+          { created_at: cursor.createdAt, id: { [Op.lt]: cursor.id } }
+        ]
+      }];
+    }
+
+    if (filters.token) {
+      if (String(filters.token).toLowerCase() === 'native') {
+        common.native = true;
+      } else {
+        common.native = false;
+        common.tokens = await this.resolveTokenAddresses(filters.token, filters.network);
+      }
+    }
+
+    if (filters.counterparty) {
+      const address = ethers.getAddress(filters.counterparty.toLowerCase());
+      // Stored as sent: checksummed, or all lower case
+      common.counterparty = [address, address.toLowerCase()];
+    }
+
+    return common;
+  }
+
+  /**
+   * Contract addresses a token filter matches: the address itself, or the
+   * registered tokens with that symbol or id (on every network without one)
+   */
+  async resolveTokenAddresses(ref, networkId) {
+    const value = String(ref).trim();
+    if (HEX_ADDRESS_PATTERN.test(value)) {
+      const address = ethers.getAddress(value.toLowerCase());
+      return [address, address.toLowerCase()];
+    }
+
+    const tokens = (await tokenRegistryService.listTokens({ includeDisabled: true, network: networkId }))
+      .filter(token => token.id === value || token.symbol === value.toUpperCase());
+    if (tokens.length === 0) {
+      throw historyError('TOKEN_NOT_FOUND', `Token ${ref} is not registered${networkId ? ` on network ${networkId}` : ''}`);
+    }
+    return tokens.map(token => token.address);
+  }
+
+  tokenWhere(common) {
+    if (common.native === true) return { token_contract_address: null };
+    if (common.native === false) return { token_contract_address: { [Op.in]: common.tokens } };
+    return {};
+  }
+
+  async findSent(userId, types, common, limit) {
+    const and = [...(common.where[Op.and] || [])];
+    and.push({ [Op.or]: types.map(type => SENT_TYPES[type]) });
+    // Hide the transactions of a nonce that lost to a speed-up or cancellation,
+    // and the ones already replaced while the nonce is still pending
+    and.push({
+      [Op.not]: {
+        [Op.or]: [
+          {
+            status: 'DROPPED',
+            [Op.or]: [{ replaces_hash: { [Op.ne]: null } }, { replaced_by_hash: { [Op.ne]: null } }]
+          },
+          { status: 'PENDING', replaced_by_hash: { [Op.ne]: null } }
+        ]
+      }
+    });
+
+    if (common.counterparty) {
+      // Batch payouts go to the batch contract; match them by their recipients
+      const batchHashes = await this.findBatchHashes(userId, common.counterparty);
+      and.push({
+        [Op.or]: [
+          { to_address: { [Op.in]: common.counterparty } },
+          { kind: 'batch_transfer', hash: { [Op.in]: batchHashes } }
+        ]
+      });
+    }
+
+    const rows = await Transaction.findAll({
+      where: { ...common.where, ...this.tokenWhere(common), user_id: userId, [Op.and]: and },
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+    return rows.map(row => this.fromTransaction(row));
+  }
+
+  /**
+   * Hashes of the user's batch transfers that paid one of the addresses
+   */
+  async findBatchHashes(userId, addresses) {
+    const items = await DistributionItem.findAll({
+      attributes: ['transaction_hash'],
+      where: { wallet_address: { [Op.in]: addresses }, transaction_hash: { [Op.ne]: null } },
+      include: [{ model: Distribution, as: 'distribution', attributes: [], where: { user_id: userId, mode: 'batch' } }]
+    });
+    return [...new Set(items.map(item => item.transaction_hash))];
+  }
+
+  async findDeposits(userId, common, limit) {
+    const where = { ...common.where, ...this.tokenWhere(common), user_id: userId };
+    if (common.counterparty) where.from_address = { [Op.in]: common.counterparty };
+
+    const rows = await Deposit.findAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+    return rows.map(row => this.fromDeposit(row));
+  }
+
+  async findGasTopUps(userId, common, limit) {
+    const where = { ...common.where, user_id: userId };
+    if (common.counterparty) where.treasury_address = { [Op.in]: common.counterparty };
+
+    const rows = await GasTopUp.findAll({
+      where,
+      order: [['created_at', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    });
+    return rows.map(row => this.fromGasTopUp(row));
+  }
+
+  fromTransaction(transaction) {
+    const type = transaction.kind === 'approval' || transaction.kind === 'cancellation'
+      ? transaction.kind
+      : (transaction.distribution_id ? 'distribution' : 'withdrawal');
+    const fee = transaction.gas_used && transaction.effective_gas_price
+      ? ethers.formatEther(BigInt(transaction.gas_used) * BigInt(transaction.effective_gas_price))
+      : null;
+
+    return this.buildEntry(transaction, {
+      type,
+      direction: 'out',
+      hash: transaction.hash,
+      from: transaction.from_address,
+      to: transaction.to_address,
+      counterparty: transaction.to_address,
+      fee,
+      distributionId: transaction.distribution_id,
+      error: transaction.error
+    });
+  }
+
+  fromDeposit(deposit) {
+    return this.buildEntry(deposit, {
+      type: 'deposit',
+      direction: 'in',
+      hash: deposit.transaction_hash,
+      from: deposit.from_address,
+      to: deposit.wallet_address,
+      counterparty: deposit.from_address
+    });
+  }
+
+  fromGasTopUp(topUp) {
+    // Status and block come from the tracked transaction (see addTopUpStatus)
+    return this.buildEntry(topUp, {
+      type: 'gas_top_up',
+      direction: 'in',
+      hash: topUp.transaction_hash,
+      from: topUp.treasury_address,
+      to: topUp.wallet_address,
+      counterparty: topUp.treasury_address,
+      tokenContract: null,
+      distributionId: topUp.distribution_id,
+      error: topUp.error
+    });
+  }
+
+  buildEntry(row, fields) {
+    return {
+      id: row.id,
+      type: fields.type,
+      direction: fields.direction,
+      network: row.network,
+      hash: fields.hash,
+      from: fields.from,
+      to: fields.to,
+      counterparty: fields.counterparty,
+      tokenContract: fields.tokenContract !== undefined ? fields.tokenContract : row.token_contract_address,
+      currency: null,
+      amount: payRateService.normalizeDecimal(row.amount),
+      fee: fields.fee || null,
+      status: row.status,
+      final: row.status !== 'PENDING',
+      confirmations: row.confirmations !== undefined ? row.confirmations : null,
+      requiredConfirmations: row.required_confirmations !== undefined ? row.required_confirmations : null,
+      blockNumber: row.block_number !== undefined ? row.block_number : null,
+      distributionId: fields.distributionId || null,
+      error: fields.error || null,
+      explorerUrl: networkService.networks.has(row.network)
+        ? networkService.getExplorerUrl(row.network, fields.hash)
+        : null,
+      createdAt: row.created_at
+    };
+  }
+
+  /**
+   * Confirmations and block of gas top-ups, from their tracked transactions
+   */
+  async addTopUpStatus(entries) {
+    const topUps = entries.filter(entry => entry.type === 'gas_top_up');
+    if (topUps.length === 0) return;
+
+    const transactions = await Transaction.findAll({
+      where: { [Op.or]: topUps.map(entry => ({ network: entry.network, hash: entry.hash })) }
+    });
+    const byHash = new Map(transactions.map(transaction => [`${transaction.network}:${transaction.hash}`, transaction]));
+    for (const entry of topUps) {
+      const transaction = byHash.get(`${entry.network}:${entry.hash}`);
+      if (!transaction) continue;
+      Object.assign(entry, {
+        confirmations: transaction.confirmations,
+        requiredConfirmations: transaction.required_confirmations,
+        blockNumber: transaction.block_number
+      });
+    }
+  }
+
+  /**
+   * Token symbols of registered tokens and the native currency symbol of each network
+   */
+  async addCurrencies(entries) {
+    const tokens = await tokenRegistryService.listTokens({ includeDisabled: true });
+    const symbols = new Map(tokens.map(token => [`${token.network}:${token.address.toLowerCase()}`, token.symbol]));
+
+    for (const entry of entries) {
+      if (entry.tokenContract) {
+        entry.currency = symbols.get(`${entry.network}:${entry.tokenContract.toLowerCase()}`) || null;
+      } else if (networkService.networks.has(entry.network)) {
+        entry.currency = networkService.getNetwork(entry.network).nativeSymbol;
+      }
+    }
+  }
+
+  encodeCursor(entry) {
+    return Buffer.from(JSON.stringify({ t: entry.createdAt.toISOString(), id: entry.id })).toString('base64url');
+  }
+
+  decodeCursor(value) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+      const createdAt = new Date(t);
+      if (Number.isNaN(createdAt.getTime()) || typeof id !== 'string') {
+        throw new Error('Malformed cursor');
+      }
+      return { createdAt, id };
+    } catch (error) {
+      throw historyError('INVALID_CURSOR', 'The cursor is not one returned by this endpoint');
+    }
+  }
+}
+
+module.exports = new TransactionHistoryService();
+module.exports.HISTORY_TYPES = HISTORY_TYPES;
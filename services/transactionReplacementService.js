@@ -0,0 +1,169 @@
+const { Op } = require('sequelize');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const custodialWalletService = require('./custodialWalletService');
+const networkService = require('./networkService');
+
+// Nodes refuse a replacement that does not raise the fees by at least 10%
+const MIN_BUMP_PERCENT = 10;
+const MAX_BUMP_PERCENT = 500;
+
+const replacementError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Speed-up and cancellation of transactions stuck in the mempool. Both send a
+ * transaction with the stuck one's nonce and higher fees; whichever of the two
+ * is mined, the transaction watcher marks the other DROPPED.
+ * With TRANSACTION_AUTO_SPEED_UP_AFTER_MS set, transactions still unmined after
+ * that long are sped up automatically, at most TRANSACTION_AUTO_SPEED_UP_MAX times.
+ */
+class TransactionReplacementService {
+  constructor() {
+    this.bumpPercent = parseInt(process.env.TRANSACTION_FEE_BUMP_PERCENT) || 20;
+    this.autoSpeedUpAfter = parseInt(process.env.TRANSACTION_AUTO_SPEED_UP_AFTER_MS) || 0;
+    this.autoSpeedUpMax = parseInt(process.env.TRANSACTION_AUTO_SPEED_UP_MAX) || 3;
+    this.pollInterval = parseInt(process.env.TRANSACTION_WATCHER_POLL_INTERVAL_MS) || 15000;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  isAutoSpeedUpEnabled() {
+    return this.autoSpeedUpAfter > 0;
+  }
+
+  /**
+   * Start the automatic speed-up policy
+   */
+  start() {
+    if (this.timer || !this.isAutoSpeedUpEnabled()) return;
+
+    console.log(`⏫ Automatic speed-up after ${Math.round(this.autoSpeedUpAfter / 1000)}s started`);
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  /**
+   * Stop the automatic speed-up policy
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send the same call again with higher fees. Returns the replacement's record.
+   * Options: bumpPercent (default TRANSACTION_FEE_BUMP_PERCENT)
+   */
+  async speedUp(transaction, user, options = {}) {
+    return await this.replace(transaction, user, { ...options, cancel: false });
+  }
+
+  /**
+   * Replace the transaction with a zero-value send to the wallet itself
+   */
+  async cancel(transaction, user, options = {}) {
+    return await this.replace(transaction, user, { ...options, cancel: true });
+  }
+
+  async replace(transaction, user, options) {
+    const bumpPercent = options.bumpPercent !== undefined ? Number(options.bumpPercent) : this.bumpPercent;
+    if (!Number.isInteger(bumpPercent) || bumpPercent < MIN_BUMP_PERCENT || bumpPercent > MAX_BUMP_PERCENT) {
+      throw replacementError('INVALID_FEE_BUMP',
+        `Fee bump must be a whole percentage from ${MIN_BUMP_PERCENT} to ${MAX_BUMP_PERCENT}`);
+    }
+
+    if (transaction.replaced_by_hash) {
+      throw replacementError('TRANSACTION_ALREADY_REPLACED',
+        'This transaction has already been replaced; speed up or cancel its replacement instead', {
+          replacedBy: transaction.replaced_by_hash
+        });
+    }
+    if (!transaction.isReplaceable()) {
+      throw replacementError('TRANSACTION_NOT_PENDING',
+        transaction.isFinal()
+          ? `The transaction is already ${transaction.status}`
+          : 'The transaction is already in a block', {
+          status: transaction.status,
+          blockNumber: transaction.block_number
+        });
+    }
+    if (!networkService.networks.has(transaction.network)) {
+      throw replacementError('TRANSACTION_NOT_REPLACEABLE', `Network ${transaction.network} is not configured`);
+    }
+    // Transactions recorded before call data was kept can only be cancelled
+    if (!options.cancel && !this.canRepeat(transaction)) {
+      throw replacementError('TRANSACTION_NOT_REPLACEABLE', 'The call of this transaction was not recorded; it can only be cancelled');
+    }
+
+    const walletService = custodialWalletService.forNetwork(transaction.network);
+    let replacement;
+    try {
+      replacement = await walletService.replaceTransaction(user.custodial_wallet_private_key, transaction, {
+        cancel: options.cancel,
+        bumpPercent
+      });
+    } catch (error) {
+      if (error.code === 'FEE_CAP_EXCEEDED') throw error;
+      // The node refuses e.g. underpriced replacements and nonces that are already used
+      throw replacementError('REPLACEMENT_REJECTED', `The replacement was not accepted: ${error.shortMessage || error.message}`);
+    }
+
+    await transaction.update({ replaced_by_hash: replacement.tx.hash });
+    return replacement.record;
+  }
+
+  canRepeat(transaction) {
+    return ['native_transfer', 'cancellation'].includes(transaction.kind) ||
+      Boolean(transaction.data && transaction.gas_limit);
+  }
+
+  /**
+   * Speed up every transaction unmined for longer than autoSpeedUpAfter.
+   * Only the latest transaction of a nonce is bumped, and only for transactions
+   * sent for a user, whose wallet key is known.
+   */
+  async poll() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      const stuck = await Transaction.findAll({
+        where: {
+          status: 'PENDING',
+          block_hash: null,
+          replaced_by_hash: null,
+          data: { [Op.ne]: null },
+          user_id: { [Op.ne]: null },
+          replacement_count: { [Op.lt]: this.autoSpeedUpMax },
+          created_at: { [Op.lt]: new Date(Date.now() - this.autoSpeedUpAfter) }
+        },
+        order: [['created_at', 'ASC']],
+        limit: 50
+      });
+
+      for (const transaction of stuck) {
+        try {
+          const user = await User.findByPk(transaction.user_id);
+          if (!user || !user.custodial_wallet_private_key) continue;
+
+          const replacement = await this.speedUp(transaction, user);
+          console.log(`Transaction ${transaction.hash} unmined for too long; sped up as ${replacement ? replacement.hash : 'an untracked transaction'}`);
+        } catch (error) {
+          console.error(`Automatic speed-up of ${transaction.hash} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Automatic speed-up poll error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+}
+
+module.exports = new TransactionReplacementService();
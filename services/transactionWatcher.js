@@ -0,0 +1,229 @@
+const Transaction = require('../models/Transaction');
+const ledgerService = require('./ledgerService');
+const networkService = require('./networkService');
+
+/**
+ * Follows every transaction sent from a custodial wallet until it is final.
+ * A PENDING transaction becomes CONFIRMED (or FAILED when it reverted) once it
+ * is buried under its network's confirmation depth, or DROPPED when another
+ * transaction took its nonce or the network forgot it. Until then each poll
+ * re-reads its receipt, so a reorg that moves it to another block or back to
+ * the mempool is noticed and its confirmations start over.
+ */
+class TransactionWatcher {
+  constructor() {
+    this.pollInterval = parseInt(process.env.TRANSACTION_WATCHER_POLL_INTERVAL_MS) || 15000;
+    this.dropAfter = parseInt(process.env.TRANSACTION_DROP_AFTER_MS) || 1800000;
+    this.batchSize = parseInt(process.env.TRANSACTION_WATCHER_BATCH_SIZE) || 200;
+    this.timer = null;
+    this.busy = false;
+  }
+
+  /**
+   * Start checking pending transactions
+   */
+  start() {
+    if (this.timer) return;
+
+    console.log('🔎 Transaction watcher started');
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  /**
+   * Stop checking pending transactions
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Save a transaction that was just broadcast and hold its amount in the
+   * ledger. The transfer is already on its way, so a failure to save is logged
+   * rather than thrown.
+   * Details: network, kind, to?, tokenContract?, amount?, userId?, distributionId?,
+   * replaces? (the transaction record a speed-up or cancellation replaces)
+   */
+  async record(tx, details) {
+    let transaction;
+    try {
+      transaction = await Transaction.create({
+        user_id: details.userId || null,
+        network: details.network.id,
+        hash: tx.hash,
+        kind: details.kind,
+        from_address: tx.from,
+        to_address: details.to || tx.to,
+        token_contract_address: details.tokenContract || null,
+        amount: details.amount !== undefined && details.amount !== null ? String(details.amount) : null,
+        distribution_id: details.distributionId || null,
+        nonce: tx.nonce,
+        data: tx.data,
+        gas_limit: this.toWei(tx.gasLimit),
+        gas_price: this.toWei(tx.gasPrice),
+        max_fee_per_gas: this.toWei(tx.maxFeePerGas),
+        max_priority_fee_per_gas: this.toWei(tx.maxPriorityFeePerGas),
+        required_confirmations: details.network.confirmations,
+        replaces_hash: details.replaces ? details.replaces.hash : null,
+        replacement_count: details.replaces ? details.replaces.replacement_count + 1 : 0,
+        last_seen_at: new Date()
+      });
+    } catch (error) {
+      console.error(`Failed to record transaction ${tx.hash}:`, error);
+      return null;
+    }
+
+    await ledgerService.recordSent(transaction);
+    return transaction;
+  }
+
+  /**
+   * Check the pending transactions, least recently checked first
+   */
+  async poll() {
+    if (this.busy) return;
+    this.busy = true;
+
+    try {
+      const pending = await Transaction.findAll({
+        where: { status: 'PENDING' },
+        order: [['last_checked_at', 'ASC NULLS FIRST']],
+        limit: this.batchSize
+      });
+
+      const byNetwork = new Map();
+      for (const transaction of pending) {
+        if (!byNetwork.has(transaction.network)) byNetwork.set(transaction.network, []);
+        byNetwork.get(transaction.network).push(transaction);
+      }
+
+      for (const [networkId, transactions] of byNetwork) {
+        await this.checkNetwork(networkId, transactions);
+      }
+    } catch (error) {
+      console.error('Transaction watcher poll error:', error);
+    } finally {
+      this.busy = false;
+    }
+  }
+
+  /**
+   * Check the pending transactions of one network; an unreachable network
+   * does not hold up the others
+   */
+  async checkNetwork(networkId, transactions) {
+    if (!networkService.networks.has(networkId)) {
+      console.warn(`Transaction watcher: network ${networkId} is not configured; ${transactions.length} transaction(s) left pending`);
+      return;
+    }
+
+    try {
+      const provider = networkService.getProvider(networkId);
+      const latestBlock = await provider.getBlockNumber();
+
+      for (const transaction of transactions) {
+        try {
+          const checked = await this.checkTransaction(transaction, provider, latestBlock);
+          if (checked.isFinal()) {
+            await ledgerService.recordFinal(checked);
+          }
+        } catch (error) {
+          console.error(`Failed to check transaction ${transaction.hash} on ${networkId}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error(`Transaction watcher could not reach network ${networkId}:`, error.message);
+    }
+  }
+
+  /**
+   * Bring one pending transaction up to date with the chain
+   */
+  async checkTransaction(transaction, provider, latestBlock) {
+    const now = new Date();
+    const updates = { last_checked_at: now };
+    const receipt = await provider.getTransactionReceipt(transaction.hash);
+
+    if (receipt) {
+      updates.last_seen_at = now;
+
+      if (transaction.block_hash && transaction.block_hash !== receipt.blockHash) {
+        this.reportReorg(transaction, `moved from block ${transaction.block_number} to block ${receipt.blockNumber}`);
+        updates.reorg_count = transaction.reorg_count + 1;
+      }
+
+      const confirmations = Math.max(0, latestBlock - receipt.blockNumber + 1);
+      Object.assign(updates, {
+        block_number: receipt.blockNumber,
+        block_hash: receipt.blockHash,
+        confirmations,
+        gas_used: this.toWei(receipt.gasUsed),
+        effective_gas_price: this.toWei(receipt.gasPrice)
+      });
+
+      // Reverted transactions are final at the same depth: a reorg could still replay them
+      if (confirmations >= transaction.required_confirmations) {
+        updates.status = receipt.status === 1 ? 'CONFIRMED' : 'FAILED';
+        updates.error = receipt.status === 1 ? null : 'Transaction reverted';
+        updates.finalized_at = now;
+      }
+
+      return await transaction.update(updates);
+    }
+
+    if (transaction.block_hash) {
+      this.reportReorg(transaction, `removed from block ${transaction.block_number}`);
+      Object.assign(updates, {
+        reorg_count: transaction.reorg_count + 1,
+        block_number: null,
+        block_hash: null,
+        confirmations: 0
+      });
+    }
+
+    const known = await provider.getTransaction(transaction.hash);
+    if (known) {
+      updates.last_seen_at = now;
+      return await transaction.update(updates);
+    }
+
+    const minedNonce = await provider.getTransactionCount(transaction.from_address, 'latest');
+    if (minedNonce > transaction.nonce) {
+      // The receipt may have appeared since it was asked for; decide on the next poll
+      if (await provider.getTransactionReceipt(transaction.hash)) {
+        return await transaction.update(updates);
+      }
+      return await transaction.update({
+        ...updates,
+        status: 'DROPPED',
+        error: `Another transaction with nonce ${transaction.nonce} was mined instead`,
+        finalized_at: now
+      });
+    }
+
+    const lastSeen = transaction.last_seen_at || transaction.created_at;
+    if (now - lastSeen > this.dropAfter) {
+      return await transaction.update({
+        ...updates,
+        status: 'DROPPED',
+        error: `Not known to the network for ${Math.round(this.dropAfter / 60000)} minutes`,
+        finalized_at: now
+      });
+    }
+
+    return await transaction.update(updates);
+  }
+
+  reportReorg(transaction, change) {
+    console.warn(`⚠️ Reorg on ${transaction.network}: transaction ${transaction.hash} ${change}`);
+  }
+
+  toWei(value) {
+    return value === undefined || value === null ? null : value.toString();
+  }
+}
+
+module.exports = new TransactionWatcher();
@@ -4,9 +4,17 @@ const axios = require('axios');
  * Comprehensive API Testing Suite
  * 
  * This test suite covers:
- * - User management (registration, login, profile)
- * - Wallet management (balances, deposits, withdrawals)
+ * - User management (registration, login, profile, pay settings)
+ * - Wallet management (balances, deposits, withdrawals, transaction history and status, speed-up, fee speeds)
  * - Token distribution (single and bulk)
+ * - Distribution history (list, filter, details, retry)
+ * - Recipient upload (CSV preview, confirm)
+ * - Approvals (settings, approvers, review queue)
+ * - Payees (address book, wallet history, distribution by payee id)
+ * - Tokens (registry, balances of every token, admin-only registration)
+ * - Networks (configured networks, balance by chain id, unknown network)
+ * - Gas station (admin-only status and top-up records)
+ * - Ledger (account balances, journal entries, admin-only trial balance)
  * - API key management (create, list, update, delete)
  * - API key authentication (all endpoints)
  * - Security testing (invalid keys, missing auth)
@@ -52,7 +60,7 @@ const bulkDistributionData = {
       name: 'Bob Johnson',
       email: 'bob.johnson@example.com',
       id: 'EMP003',
-      wallet: '0x70A9F9c304181320187fC16A9D02a99c0b73b390',
+      wallet: '0x8ba1f109551bD432803012645Ac136ddd64DBA72',
       hrsWorked: 9.0
     }
   ]
@@ -149,9 +157,65 @@ async function testWalletManagement() {
       headers: getAuthHeaders()
     });
     console.log('✅ Deposit verification:', depositResponse.data.message);
+    console.log('✅ Deposits found:', depositResponse.data.data.deposits.length, '(confirmed:', depositResponse.data.data.confirmedAmount + ')');
     console.log('✅ Instructions:', depositResponse.data.data.instructions);
     console.log('');
 
+    // Test the status of a transaction this wallet never sent
+    console.log('4. Testing unknown transaction status...');
+    try {
+      await axios.get(`${API_BASE_URL}/api/wallet/transactions/0x${'0'.repeat(64)}`, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Unknown transaction refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test that a speed-up needs a transaction of this wallet and a valid fee bump
+    console.log('5. Testing speed-up with an invalid fee bump...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/wallet/transactions/0x${'0'.repeat(64)}/speed-up`, {
+        feeBumpPercent: 5
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Speed-up refused:', error.response?.status, error.response?.data?.error);
+    }
+    console.log('');
+
+    // Test that withdrawals only take the slow, normal and fast fee presets
+    console.log('6. Testing withdrawal with an unknown fee speed...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/wallet/withdraw`, {
+        type: 'native',
+        toAddress: '0x742d35Cc6634C0532925a3b8D4C9db96C4b4d8b6',
+        amount: 0.01,
+        feeSpeed: 'instant'
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Fee speed refused:', error.response?.status, error.response?.data?.details?.[0]?.msg);
+    }
+    console.log('');
+
+    // Test the transaction history, one page at a time
+    console.log('7. Testing transaction history...');
+    const historyResponse = await axios.get(`${API_BASE_URL}/api/wallet/transactions?limit=5`, {
+      headers: getAuthHeaders()
+    });
+    const { transactions, pagination } = historyResponse.data.data;
+    console.log('✅ History entries:', transactions.map(entry => `${entry.type} ${entry.amount} ${entry.currency || ''} (${entry.status})`).join(', ') || 'none');
+    if (pagination.nextCursor) {
+      const nextResponse = await axios.get(`${API_BASE_URL}/api/wallet/transactions?limit=5&cursor=${pagination.nextCursor}`, {
+        headers: getAuthHeaders()
+      });
+      console.log('✅ Next page entries:', nextResponse.data.data.transactions.length);
+    }
+    console.log('');
+
   } catch (error) {
     console.error('❌ Wallet management test failed:', error.message);
     if (error.response) {
@@ -164,6 +228,22 @@ async function testTokenDistribution() {
   try {
     console.log('🪙 Testing Token Distribution (requires authentication)...\n');
 
+    // Test dry run before sending anything
+    console.log('0. Testing distribution preview...');
+    const previewResponse = await axios.post(`${API_BASE_URL}/api/distribute-tokens/preview`, bulkDistributionData, {
+      headers: getAuthHeaders()
+    });
+    const preview = previewResponse.data.data;
+    console.log('✅ Preview verdict:', preview.verdict, {
+      tokensRequired: preview.summary.tokensRequired,
+      estimatedGasCost: preview.gas.estimatedCost,
+      fees: preview.gas.fees,
+      feeCap: preview.gas.feeCap,
+      balances: preview.balances,
+      blockers: preview.blockers
+    });
+    console.log('');
+
     // Test single distribution
     console.log('1. Testing single token distribution...');
     console.log('📤 Sending request:', singleDistributionData);
@@ -193,6 +273,92 @@ async function testTokenDistribution() {
     }
     console.log('');
 
+    // Test queued (background) distribution
+    console.log('4. Testing queued bulk distribution...');
+    const queuedResponse = await axios.post(`${API_BASE_URL}/api/distribute-tokens`, {
+      ...bulkDistributionData,
+      async: true
+    }, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Distribution queued, job id:', queuedResponse.data.data.jobId);
+
+    const jobResponse = await axios.get(`${API_BASE_URL}${queuedResponse.data.data.statusUrl}`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Job status:', jobResponse.data.data.job.status);
+    console.log('✅ Job progress:', jobResponse.data.data.progress);
+    console.log('');
+
+    // Test pausing and cancelling a queued run
+    console.log('4b. Testing pause and cancel...');
+    const queuedDistributionId = queuedResponse.data.data.distributionId;
+    try {
+      const pauseResponse = await axios.post(`${API_BASE_URL}/api/distributions/${queuedDistributionId}/pause`, {}, {
+        headers: getAuthHeaders()
+      });
+      console.log('✅ Pause requested:', pauseResponse.data.data.distribution.controlRequest);
+    } catch (error) {
+      console.log('✅ Pause refused (run already finished):', error.response?.data?.code);
+    }
+    try {
+      const cancelResponse = await axios.post(`${API_BASE_URL}/api/distributions/${queuedDistributionId}/cancel`, {}, {
+        headers: getAuthHeaders()
+      });
+      console.log('✅ Cancel:', cancelResponse.data.message);
+    } catch (error) {
+      console.log('✅ Cancel refused (run already finished):', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test idempotent retry
+    console.log('5. Testing idempotent retry...');
+    const idempotencyHeaders = { ...getAuthHeaders(), 'Idempotency-Key': `test-${Date.now()}` };
+    const firstAttempt = await axios.post(`${API_BASE_URL}/api/distribute-tokens`, {
+      ...bulkDistributionData,
+      async: true
+    }, {
+      headers: idempotencyHeaders
+    });
+    const retryAttempt = await axios.post(`${API_BASE_URL}/api/distribute-tokens`, {
+      ...bulkDistributionData,
+      async: true
+    }, {
+      headers: idempotencyHeaders
+    });
+    console.log('✅ Retry replayed:', retryAttempt.headers['idempotent-replayed'] === 'true');
+    console.log('✅ Same job returned:', retryAttempt.data.data.jobId === firstAttempt.data.data.jobId);
+    try {
+      await axios.post(`${API_BASE_URL}/api/distribute-tokens`, {
+        ...bulkDistributionData,
+        recipients: bulkDistributionData.recipients.slice(0, 1),
+        async: true
+      }, {
+        headers: idempotencyHeaders
+      });
+    } catch (error) {
+      console.log('✅ Reused key with different body rejected:', error.response.data.code);
+    }
+    console.log('');
+
+    // Test that mistyped and repeated wallets are refused per recipient
+    console.log('6. Testing recipient validation...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/distribute-tokens`, {
+        recipients: [
+          bulkDistributionData.recipients[0],
+          { ...bulkDistributionData.recipients[1], wallet: bulkDistributionData.recipients[0].wallet },
+          { name: 'Typo', wallet: '0x70a9F9c304181320187fC16A9D02a99c0b73b390', hrsWorked: 1 }
+        ]
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Invalid recipients refused:', error.response?.data?.code,
+        error.response?.data?.details?.map(detail => detail.issues.map(issue => issue.code)));
+    }
+    console.log('');
+
   } catch (error) {
     console.error('❌ Token distribution test failed:', error.message);
     if (error.response) {
@@ -201,6 +367,494 @@ async function testTokenDistribution() {
   }
 }
 
+async function testDistributionHistory() {
+  try {
+    console.log('📜 Testing Distribution History...\n');
+
+    // Test list distributions
+    console.log('1. Testing list distributions...');
+    const listResponse = await axios.get(`${API_BASE_URL}/api/distributions`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Distributions listed:', listResponse.data.data.distributions.length, 'runs found');
+    console.log('');
+
+    // Test filtering by recipient wallet
+    console.log('2. Testing filter by recipient wallet...');
+    const filteredResponse = await axios.get(`${API_BASE_URL}/api/distributions`, {
+      params: { wallet: bulkDistributionData.recipients[0].wallet, limit: 5 },
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Filtered distributions:', filteredResponse.data.data.pagination.total);
+    console.log('');
+
+    // Test get distribution details
+    if (listResponse.data.data.distributions.length > 0) {
+      console.log('3. Testing get distribution details...');
+      const distributionId = listResponse.data.data.distributions[0].id;
+      const detailResponse = await axios.get(`${API_BASE_URL}/api/distributions/${distributionId}`, {
+        headers: getAuthHeaders()
+      });
+      console.log('✅ Distribution status:', detailResponse.data.data.distribution.status);
+      console.log('✅ Items recorded:', detailResponse.data.data.distribution.items.length);
+      console.log('');
+
+      // Test event replay for a finished distribution
+      console.log('4. Testing distribution event replay...');
+      const eventsResponse = await axios.get(`${API_BASE_URL}/api/distributions/${distributionId}/events`, {
+        headers: { ...getAuthHeaders(), 'Last-Event-ID': '0' },
+        responseType: 'text'
+      });
+      const replayedIds = eventsResponse.data.split('\n').filter(line => line.startsWith('id: '));
+      console.log('✅ Events replayed:', replayedIds.length);
+      console.log('');
+
+      // Test retrying only the failed recipients
+      console.log('5. Testing retry of failed recipients...');
+      try {
+        const retryResponse = await axios.post(`${API_BASE_URL}/api/distributions/${distributionId}/retry`, {
+          async: true
+        }, {
+          headers: getAuthHeaders()
+        });
+        console.log('✅ Retry queued:', {
+          distributionId: retryResponse.data.data.distributionId,
+          retryOfId: retryResponse.data.data.retryOfId,
+          reconciled: retryResponse.data.data.reconciled.length
+        });
+      } catch (error) {
+        console.log('✅ Retry refused:', error.response?.data?.code);
+      }
+      console.log('');
+    }
+
+  } catch (error) {
+    console.error('❌ Distribution history test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testRecipientUpload() {
+  try {
+    console.log('📄 Testing Recipient Upload...\n');
+
+    // Test CSV upload with one invalid row
+    console.log('1. Testing CSV upload preview...');
+    const csv = [
+      'Employee,Wallet Address,Total Hours',
+      `John Doe,${bulkDistributionData.recipients[0].wallet},7.5`,
+      'Broken Row,0x123,abc'
+    ].join('\n');
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'timesheet.csv');
+    form.append('mapping', JSON.stringify({ hrsWorked: 'Total Hours' }));
+
+    const uploadResponse = await axios.post(`${API_BASE_URL}/api/distribute-tokens/uploads`, form, {
+      headers: getAuthHeaders()
+    });
+    const upload = uploadResponse.data.data.upload;
+    console.log('✅ Upload parsed:', {
+      validRows: upload.validRows,
+      invalidRows: upload.invalidRows,
+      errors: upload.errors
+    });
+    console.log('');
+
+    // Test confirming an upload with invalid rows
+    console.log('2. Testing confirm without skipInvalidRows...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/distribute-tokens/uploads/${upload.id}/confirm`, {}, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Confirmation rejected:', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test confirming the valid rows as a background job
+    console.log('3. Testing confirm with skipInvalidRows...');
+    const confirmResponse = await axios.post(`${API_BASE_URL}/api/distribute-tokens/uploads/${upload.id}/confirm`, {
+      skipInvalidRows: true,
+      async: true
+    }, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Upload queued for distribution:', confirmResponse.data.data.distributionId);
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Recipient upload test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testScheduledDistributions() {
+  try {
+    console.log('⏰ Testing Scheduled Distributions...\n');
+
+    // Test creating a biweekly payroll schedule
+    console.log('1. Testing schedule creation...');
+    const createResponse = await axios.post(`${API_BASE_URL}/api/schedules`, {
+      name: 'Biweekly payroll',
+      calendar: { frequency: 'biweekly', time: '17:30', dayOfWeek: 5 },
+      timezone: 'Europe/London',
+      recipients: bulkDistributionData.recipients
+    }, {
+      headers: getAuthHeaders()
+    });
+    const schedule = createResponse.data.data.schedule;
+    console.log('✅ Schedule created:', {
+      id: schedule.id,
+      cron: schedule.cron,
+      nextRunAt: schedule.nextRunAt,
+      upcomingRuns: schedule.upcomingRuns
+    });
+    console.log('');
+
+    // Test rejecting an invalid cron expression
+    console.log('2. Testing invalid cron expression...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/schedules`, {
+        name: 'Broken schedule',
+        cron: '0 9 * *',
+        recipients: bulkDistributionData.recipients
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Invalid schedule rejected:', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test pausing and resuming
+    console.log('3. Testing pause and resume...');
+    const pauseResponse = await axios.post(`${API_BASE_URL}/api/schedules/${schedule.id}/pause`, {}, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Schedule paused:', pauseResponse.data.data.schedule.status);
+    const resumeResponse = await axios.post(`${API_BASE_URL}/api/schedules/${schedule.id}/resume`, {}, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Schedule resumed, next run:', resumeResponse.data.data.schedule.nextRunAt);
+    console.log('');
+
+    // Test run history and cleanup
+    console.log('4. Testing run history...');
+    const runsResponse = await axios.get(`${API_BASE_URL}/api/schedules/${schedule.id}/runs`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Recorded runs:', runsResponse.data.data.pagination.total);
+    await axios.delete(`${API_BASE_URL}/api/schedules/${schedule.id}`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Schedule deleted');
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Scheduled distribution test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testApprovals() {
+  try {
+    console.log('✅ Testing Approvals...\n');
+
+    // Test reading thresholds and approvers
+    console.log('1. Testing approval settings...');
+    const settingsResponse = await axios.get(`${API_BASE_URL}/api/approvals/settings`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Effective thresholds:', settingsResponse.data.data.thresholds);
+    console.log('');
+
+    // Test that only administrators can designate approvers
+    console.log('2. Testing approver designation without admin rights...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/approvals/approvers`, {
+        accountEmail: testUser.email,
+        email: testUser2.email
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Designation refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test the approver's review queue
+    console.log('3. Testing review queue...');
+    const approverLogin = await axios.post(`${API_BASE_URL}/api/user/login`, testUser2);
+    const approverHeaders = { 'Authorization': `Bearer ${approverLogin.data.data.token}` };
+    const reviewResponse = await axios.get(`${API_BASE_URL}/api/approvals/requests?scope=review`, {
+      headers: approverHeaders
+    });
+    console.log('✅ Requests awaiting review:', reviewResponse.data.data.pagination.total);
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Approval test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testPayees() {
+  try {
+    console.log('📇 Testing Payees...\n');
+
+    // Test saving a payee
+    console.log('1. Testing payee creation...');
+    const createResponse = await axios.post(`${API_BASE_URL}/api/payees`, {
+      name: 'Address Book Payee',
+      wallet: '0x742d35Cc6634C0532925A3B8D4C9dB96C4B4d8B6',
+      externalId: `EMP-${Date.now()}`,
+      tags: ['contractors'],
+      defaultHours: 8
+    }, {
+      headers: getAuthHeaders()
+    });
+    const payee = createResponse.data.data.payee;
+    console.log('✅ Payee saved:', payee.id, payee.wallet);
+    console.log('');
+
+    // Test listing payees by tag
+    console.log('2. Testing payee list...');
+    const listResponse = await axios.get(`${API_BASE_URL}/api/payees?tag=contractors`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Tagged payees:', listResponse.data.data.pagination.total);
+    console.log('');
+
+    // Test changing the wallet and reading its history
+    console.log('3. Testing wallet history...');
+    await axios.put(`${API_BASE_URL}/api/payees/${payee.id}`, {
+      wallet: '0x8ba1f109551bD432803012645Ac136ddd64DBA72',
+      walletChangeReason: 'New wallet'
+    }, {
+      headers: getAuthHeaders()
+    });
+    const detailResponse = await axios.get(`${API_BASE_URL}/api/payees/${payee.id}`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Wallet changes recorded:', detailResponse.data.data.payee.walletHistory.length);
+    console.log('');
+
+    // Test paying the payee by id (dry run)
+    console.log('4. Testing distribution by payee id...');
+    const previewResponse = await axios.post(`${API_BASE_URL}/api/distribute-tokens/preview`, {
+      recipients: [{ payeeId: payee.id }]
+    }, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Preview verdict:', previewResponse.data.data.verdict);
+    console.log('');
+
+    // Test that archived payees cannot be paid
+    console.log('5. Testing payee archiving...');
+    await axios.delete(`${API_BASE_URL}/api/payees/${payee.id}`, {
+      headers: getAuthHeaders()
+    });
+    try {
+      await axios.post(`${API_BASE_URL}/api/distribute-tokens/preview`, {
+        recipients: [{ payeeId: payee.id, hrsWorked: 1 }]
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Archived payee refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Payee test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testTokens() {
+  try {
+    console.log('🪙 Testing Tokens...\n');
+
+    // Test listing the registered tokens
+    console.log('1. Testing token list...');
+    const listResponse = await axios.get(`${API_BASE_URL}/api/tokens`, {
+      headers: getAuthHeaders()
+    });
+    const { tokens, defaultToken } = listResponse.data.data;
+    console.log('✅ Registered tokens:', tokens.map(token => token.symbol).join(', ') || 'none');
+    console.log('✅ Default token:', defaultToken ? (defaultToken.symbol || defaultToken.address) : 'none');
+    console.log('');
+
+    // Test the balance of every token in one call
+    console.log('2. Testing balances of all tokens...');
+    const balancesResponse = await axios.get(`${API_BASE_URL}/api/wallet/balance?all=true`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Balances returned:', balancesResponse.data.data.balances.length);
+    console.log('');
+
+    // Test that an unknown token is refused
+    console.log('3. Testing unknown token...');
+    try {
+      await axios.get(`${API_BASE_URL}/api/wallet/balance?token=NOPE`, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Unknown token refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test that only administrators can register tokens
+    console.log('4. Testing token registration without admin rights...');
+    try {
+      await axios.post(`${API_BASE_URL}/api/tokens`, {
+        address: '0x8ba1f109551bD432803012645Ac136ddd64DBA72'
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Registration refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Token test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testNetworks() {
+  try {
+    console.log('🌐 Testing Networks...\n');
+
+    // Test listing the configured networks
+    console.log('1. Testing network list...');
+    const listResponse = await axios.get(`${API_BASE_URL}/api/networks`, {
+      headers: getAuthHeaders()
+    });
+    const { networks, defaultNetwork } = listResponse.data.data;
+    console.log('✅ Networks:', networks.map(network => `${network.id} (${network.chainId})`).join(', '));
+    console.log('✅ Default network:', defaultNetwork);
+    console.log('');
+
+    // Test the balance on a network named by chain id
+    console.log('2. Testing balance on the default network by chain id...');
+    const chainId = networks.find(network => network.id === defaultNetwork).chainId;
+    const balanceResponse = await axios.get(`${API_BASE_URL}/api/wallet/native-balance?network=${chainId}`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Balance on', balanceResponse.data.data.network + ':', balanceResponse.data.data.balance, balanceResponse.data.data.currency);
+    console.log('');
+
+    // Test that an unknown network is refused
+    console.log('3. Testing unknown network...');
+    try {
+      await axios.get(`${API_BASE_URL}/api/wallet/balance?network=nope`, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Unknown network refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Network test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testGasStation() {
+  try {
+    console.log('⛽ Testing Gas Station...\n');
+
+    // Test that only administrators can see the gas station
+    console.log('1. Testing gas station status without admin rights...');
+    try {
+      await axios.get(`${API_BASE_URL}/api/gas-station`, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Status refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+    // Test that top-up records are admin-only too
+    console.log('2. Testing top-up list without admin rights...');
+    try {
+      await axios.get(`${API_BASE_URL}/api/gas-station/top-ups`, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Top-up list refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Gas station test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
+async function testLedger() {
+  try {
+    console.log('📒 Testing Ledger...\n');
+
+    // Test the ledger account balances
+    console.log('1. Testing ledger accounts...');
+    const accountsResponse = await axios.get(`${API_BASE_URL}/api/ledger/accounts`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Accounts:', accountsResponse.data.data.accounts.map(account => `${account.purpose} ${account.asset}: ${account.balance}`).join(', ') || 'none');
+    console.log('');
+
+    // Test that every journal entry balances
+    console.log('2. Testing journal entries...');
+    const entriesResponse = await axios.get(`${API_BASE_URL}/api/ledger/entries?limit=10`, {
+      headers: getAuthHeaders()
+    });
+    const { entries } = entriesResponse.data.data;
+    const unbalanced = entries.filter(entry => {
+      const total = side => entry.lines.filter(line => line.side === side).reduce((sum, line) => sum + Number(line.amount), 0);
+      return Math.abs(total('debit') - total('credit')) > 1e-9;
+    });
+    console.log('✅ Journal entries:', entries.length, '(unbalanced:', unbalanced.length + ')');
+    console.log('');
+
+    // Test that only administrators can see the trial balance
+    console.log('3. Testing trial balance without admin rights...');
+    try {
+      await axios.get(`${API_BASE_URL}/api/ledger/trial-balance`, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Trial balance refused:', error.response?.data?.code);
+    }
+    console.log('');
+
+  } catch (error) {
+    console.error('❌ Ledger test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
 async function testHealthAndErrors() {
   try {
     console.log('🏥 Testing Health and Error Handling...\n');
@@ -276,6 +930,58 @@ async function testPasswordChange() {
   }
 }
 
+async function testPaySettings() {
+  try {
+    console.log('💲 Testing Pay Settings...\n');
+
+    // Test get pay settings
+    console.log('1. Testing get pay settings...');
+    const getResponse = await axios.get(`${API_BASE_URL}/api/user/pay-settings`, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Pay settings:', getResponse.data.data.paySettings);
+    console.log('');
+
+    // Test update pay settings
+    console.log('2. Testing update pay settings...');
+    const updateResponse = await axios.put(`${API_BASE_URL}/api/user/pay-settings`, {
+      defaultRate: '1.5',
+      rounding: 'round'
+    }, {
+      headers: getAuthHeaders()
+    });
+    console.log('✅ Pay settings updated:', updateResponse.data.data.paySettings);
+    console.log('');
+
+    // Test invalid rounding policy
+    console.log('3. Testing invalid rounding policy...');
+    try {
+      await axios.put(`${API_BASE_URL}/api/user/pay-settings`, {
+        rounding: 'bankers'
+      }, {
+        headers: getAuthHeaders()
+      });
+    } catch (error) {
+      console.log('✅ Invalid rounding policy rejected:', error.response?.status);
+    }
+    console.log('');
+
+    // Restore the default so distribution tests keep paying 1 token per hour
+    await axios.put(`${API_BASE_URL}/api/user/pay-settings`, {
+      defaultRate: '1',
+      rounding: 'floor'
+    }, {
+      headers: getAuthHeaders()
+    });
+
+  } catch (error) {
+    console.error('❌ Pay settings test failed:', error.message);
+    if (error.response) {
+      console.error('Response data:', error.response.data);
+    }
+  }
+}
+
 async function testMultipleUsers() {
   try {
     console.log('👥 Testing Multiple Users...\n');
@@ -533,9 +1239,19 @@ async function runAllTests() {
     await testHealthAndErrors();
     await testUserManagement();
     await testPasswordChange();
+    await testPaySettings();
     await testMultipleUsers();
     await testWalletManagement();
     await testTokenDistribution();
+    await testDistributionHistory();
+    await testRecipientUpload();
+    await testScheduledDistributions();
+    await testApprovals();
+    await testPayees();
+    await testTokens();
+    await testNetworks();
+    await testGasStation();
+    await testLedger();
     
     // API Key Tests
     await testApiKeyManagement();
@@ -551,9 +1267,19 @@ async function runAllTests() {
     console.log('✅ User registration and authentication working');
     console.log('✅ Profile management working');
     console.log('✅ Password change working');
+    console.log('✅ Pay settings working');
     console.log('✅ Multiple users with different wallets');
     console.log('✅ Wallet management working');
     console.log('✅ Token distribution working');
+    console.log('✅ Distribution history working');
+    console.log('✅ Recipient upload working');
+    console.log('✅ Scheduled distributions working');
+    console.log('✅ Approvals working');
+    console.log('✅ Payees working');
+    console.log('✅ Tokens working');
+    console.log('✅ Networks working');
+    console.log('✅ Gas station working');
+    console.log('✅ Ledger working');
     console.log('✅ API key management working');
     console.log('✅ API key authentication working');
     console.log('✅ API key security working');